@@ -0,0 +1,136 @@
+// Shared data server
+// Keeps the app's dataset in one JSON file so several supervisor PCs can
+// work on the same data. Start it with `npm run server` and build or run the
+// app with VITE_STORAGE_BACKEND=rest (the dev server proxies /api to it).
+//
+//   GET    /api/data           -> the whole dataset ({} if there is none)
+//   PUT    /api/data           -> replace the dataset
+//   PUT    /api/data/:section  -> replace one top-level section
+//   DELETE /api/data           -> remove the dataset
+//
+// Every response carries the dataset's ETag. Writes sent with If-Match are
+// refused with 412 when the dataset changed since, so a client working on
+// stale data gets a conflict instead of overwriting other clients' edits.
+//
+// Options come from the environment: HOST (127.0.0.1; set it to 0.0.0.0 to
+// serve other PCs), PORT (3001), DATA_FILE (shift-app-data.json in the
+// working directory) and CORS_ORIGINS, a comma-separated list of other
+// origins allowed to use the API (none; the dev server proxies /api).
+
+import { createHash } from 'node:crypto';
+import { createServer } from 'node:http';
+import { readFile, rename, rm, writeFile } from 'node:fs/promises';
+import { resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const DATA_PATH = '/api/data';
+
+const readData = async (file) => {
+  try {
+    return JSON.parse(await readFile(file, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return {};
+    throw error;
+  }
+};
+
+// Write to a temporary file first so a crash never leaves half a dataset
+const writeData = async (file, data) => {
+  await writeFile(`${file}.tmp`, JSON.stringify(data, null, 2));
+  await rename(`${file}.tmp`, file);
+};
+
+const readBody = (request) => new Promise((resolveBody, reject) => {
+  let body = '';
+  request.setEncoding('utf8');
+  request.on('data', chunk => { body += chunk; });
+  request.on('end', () => resolveBody(body));
+  request.on('error', reject);
+});
+
+const getETag = (data) => `"${createHash('sha1').update(JSON.stringify(data)).digest('hex')}"`;
+
+// Cross-origin access only for the allowed origins
+const getCorsHeaders = (request, allowedOrigins) => {
+  const { origin } = request.headers;
+  if (!origin || !allowedOrigins.includes(origin)) return {};
+  return {
+    'Access-Control-Allow-Origin': origin,
+    'Access-Control-Allow-Methods': 'GET, PUT, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, If-Match',
+    'Access-Control-Expose-Headers': 'ETag',
+    Vary: 'Origin'
+  };
+};
+
+const send = (response, status, data, headers = {}) => {
+  response.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  response.end(data === undefined ? '' : JSON.stringify(data));
+};
+
+/**
+ * An HTTP server storing the dataset in file. Requests are handled one at a
+ * time, so a section update never interleaves with another client's save.
+ */
+export const createDataServer = ({ file, allowedOrigins = [] }) => {
+  let queue = Promise.resolve();
+
+  const handle = async (request, response) => {
+    const { pathname } = new URL(request.url, 'http://localhost');
+    const cors = getCorsHeaders(request, allowedOrigins);
+    if (request.method === 'OPTIONS') return send(response, 204, undefined, cors);
+    if (pathname !== DATA_PATH && !pathname.startsWith(`${DATA_PATH}/`)) {
+      return send(response, 404, { error: 'Not found' }, cors);
+    }
+
+    const section = decodeURIComponent(pathname.slice(DATA_PATH.length + 1));
+    const current = await readData(file);
+    const etag = getETag(current);
+
+    if (request.method === 'GET' && !section) {
+      return send(response, 200, current, { ...cors, ETag: etag });
+    }
+    const ifMatch = request.headers['if-match'];
+    if ((request.method === 'PUT' || request.method === 'DELETE') && ifMatch && ifMatch !== etag) {
+      return send(response, 412, { error: 'The data was changed by another client' }, { ...cors, ETag: etag });
+    }
+    if (request.method === 'PUT') {
+      let value;
+      try {
+        value = JSON.parse(await readBody(request));
+      } catch {
+        return send(response, 400, { error: 'Body is not valid JSON' }, cors);
+      }
+      if (!section && (typeof value !== 'object' || value === null || Array.isArray(value))) {
+        return send(response, 400, { error: 'The dataset must be a JSON object' }, cors);
+      }
+      const data = section ? { ...current, [section]: value } : value;
+      await writeData(file, data);
+      return send(response, 204, undefined, { ...cors, ETag: getETag(data) });
+    }
+    if (request.method === 'DELETE' && !section) {
+      await rm(file, { force: true });
+      return send(response, 204, undefined, { ...cors, ETag: getETag({}) });
+    }
+    return send(response, 405, { error: 'Method not allowed' }, cors);
+  };
+
+  return createServer((request, response) => {
+    queue = queue
+      .then(() => handle(request, response))
+      .catch(error => {
+        console.error('Error handling request:', error);
+        send(response, 500, { error: error.message });
+      });
+  });
+};
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const host = process.env.HOST || '127.0.0.1';
+  const port = Number(process.env.PORT) || 3001;
+  const file = resolve(process.env.DATA_FILE || 'shift-app-data.json');
+  const allowedOrigins = (process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+  createDataServer({ file, allowedOrigins }).listen(port, host, () => {
+    console.log(`Shift data server on http://${host}:${port}${DATA_PATH}, storing ${file}`);
+  });
+}
@@ -0,0 +1,64 @@
+import { afterAll, beforeAll, describe, it, expect } from 'vitest';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { createDataServer } from './index';
+
+describe('data server', () => {
+  let directory;
+  let server;
+  let url;
+
+  beforeAll(async () => {
+    directory = await mkdtemp(join(tmpdir(), 'shift-data-'));
+    server = createDataServer({ file: join(directory, 'data.json'), allowedOrigins: ['http://supervisor.local'] });
+    await new Promise(resolve => server.listen(0, resolve));
+    url = `http://localhost:${server.address().port}/api/data`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await rm(directory, { recursive: true, force: true });
+  });
+
+  it('stores the dataset and single sections in the JSON file', async () => {
+    expect(await (await fetch(url)).json()).toEqual({});
+
+    await fetch(url, { method: 'PUT', body: JSON.stringify({ employees: [], roles: [] }) });
+    await fetch(`${url}/roles`, { method: 'PUT', body: JSON.stringify([{ id: 'r' }]) });
+
+    expect(await (await fetch(url)).json()).toEqual({ employees: [], roles: [{ id: 'r' }] });
+    expect(JSON.parse(await readFile(join(directory, 'data.json'), 'utf8')).roles).toEqual([{ id: 'r' }]);
+
+    await fetch(url, { method: 'DELETE' });
+    expect(await (await fetch(url)).json()).toEqual({});
+  });
+
+  it('refuses writes based on an outdated ETag', async () => {
+    const etag = (await fetch(url)).headers.get('ETag');
+    const saved = await fetch(`${url}/roles`, { method: 'PUT', headers: { 'If-Match': etag }, body: '[]' });
+    expect(saved.status).toBe(204);
+    expect(saved.headers.get('ETag')).not.toBe(etag);
+
+    const stale = await fetch(`${url}/employees`, { method: 'PUT', headers: { 'If-Match': etag }, body: '[]' });
+    expect(stale.status).toBe(412);
+    expect((await fetch(url, { method: 'DELETE', headers: { 'If-Match': etag } })).status).toBe(412);
+    expect(await (await fetch(url)).json()).toEqual({ roles: [] });
+
+    const current = await fetch(url, { method: 'DELETE', headers: { 'If-Match': saved.headers.get('ETag') } });
+    expect(current.status).toBe(204);
+  });
+
+  it('allows cross-origin requests only from the allowed origins', async () => {
+    const allowed = await fetch(url, { headers: { Origin: 'http://supervisor.local' } });
+    expect(allowed.headers.get('Access-Control-Allow-Origin')).toBe('http://supervisor.local');
+
+    const other = await fetch(url, { method: 'OPTIONS', headers: { Origin: 'http://example.com' } });
+    expect(other.headers.get('Access-Control-Allow-Origin')).toBeNull();
+  });
+
+  it('rejects invalid JSON', async () => {
+    const response = await fetch(url, { method: 'PUT', body: '{ not json' });
+    expect(response.status).toBe(400);
+  });
+});
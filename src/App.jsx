@@ -1,126 +1,205 @@
-import React, { useState, useEffect } from 'react';
-import { Clock, Users, Calendar, CheckCircle, XCircle, AlertCircle, Plus, Save, Edit2, Trash2 } from 'lucide-react';
-
-// JSON File Storage Manager
-class JSONStorage {
-  constructor() {
-    this.dataFile = 'shift-app-data.json';
-  }
-
-  // Check if running in browser environment
-  isBrowser() {
-    return typeof window !== 'undefined';
-  }
-
-  // Save data to JSON file (simulated with localStorage for browser)
-  async saveData(data) {
-    if (this.isBrowser()) {
-      try {
-        const jsonString = JSON.stringify(data, null, 2);
-        localStorage.setItem('shiftAppData', jsonString);
-        
-        // Also trigger download for backup
-        const blob = new Blob([jsonString], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
-        
-        return { success: true, data };
-      } catch (error) {
-        console.error('Error saving data:', error);
-        return { success: false, error: error.message };
-      }
-    }
-  }
-
-  // Load data from JSON file
-  async loadData() {
-    if (this.isBrowser()) {
-      try {
-        const jsonString = localStorage.getItem('shiftAppData');
-        if (jsonString) {
-          const data = JSON.parse(jsonString);
-          return { success: true, data };
-        }
-        // Return default structure if no data exists
-        return {
-          success: true,
-          data: {
-            employees: [],
-            roles: [],
-            shifts: [],
-            schedule: {},
-            attendance: {},
-            shiftHistory: {}
-          }
-        };
-      } catch (error) {
-        console.error('Error loading data:', error);
-        return {
-          success: true,
-          data: {
-            employees: [],
-            roles: [],
-            shifts: [],
-            schedule: {},
-            attendance: {},
-            shiftHistory: {}
-          }
-        };
-      }
-    }
-  }
-
-  // Update specific section of data
-  async updateSection(section, data) {
-    const currentData = await this.loadData();
-    if (currentData.success) {
-      currentData.data[section] = data;
-      return await this.saveData(currentData.data);
-    }
-    return { success: false, error: 'Failed to load current data' };
-  }
-
-  // Clear all data
-  async clearData() {
-    if (this.isBrowser()) {
-      localStorage.removeItem('shiftAppData');
-      return { success: true };
-    }
-  }
-
-  // Export data as downloadable JSON
-  exportData(data) {
-    const jsonString = JSON.stringify(data, null, 2);
-    const blob = new Blob([jsonString], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-    const link = document.createElement('a');
-    link.href = url;
-    link.download = `shift-app-backup-${new Date().toISOString().split('T')[0]}.json`;
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
-    URL.revokeObjectURL(url);
-  }
-
-  // Import data from JSON file
-  async importData(file) {
-    return new Promise((resolve, reject) => {
-      const reader = new FileReader();
-      reader.onload = async (e) => {
-        try {
-          const data = JSON.parse(e.target.result);
-          const result = await this.saveData(data);
-          resolve(result);
-        } catch (error) {
-          reject(error);
-        }
-      };
-      reader.onerror = reject;
-      reader.readAsText(file);
-    });
-  }
-}
+import React, { useState, useEffect, useRef, useSyncExternalStore } from 'react';
+import { Clock, Users, Calendar, CheckCircle, XCircle, AlertCircle, Plus, Save, Edit2, Trash2, Shuffle, ChevronLeft, ChevronRight, Pin, Undo2, Redo2 } from 'lucide-react';
+import {
+  buildScheduleForWeeks,
+  getMissingSkills,
+  getRequiredSkills,
+  getStaffingLimits,
+  removeScheduleFromHistory,
+  sortEmployeesByRole,
+  validateAssignment
+} from './scheduler';
+import {
+  addAssignment,
+  getPinnedSchedule,
+  isAssignmentPinned,
+  moveAssignment,
+  removeAssignment,
+  swapAssignments,
+  toggleCellPin,
+  toggleEmployeePin
+} from './scheduleEdits';
+import {
+  DAYS_OF_WEEK,
+  addDays,
+  addMonths,
+  getCurrentTime,
+  getDayName,
+  getMonthDates,
+  getToday,
+  getWeekDates,
+  getWeekRange
+} from './dates';
+import {
+  LEAVE_STATUSES,
+  LEAVE_TYPES,
+  createLeaveRequest,
+  findLeave,
+  getLeaveDates,
+  getLeaveInRange,
+  isEmployeeOnLeave,
+  normalizeLeaveRequests,
+  reviewLeaveRequest,
+  validateLeaveRequest
+} from './leave';
+import {
+  ROUNDING_MODES,
+  buildAttendanceRecord,
+  clearAttendanceRecord,
+  detectNoShows,
+  getAttendanceKey,
+  getRollCallCounts,
+  getShiftsAroundNow,
+  getUnacknowledgedAbsences,
+  normalizeAttendance,
+  recomputeAttendance,
+  resolveAttendancePolicy
+} from './attendance';
+import {
+  ACCRUAL_METHODS,
+  checkLeaveBalance,
+  getLeaveBalanceHistory,
+  getLeaveBalances,
+  isBalanceTracked
+} from './leaveBalances';
+import { DEFAULT_SETTINGS, withDefaultSettings } from './settings';
+import { calculateShiftHours, formatShiftTimes, isOvernightShift } from './shiftTimes';
+import { downloadFile, toCSV } from './exporters';
+import { getAttendanceReportRows, summarizeAttendanceReport } from './attendanceReports';
+import { STORAGE_BACKENDS, createStorage } from './storage';
+import { SCHEMA_VERSION, getImportDiff, prepareImport } from './dataSchema';
+import { MERGE_RESOLUTIONS, mergeData } from './mergeImport';
+import {
+  applyShiftVersion,
+  getShiftVersion,
+  getShiftVersionOn,
+  loadVersionedSchedule,
+  recordShiftChanges,
+  recordShiftVersion,
+  toScheduleRefs
+} from './shiftVersions';
+import { AVAILABILITY_RULES, PREFERENCE_TYPES, describeAvailabilityRule } from './availability';
+import { getFairnessReport, getFairnessWindow, isUnfair } from './fairness';
+import { ChangeHistory, EDITOR_NAME_KEY, HISTORY_SECTIONS, filterAuditLog, formatChange } from './history';
+import {
+  archiveEmployee,
+  cascadeDeleteRole,
+  cascadeDeleteShift,
+  getEmployeeDependents,
+  getRoleDependents,
+  getShiftDependents,
+  hasShiftDependents,
+  isEmployeeActive,
+  reassignRole,
+  restoreEmployee
+} from './integrity';
+
+const storage = createStorage(import.meta.env);
+
+const DIAGNOSTIC_LABELS = {
+  unfilled: 'Unfilled slot',
+  understaffed: 'Below minimum',
+  relaxed: 'Relaxed constraint',
+  'under-hours': 'Under target hours',
+  'over-hours': 'Over target hours',
+  preferences: 'Preferences'
+};
+
+const NO_PINS = { cells: {}, employees: [] };
+
+const ATTENDANCE_BADGES = {
+  'on-time': { label: 'On Time', icon: CheckCircle, className: 'text-green-600' },
+  correct: { label: 'Slightly Late', icon: AlertCircle, className: 'text-yellow-600' },
+  late: { label: 'Late', icon: XCircle, className: 'text-red-600' },
+  'half-day': { label: 'Half Day', icon: XCircle, className: 'text-red-800' },
+  'no-show': { label: 'No-Show', icon: XCircle, className: 'text-red-700' },
+  'sick-leave': { label: 'Sick Leave', icon: Calendar, className: 'text-blue-600' },
+  excused: { label: 'Excused', icon: CheckCircle, className: 'text-gray-600' },
+  'early-leave': { label: 'Left Early', icon: AlertCircle, className: 'text-orange-600' },
+  overtime: { label: 'Overtime', icon: Clock, className: 'text-purple-600' }
+};
+
+// "1h 20m" for a number of minutes
+const formatDuration = (minutes) => {
+  const rounded = Math.round(Math.abs(minutes));
+  return rounded >= 60 ? `${Math.floor(rounded / 60)}h ${rounded % 60}m` : `${rounded}m`;
+};
+
+// The roll call lists shifts starting between these many minutes ago and from now
+const ROLL_CALL_WINDOW = { lookBackMinutes: 240, lookAheadMinutes: 120 };
+
+// Minute thresholds of the attendance policy, editable globally and per role/shift
+const ATTENDANCE_POLICY_FIELDS = [
+  { key: 'graceMinutes', label: 'Grace Period' },
+  { key: 'lateAfterMinutes', label: 'Late After' },
+  { key: 'halfDayAfterMinutes', label: 'Half Day After' },
+  { key: 'earlyArrivalLimitMinutes', label: 'Early Arrival Limit' },
+  { key: 'earlyLeaveMinutes', label: 'Early Leave Before End' },
+  { key: 'overtimeMinutes', label: 'Overtime After' },
+  { key: 'roundingMinutes', label: 'Round Clock Times To' },
+  { key: 'noShowAfterMinutes', label: 'No-Show After' }
+];
+
+const LEAVE_TYPE_COLORS = {
+  vacation: 'bg-green-400',
+  sick: 'bg-red-400',
+  unpaid: 'bg-gray-400',
+  training: 'bg-purple-400'
+};
 
-const storage = new JSONStorage();
+const DIAGNOSTIC_COLUMNS = [
+  { key: 'type', label: 'Type' },
+  { key: 'date', label: 'Date' },
+  { key: 'role', label: 'Role' },
+  { key: 'shift', label: 'Shift' },
+  { key: 'employee', label: 'Employee' },
+  { key: 'reason', label: 'Reason' },
+  { key: 'message', label: 'Details' }
+];
+
+// Columns of the attendance report, shown in the table and exported as CSV
+const ATTENDANCE_SUMMARY_COLUMNS = [
+  { key: 'employee', label: 'Employee' },
+  { key: 'role', label: 'Role' },
+  { key: 'shifts', label: 'Shifts' },
+  { key: 'onTime', label: 'On Time' },
+  { key: 'slightlyLate', label: 'Slightly Late' },
+  { key: 'late', label: 'Late' },
+  { key: 'halfDay', label: 'Half Day' },
+  { key: 'averageMinutesLate', label: 'Avg Minutes Late' },
+  { key: 'noShows', label: 'No-Shows' },
+  { key: 'sickLeave', label: 'Sick Leave' },
+  { key: 'excused', label: 'Excused' },
+  { key: 'unrecorded', label: 'Unrecorded' },
+  { key: 'earlyLeaves', label: 'Left Early' },
+  { key: 'scheduledHours', label: 'Scheduled Hours' },
+  { key: 'workedHours', label: 'Worked Hours' },
+  { key: 'hoursDifference', label: 'Difference' },
+  { key: 'overtimeShifts', label: 'Overtime Shifts' },
+  { key: 'overtimeHours', label: 'Overtime Hours' }
+];
+
+const MERGE_SECTION_LABELS = { roles: 'Roles', shifts: 'Shifts', employees: 'Employees' };
+
+const MERGE_RESOLUTION_LABELS = { local: 'Keep local', incoming: 'Take incoming', both: 'Keep both' };
+
+const ATTENDANCE_DETAIL_COLUMNS = [
+  { key: 'date', label: 'Date' },
+  { key: 'employee', label: 'Employee' },
+  { key: 'role', label: 'Role' },
+  { key: 'shift', label: 'Shift' },
+  { key: 'clockIn', label: 'Clock In' },
+  { key: 'clockOut', label: 'Clock Out' },
+  { key: 'status', label: 'Arrival' },
+  { key: 'minutesLate', label: 'Minutes Late' },
+  { key: 'departureStatus', label: 'Departure' },
+  { key: 'scheduledHours', label: 'Scheduled Hours' },
+  { key: 'workedHours', label: 'Worked Hours' },
+  { key: 'overtimeHours', label: 'Overtime Hours' }
+];
+
+// Change history rows shown on the dashboard; the filters reach the rest
+const AUDIT_LOG_SHOWN = 200;
 
 const ShiftAttendanceApp = () => {
   const [activeTab, setActiveTab] = useState('dashboard');
@@ -128,26 +207,61 @@ const ShiftAttendanceApp = () => {
   const [roles, setRoles] = useState([]);
   const [shifts, setShifts] = useState([]);
   const [schedule, setSchedule] = useState({});
+  const [shiftVersions, setShiftVersions] = useState({});
   const [attendance, setAttendance] = useState({});
   const [leaveRequests, setLeaveRequests] = useState({});
   const [shiftHistory, setShiftHistory] = useState({});
+  const [scheduleSeeds, setScheduleSeeds] = useState({});
+  const [settings, setSettings] = useState(DEFAULT_SETTINGS);
+  const [scheduleDiagnostics, setScheduleDiagnostics] = useState([]);
+  const [schedulePins, setSchedulePins] = useState(NO_PINS);
+  const [leaveAdjustments, setLeaveAdjustments] = useState([]);
+  // Why changes are not being saved: the stored data failed to load, or
+  // another user saved the shared data since it was loaded
+  const [storageError, setStorageError] = useState('');
+  const [restoreRoleIds, setRestoreRoleIds] = useState({});
+
+  // Undo/redo and the audit log; see history.js
+  const [history] = useState(() => new ChangeHistory());
+  const historyState = useSyncExternalStore(history.subscribe, history.getSnapshot);
+  const [editorName, setEditorName] = useState(() => window.localStorage.getItem(EDITOR_NAME_KEY) || '');
+  const [auditFilters, setAuditFilters] = useState({ user: '', section: '', from: '', to: '', text: '' });
+  const lastDataRef = useRef(null);
+  const nextChangeRef = useRef({});
+
+  // How the next data change is recorded: { action, user, undoable } or
+  // { skip: true } for loading saved data and applying undo/redo
+  const labelNextChange = (change) => {
+    nextChangeRef.current = change;
+  };
 
   // Load data from JSON storage on mount
   useEffect(() => {
     const loadInitialData = async () => {
       const result = await storage.loadData();
-      if (result.success && result.data) {
+      if (!result.success) {
+        setStorageError(`Could not load the stored data (${result.error}).`);
+      } else if (result.data) {
+        labelNextChange({ skip: true });
+        history.reset(result.data.auditLog || []);
         setEmployees(result.data.employees || []);
         setRoles(result.data.roles || []);
-        setShifts(result.data.shifts || []);
-        setSchedule(result.data.schedule || {});
-        setAttendance(result.data.attendance || {});
+        const versioned = loadVersionedSchedule(result.data, getToday());
+        setShifts(versioned.shifts);
+        setSchedule(versioned.schedule);
+        setShiftVersions(versioned.shiftVersions);
+        setAttendance(normalizeAttendance(result.data.attendance));
         setShiftHistory(result.data.shiftHistory || {});
-        setLeaveRequests(result.data.leaveRequests || {});
+        setLeaveRequests(normalizeLeaveRequests(result.data.leaveRequests));
+        setScheduleSeeds(result.data.scheduleSeeds || {});
+        setScheduleDiagnostics(result.data.scheduleDiagnostics || []);
+        setSchedulePins(result.data.schedulePins || NO_PINS);
+        setLeaveAdjustments(result.data.leaveAdjustments || []);
+        setSettings(withDefaultSettings(result.data.settings));
       }
     };
     loadInitialData();
-  }, []);
+  }, [history]);
 
   // Save data to JSON storage whenever it changes
   useEffect(() => {
@@ -156,32 +270,106 @@ const ShiftAttendanceApp = () => {
         employees,
         roles,
         shifts,
-        schedule,
+        shiftVersions,
+        schedule: toScheduleRefs(schedule),
         attendance,
         shiftHistory,
         leaveRequests,
+        scheduleSeeds,
+        scheduleDiagnostics,
+        schedulePins,
+        leaveAdjustments,
+        settings,
+        auditLog: historyState.auditLog,
+        schemaVersion: SCHEMA_VERSION,
         lastUpdated: new Date().toISOString()
       };
-      await storage.saveData(dataToSave);
+      const result = await storage.saveChanges(dataToSave);
+      if (result.conflict) setStorageError(result.error);
     };
     
     // Only save if we have any data
     if (employees.length > 0 || roles.length > 0 || shifts.length > 0) {
       saveData();
     }
-  }, [employees, roles, shifts, schedule, attendance, shiftHistory, leaveRequests]);
-  
+  }, [employees, roles, shifts, shiftVersions, schedule, attendance, shiftHistory, leaveRequests, scheduleSeeds, scheduleDiagnostics, schedulePins, leaveAdjustments, settings, historyState.auditLog]);
+
+  // Record every data change for undo/redo and the audit log. React batches
+  // the updates of one handler, so one user action is one step.
+  useEffect(() => {
+    const data = {
+      employees,
+      roles,
+      shifts,
+      shiftVersions,
+      schedule,
+      shiftHistory,
+      attendance,
+      leaveRequests,
+      leaveAdjustments,
+      scheduleSeeds,
+      scheduleDiagnostics,
+      schedulePins,
+      settings
+    };
+    const previous = lastDataRef.current;
+    const change = nextChangeRef.current;
+    lastDataRef.current = data;
+    nextChangeRef.current = {};
+    if (previous && !change.skip) {
+      history.record(previous, data, { ...change, user: change.user || editorName });
+    }
+  }, [employees, roles, shifts, shiftVersions, schedule, shiftHistory, attendance, leaveRequests, leaveAdjustments, scheduleSeeds, scheduleDiagnostics, schedulePins, settings, history, editorName]);
+
+  const applyHistoryStep = (data) => {
+    if (!data) return;
+    labelNextChange({ skip: true });
+    setEmployees(data.employees);
+    setRoles(data.roles);
+    setShifts(data.shifts);
+    setShiftVersions(data.shiftVersions);
+    setSchedule(data.schedule);
+    setShiftHistory(data.shiftHistory);
+    setAttendance(data.attendance);
+    setLeaveRequests(data.leaveRequests);
+    setLeaveAdjustments(data.leaveAdjustments);
+    setScheduleSeeds(data.scheduleSeeds);
+    setScheduleDiagnostics(data.scheduleDiagnostics);
+    setSchedulePins(data.schedulePins);
+    setSettings(data.settings);
+  };
+
+  const undo = () => applyHistoryStep(history.undo(lastDataRef.current, editorName));
+  const redo = () => applyHistoryStep(history.redo(lastDataRef.current, editorName));
+
+  // Ctrl+Z / Ctrl+Shift+Z / Ctrl+Y (Cmd on Mac), except while typing in a field
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || ['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) return;
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undo();
+      } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+        e.preventDefault();
+        redo();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  });
+
   // Forms state
   const [showEmployeeForm, setShowEmployeeForm] = useState(false);
   const [showRoleForm, setShowRoleForm] = useState(false);
   const [showShiftForm, setShowShiftForm] = useState(false);
   
   const [employeeForm, setEmployeeForm] = useState({
-    id: '', name: '', roleId: '', weeklyHours: 40, dailyMaxHours: 8, skills: '', shiftsPerWeek: 5
+    id: '', name: '', roleId: '', weeklyHours: 40, dailyMaxHours: 8, skills: '', shiftsPerWeek: 5, availability: [], preferences: []
   });
   
   const [roleForm, setRoleForm] = useState({
-    id: '', name: '', weekendRequired: false, requiredSkills: '', breakMinutes: 60
+    id: '', name: '', weekendRequired: false, requiredSkills: '', breakMinutes: 60, minEmployees: '', maxEmployees: ''
   });
   
   const [editingEmployee, setEditingEmployee] = useState(null);
@@ -189,13 +377,70 @@ const ShiftAttendanceApp = () => {
   const [editingShift, setEditingShift] = useState(null);
   const [attendanceTime, setAttendanceTime] = useState({});
   const [selectedEmployeeForLeave, setSelectedEmployeeForLeave] = useState(null);
+  const [leaveForm, setLeaveForm] = useState({ employeeId: '', type: 'vacation', startDate: '', endDate: '', reason: '' });
+  const [leaveApprover, setLeaveApprover] = useState('');
+  const [leaveComments, setLeaveComments] = useState({});
+  const [leaveStatusFilter, setLeaveStatusFilter] = useState('pending');
+  const [leaveMonth, setLeaveMonth] = useState(() => getToday().slice(0, 7));
+  const [reportFilters, setReportFilters] = useState(() => ({
+    startDate: `${getToday().slice(0, 7)}-01`,
+    endDate: getToday(),
+    employeeId: '',
+    roleId: '',
+    shiftId: ''
+  }));
+  const [reportView, setReportView] = useState('summary');
+  const [importPreview, setImportPreview] = useState(null);
+  const [pendingDelete, setPendingDelete] = useState(null);
+  const [adjustmentForm, setAdjustmentForm] = useState({ type: 'vacation', days: '', note: '' });
   
   const [shiftForm, setShiftForm] = useState({
-    id: '', name: '', startTime: '09:00', endTime: '17:00', roleId: '', daysOfWeek: [], priority: 50
+    id: '', name: '', startTime: '09:00', endTime: '17:00', roleId: '', daysOfWeek: [], priority: 50, requiredSkills: '',
+    minEmployees: '', maxEmployees: ''
   });
 
-  const daysOfWeek = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
-  const [currentWeek, setCurrentWeek] = useState(getWeekDates());
+  const daysOfWeek = DAYS_OF_WEEK;
+  const [currentWeek, setCurrentWeek] = useState(() => getWeekDates());
+  const [weeksToGenerate, setWeeksToGenerate] = useState(1);
+  const [diagnosticsFilter, setDiagnosticsFilter] = useState('all');
+  const [draggedAssignment, setDraggedAssignment] = useState(null);
+  const [dropCheck, setDropCheck] = useState(null);
+  const [addingCell, setAddingCell] = useState(null);
+  const [attendanceMode, setAttendanceMode] = useState('week');
+  const [now, setNow] = useState(() => ({ date: getToday(), time: getCurrentTime() }));
+
+  // Keep the roll call's clock current while it is open
+  useEffect(() => {
+    if (attendanceMode !== 'today') return;
+    const timer = setInterval(() => setNow({ date: getToday(), time: getCurrentTime() }), 60 * 1000);
+    return () => clearInterval(timer);
+  }, [attendanceMode]);
+
+  // Turn scheduled shifts nobody clocked in for into no-shows once the policy's
+  // window has passed: checked right after the data changes and every minute
+  useEffect(() => {
+    const check = () => {
+      const detected = detectNoShows(schedule, attendance, { date: getToday(), time: getCurrentTime() }, {
+        lookbackDays: settings.noShowLookbackDays,
+        getPolicy: (employeeId, shift) => {
+          const role = roles.find(r => r.id === employees.find(e => e.id === employeeId)?.roleId);
+          return resolveAttendancePolicy(settings.attendancePolicy, role, shifts.find(s => s.id === shift.id) || shift);
+        },
+        isOnLeave: (employeeId, date) => isEmployeeOnLeave(leaveRequests, employeeId, date)
+      });
+      if (Object.keys(detected).length > 0) {
+        labelNextChange({ action: 'Detected no-shows', user: 'System', undoable: false });
+        setAttendance(current => ({ ...detected, ...current }));
+      }
+    };
+
+    const firstCheck = setTimeout(check, 0);
+    const timer = setInterval(check, 60 * 1000);
+    return () => {
+      clearTimeout(firstCheck);
+      clearInterval(timer);
+    };
+  }, [schedule, attendance, leaveRequests, employees, roles, shifts, settings]);
 
   // Auto-calculate shifts per week based on weekly hours and daily max
   const calculateShiftsPerWeek = (weeklyHours, dailyMaxHours) => {
@@ -203,28 +448,15 @@ const ShiftAttendanceApp = () => {
     return Math.ceil(weeklyHours / dailyMaxHours);
   };
 
-  // Sort employees by role
-  const getSortedEmployees = () => {
-    return [...employees].sort((a, b) => {
-      const roleA = roles.find(r => r.id === a.roleId);
-      const roleB = roles.find(r => r.id === b.roleId);
-      const roleNameA = roleA?.name || '';
-      const roleNameB = roleB?.name || '';
-      if (roleNameA !== roleNameB) return roleNameA.localeCompare(roleNameB);
-      return a.name.localeCompare(b.name);
-    });
-  };
+  // Active employees by role; archived ones only where they still have
+  // assignments on one of the dates, so past weeks stay complete
+  const getSortedEmployees = (dates = []) => sortEmployeesByRole(
+    employees.filter(e => isEmployeeActive(e) || dates.some(date => schedule[date]?.[e.id])),
+    roles
+  );
 
-  function getWeekDates() {
-    const today = new Date();
-    const first = today.getDate() - today.getDay() + 1;
-    const week = [];
-    for (let i = 0; i < 7; i++) {
-      const day = new Date(today.setDate(first + i));
-      week.push(day.toISOString().split('T')[0]);
-    }
-    return week;
-  }
+  // Move the Schedule, Leave and Attendance views to the week containing date
+  const goToWeek = (date) => setCurrentWeek(getWeekDates(date));
 
   // Add/Edit Employee
   const saveEmployee = () => {
@@ -232,13 +464,19 @@ const ShiftAttendanceApp = () => {
       alert('Please fill required fields');
       return;
     }
+    if (employeeForm.availability.some(r => r.rule !== 'never' && !r.time)) {
+      alert('Please enter a time for each availability rule');
+      return;
+    }
     
     const shiftsPerWeek = calculateShiftsPerWeek(employeeForm.weeklyHours, employeeForm.dailyMaxHours);
     
     const employeeData = {
       ...employeeForm,
       shiftsPerWeek,
-      skills: employeeForm.skills.split(',').map(s => s.trim()).filter(s => s)
+      skills: employeeForm.skills.split(',').map(s => s.trim()).filter(s => s),
+      // Preferences only make sense for shifts of the employee's role
+      preferences: employeeForm.preferences.filter(p => shifts.some(s => s.id === p.shiftId && s.roleId === employeeForm.roleId))
     };
     
     if (editingEmployee) {
@@ -247,14 +485,39 @@ const ShiftAttendanceApp = () => {
     } else {
       setEmployees([...employees, { ...employeeData, id: Date.now().toString() }]);
     }
-    setEmployeeForm({ id: '', name: '', roleId: '', weeklyHours: 40, dailyMaxHours: 8, skills: '', shiftsPerWeek: 5 });
+    setEmployeeForm({ id: '', name: '', roleId: '', weeklyHours: 40, dailyMaxHours: 8, skills: '', shiftsPerWeek: 5, availability: [], preferences: [] });
     setShowEmployeeForm(false);
   };
 
+  // Change one availability rule or shift preference in the employee form
+  const updateEmployeeFormItem = (field, idx, changes) => {
+    setEmployeeForm({
+      ...employeeForm,
+      [field]: employeeForm[field].map((item, i) => (i === idx ? { ...item, ...changes } : item))
+    });
+  };
+
+  const removeEmployeeFormItem = (field, idx) => {
+    setEmployeeForm({ ...employeeForm, [field]: employeeForm[field].filter((_, i) => i !== idx) });
+  };
+
+  // Employees are archived, not deleted, so past attendance stays readable
   const deleteEmployee = (id) => {
-    if (confirm('Delete this employee?')) {
-      setEmployees(employees.filter(e => e.id !== id));
-    }
+    setPendingDelete({ type: 'employee', id });
+  };
+
+  // Employees whose role was deleted need a new one (restoreRoleIds)
+  const restoreArchivedEmployee = (id) => {
+    setEmployees(restoreEmployee(employees, id, restoreRoleIds[id]));
+  };
+
+  // Empty staffing inputs mean "not set" (shifts then fall back to the role)
+  const parseStaffingLimit = (value) => (value === '' || value === undefined ? undefined : Number(value));
+
+  // Keep only the attendance policy fields a role or shift actually overrides
+  const cleanPolicyOverride = (override) => {
+    const fields = Object.entries(override || {}).filter(([, value]) => value !== '' && value !== null && value !== undefined);
+    return fields.length > 0 ? Object.fromEntries(fields) : undefined;
   };
 
   // Add/Edit Role
@@ -265,8 +528,15 @@ const ShiftAttendanceApp = () => {
     }
     const roleData = {
       ...roleForm,
-      requiredSkills: roleForm.requiredSkills.split(',').map(s => s.trim()).filter(s => s)
+      requiredSkills: roleForm.requiredSkills.split(',').map(s => s.trim()).filter(s => s),
+      minEmployees: parseStaffingLimit(roleForm.minEmployees),
+      maxEmployees: parseStaffingLimit(roleForm.maxEmployees),
+      attendancePolicy: cleanPolicyOverride(roleForm.attendancePolicy)
     };
+    if (roleData.minEmployees > roleData.maxEmployees) {
+      alert('Minimum employees cannot be more than maximum employees');
+      return;
+    }
     
     if (editingRole) {
       setRoles(roles.map(r => r.id === editingRole.id ? roleData : r));
@@ -274,12 +544,15 @@ const ShiftAttendanceApp = () => {
     } else {
       setRoles([...roles, { ...roleData, id: Date.now().toString() }]);
     }
-    setRoleForm({ id: '', name: '', weekendRequired: false, requiredSkills: '', breakMinutes: 60 });
+    setRoleForm({ id: '', name: '', weekendRequired: false, requiredSkills: '', breakMinutes: 60, minEmployees: '', maxEmployees: '' });
     setShowRoleForm(false);
   };
 
   const deleteRole = (id) => {
-    if (confirm('Delete this role?')) {
+    const dependents = getRoleDependents(id, { employees, shifts, schedule }, getToday());
+    if (dependents.employees.length > 0 || dependents.shifts.length > 0) {
+      setPendingDelete({ type: 'role', id, targetRoleId: '' });
+    } else if (confirm('Delete this role?')) {
       setRoles(roles.filter(r => r.id !== id));
     }
   };
@@ -291,506 +564,1163 @@ const ShiftAttendanceApp = () => {
       return;
     }
     const role = roles.find(r => r.id === shiftForm.roleId);
+    const { effectiveFrom, ...form } = shiftForm;
     const shiftData = {
-      ...shiftForm,
+      ...form,
+      requiredSkills: shiftForm.requiredSkills.split(',').map(s => s.trim()).filter(s => s),
+      minEmployees: parseStaffingLimit(shiftForm.minEmployees),
+      maxEmployees: parseStaffingLimit(shiftForm.maxEmployees),
+      attendancePolicy: cleanPolicyOverride(shiftForm.attendancePolicy),
       hours: calculateShiftHours(shiftForm.startTime, shiftForm.endTime, role?.breakMinutes || 0)
     };
+    const limits = getStaffingLimits(role, shiftData);
+    if (limits.min !== null && limits.max !== null && limits.min > limits.max) {
+      alert('Minimum employees cannot be more than maximum employees');
+      return;
+    }
     
+    // Edits become a new version; scheduled weeks from its effective date on follow it
+    const fromDate = editingShift ? (effectiveFrom || getToday()) : '';
+    const versioned = recordShiftVersion(
+      shiftVersions,
+      editingShift ? shiftData : { ...shiftData, id: Date.now().toString() },
+      fromDate,
+      editingShift
+    );
+    setShiftVersions(versioned.shiftVersions);
     if (editingShift) {
-      setShifts(shifts.map(s => s.id === editingShift.id ? shiftData : s));
+      setShifts(shifts.map(s => s.id === editingShift.id ? versioned.shift : s));
+      setSchedule(applyShiftVersion(schedule, versioned.shift, fromDate));
       setEditingShift(null);
     } else {
-      setShifts([...shifts, { ...shiftData, id: Date.now().toString() }]);
+      setShifts([...shifts, versioned.shift]);
     }
-    setShiftForm({ id: '', name: '', startTime: '09:00', endTime: '17:00', roleId: '', daysOfWeek: [] });
+    setShiftForm({
+      id: '', name: '', startTime: '09:00', endTime: '17:00', roleId: '', daysOfWeek: [], priority: 50, requiredSkills: '',
+      minEmployees: '', maxEmployees: ''
+    });
     setShowShiftForm(false);
   };
 
   const deleteShift = (id) => {
-    if (confirm('Delete this shift?')) {
+    if (hasShiftDependents(getShiftDependents(id, { schedule, employees, schedulePins }, getToday()))) {
+      setPendingDelete({ type: 'shift', id });
+    } else if (confirm('Delete this shift?')) {
       setShifts(shifts.filter(s => s.id !== id));
     }
   };
 
-  const calculateShiftHours = (start, end, breakMinutes = 0) => {
-    const [sh, sm] = start.split(':').map(Number);
-    const [eh, em] = end.split(':').map(Number);
-    let minutes = (eh * 60 + em - sh * 60 - sm);
-    if (minutes < 0) minutes += 24 * 60;
-    minutes -= breakMinutes;
-    return minutes / 60;
-  };
+  // Carry out a delete from the dependents dialog: 'reassign' moves a role's
+  // employees and shifts to the chosen role, 'cascade' removes what depends on it
+  const confirmDelete = (action) => {
+    const { type, id, targetRoleId } = pendingDelete;
+    const today = getToday();
 
-  // Calculate how many days an employee should work based on their weekly hours
-  const calculateWorkDays = (employee, shiftsInRole) => {
-    if (!shiftsInRole.length) return 5;
-    
-    const avgShiftHours = shiftsInRole.reduce((sum, s) => sum + s.hours, 0) / shiftsInRole.length;
-    const workDays = Math.ceil(employee.weeklyHours / avgShiftHours);
-    return Math.min(workDays, 7);
+    if (type === 'role' && action === 'reassign') {
+      if (!targetRoleId) {
+        alert('Please select the role to move employees and shifts to');
+        return;
+      }
+      const result = reassignRole({ employees, shifts, schedule }, id, targetRoleId, today);
+      const versioned = recordShiftChanges({ shiftVersions, shifts: result.shifts, schedule: result.schedule }, shifts, today);
+      setEmployees(result.employees);
+      setShifts(versioned.shifts);
+      setShiftVersions(versioned.shiftVersions);
+      setSchedule(versioned.schedule);
+      setRoles(roles.filter(r => r.id !== id));
+    } else if (type === 'role') {
+      const result = cascadeDeleteRole({ roles, employees, shifts, schedule, shiftHistory, schedulePins }, id, today);
+      setRoles(result.roles);
+      setEmployees(result.employees);
+      setShifts(result.shifts);
+      setSchedule(result.schedule);
+      setShiftHistory(result.shiftHistory);
+      setSchedulePins(result.schedulePins);
+    } else if (type === 'shift') {
+      const result = cascadeDeleteShift({ shifts, schedule, shiftHistory, employees, schedulePins }, id, today);
+      setShifts(result.shifts);
+      setSchedule(result.schedule);
+      setShiftHistory(result.shiftHistory);
+      setEmployees(result.employees);
+      setSchedulePins(result.schedulePins);
+    } else {
+      const result = archiveEmployee({ employees, schedule, shiftHistory }, id, today);
+      setEmployees(result.employees);
+      setSchedule(result.schedule);
+      setShiftHistory(result.shiftHistory);
+      setSchedulePins({ ...schedulePins, employees: (schedulePins.employees || []).filter(empId => empId !== id) });
+    }
+    const name = { role: roles, shift: shifts, employee: employees }[type].find(i => i.id === id)?.name;
+    labelNextChange({ action: `${type === 'employee' ? 'Archived' : 'Deleted'} ${type} ${name}` });
+    setPendingDelete(null);
   };
 
-  // Generate staggered work patterns for maximum coverage
-  const generateStaggeredWorkPatterns = (roleEmployees, shiftsInRole, shiftDaysNeeded) => {
-    const patterns = {};
-    const dayCoverage = Array(7).fill(0);
-    
-    // Sort employees by work days to prioritize those with fewer days
-    const sortedEmployees = [...roleEmployees].sort((a, b) => {
-      const aDays = calculateWorkDays(a, shiftsInRole);
-      const bDays = calculateWorkDays(b, shiftsInRole);
-      return aDays - bDays;
+  // Run the scheduling engine for the selected number of weeks, starting at the
+  // current week. Reuses each week's stored seed so regenerating gives the same
+  // roster; reshuffle picks new seeds. Weeks outside the range stay in place.
+  const generateSchedule = ({ reshuffle = false } = {}) => {
+    const weeks = getWeekRange(currentWeek[0], weeksToGenerate);
+    const dates = weeks.flat();
+
+    const keptSchedule = { ...schedule };
+    dates.forEach(date => {
+      delete keptSchedule[date];
     });
-    
-    sortedEmployees.forEach((emp, empIndex) => {
-      const workDays = calculateWorkDays(emp, shiftsInRole);
-      const pattern = Array(7).fill(false);
-      
-      // Strategy: Stagger patterns to maximize coverage
-      // Different starting points for different employees
-      const offset = empIndex % 7;
-      
-      if (workDays === 5) {
-        // Traditional Mon-Fri OR staggered to cover weekends
-        if (empIndex % 3 === 0 && shiftDaysNeeded.includes('Saturday')) {
-          // Pattern: Mon, Tue, Wed, Sat, Sun (covers weekend)
-          [0, 1, 2, 5, 6].forEach(i => {
-            pattern[i] = true;
-            dayCoverage[i]++;
-          });
-        } else if (empIndex % 3 === 1 && shiftDaysNeeded.includes('Sunday')) {
-          // Pattern: Wed, Thu, Fri, Sat, Sun (covers weekend transition)
-          [2, 3, 4, 5, 6].forEach(i => {
-            pattern[i] = true;
-            dayCoverage[i]++;
-          });
-        } else {
-          // Pattern: Mon, Tue, Wed, Thu, Fri (standard)
-          [0, 1, 2, 3, 4].forEach(i => {
-            pattern[i] = true;
-            dayCoverage[i]++;
-          });
-        }
-      } else if (workDays === 6) {
-        // 6 days - rotate which day is off
-        for (let i = 0; i < 7; i++) {
-          if (i !== offset) {
-            pattern[i] = true;
-            dayCoverage[i]++;
-          }
-        }
-      } else if (workDays === 7) {
-        // All 7 days
-        pattern.fill(true);
-        dayCoverage.forEach((_, i) => dayCoverage[i]++);
-      } else {
-        // For fewer days (2-4), spread evenly but prioritize low-coverage days
-        const interval = 7 / workDays;
-        for (let i = 0; i < workDays; i++) {
-          // Find the day with lowest coverage
-          let minCoverageDay = 0;
-          let minCoverage = Infinity;
-          
-          for (let d = 0; d < 7; d++) {
-            if (!pattern[d] && dayCoverage[d] < minCoverage) {
-              minCoverage = dayCoverage[d];
-              minCoverageDay = d;
-            }
-          }
-          
-          // If all potential days have coverage, use interval-based spacing
-          if (minCoverage === Infinity) {
-            const index = Math.floor((i + offset) * interval) % 7;
-            if (!pattern[index]) {
-              pattern[index] = true;
-              dayCoverage[index]++;
-            }
-          } else {
-            pattern[minCoverageDay] = true;
-            dayCoverage[minCoverageDay]++;
-          }
-        }
-      }
-      
-      patterns[emp.id] = pattern;
+
+    const result = buildScheduleForWeeks({
+      employees: employees.filter(isEmployeeActive),
+      roles,
+      shifts,
+      leaveRequests,
+      shiftHistory: removeScheduleFromHistory(shiftHistory, schedule, dates),
+      historyWindowWeeks: settings.rotationWindowWeeks,
+      existingSchedule: keptSchedule,
+      pinnedSchedule: getPinnedSchedule(schedule, schedulePins, dates),
+      minRestHours: settings.minRestHours,
+      // Shift edits effective later must not apply to earlier dates
+      getShiftOn: (shift, date) => getShiftVersionOn(shiftVersions, shift.id, date) || shift,
+      weeks,
+      seeds: reshuffle ? {} : scheduleSeeds
     });
-    
-    return patterns;
+
+    labelNextChange({ action: `${reshuffle ? 'Reshuffled' : 'Generated'} schedule from ${dates[0]} to ${dates[dates.length - 1]}` });
+    setSchedule({ ...keptSchedule, ...result.schedule });
+    setShiftHistory(result.shiftHistory);
+    setScheduleSeeds({ ...scheduleSeeds, ...result.seeds });
+    setScheduleDiagnostics(result.diagnostics);
+    setDiagnosticsFilter('all');
   };
 
-  // COMPLETELY REDESIGNED SCHEDULING LOGIC WITH ALL DAYS FILLED
-  const generateSchedule = () => {
-    const newSchedule = {};
-    const employeeShiftCounts = {};
-    const newShiftHistory = {...shiftHistory};
-    
-    // Sort employees by role for consistent processing
-    const sortedEmployees = getSortedEmployees();
-    
-    // Initialize tracking
-    sortedEmployees.forEach(emp => {
-      employeeShiftCounts[emp.id] = 0;
-      if (!newShiftHistory[emp.id]) {
-        newShiftHistory[emp.id] = {};
-      }
-    });
+  // Manual schedule edits are checked with the same rules as the generator;
+  // breaking a rule needs the supervisor's confirmation
+  const getAssignmentViolation = (target, exclude = []) => {
+    return validateAssignment(
+      { schedule, employees, roles, leaveRequests, minRestHours: settings.minRestHours },
+      target,
+      exclude
+    );
+  };
 
-    // STEP 1: Calculate total shifts available per role
-    const roleShiftCapacity = {};
-    roles.forEach(role => {
-      const roleEmployees = sortedEmployees.filter(e => e.roleId === role.id);
-      const totalShifts = roleEmployees.reduce((sum, emp) => {
-        const shiftsPerWeek = emp.shiftsPerWeek || Math.ceil(emp.weeklyHours / emp.dailyMaxHours);
-        return sum + shiftsPerWeek;
-      }, 0);
-      roleShiftCapacity[role.id] = totalShifts;
-    });
+  const toAssignmentRef = (assignment) => ({
+    employeeId: assignment.employeeId,
+    date: assignment.date,
+    shiftId: assignment.shift.id
+  });
 
-    // STEP 2: Divide total shifts among shift types based on priority weightage
-    const shiftAllocation = {};
-    roles.forEach(role => {
-      const roleShifts = shifts.filter(s => s.roleId === role.id);
-      if (roleShifts.length === 0) return;
-      
-      const totalPriority = roleShifts.reduce((sum, s) => sum + (s.priority || 50), 0);
-      const totalShiftsAvailable = roleShiftCapacity[role.id];
-      
-      shiftAllocation[role.id] = {};
-      roleShifts.forEach(shift => {
-        const weight = (shift.priority || 50) / totalPriority;
-        const allocatedShifts = Math.round(totalShiftsAvailable * weight);
-        shiftAllocation[role.id][shift.id] = allocatedShifts;
-      });
-    });
+  const applyScheduleEdit = (result, violations = []) => {
+    const problems = violations.filter(Boolean);
+    if (problems.length > 0 && !window.confirm(`This change breaks scheduling rules:\n- ${problems.join('\n- ')}\n\nApply anyway?`)) {
+      return;
+    }
+    setSchedule(result.schedule);
+    setShiftHistory(result.shiftHistory);
+  };
 
-    // STEP 3: Create shift slots - ENSURE ALL DAYS ARE FILLED
-    const allShiftSlots = [];
-    
-    roles.forEach(role => {
-      const roleShifts = shifts.filter(s => s.roleId === role.id);
-      const roleEmployees = sortedEmployees.filter(e => e.roleId === role.id);
-      
-      if (roleEmployees.length === 0) return;
-      
-      roleShifts.forEach(shift => {
-        const totalAllocated = shiftAllocation[role.id]?.[shift.id] || 0;
-        
-        // Count how many days this shift operates
-        const operatingDays = currentWeek.filter((date, idx) => 
-          shift.daysOfWeek.includes(daysOfWeek[idx])
-        );
-        
-        if (operatingDays.length === 0) return;
-        
-        // CRITICAL: Calculate slots per day to FILL ALL DAYS
-        // Distribute the total allocated shifts evenly across all operating days
-        const basePerDay = Math.floor(totalAllocated / operatingDays.length);
-        const remainder = totalAllocated % operatingDays.length;
-        
-        // Ensure minimum of 1 employee per day if we have employees
-        const minPerDay = Math.min(1, roleEmployees.length);
-        
-        // RANDOMIZE which days get the extra slots from remainder
-        const daysToGetExtra = new Set();
-        const operatingDayIndices = currentWeek
-          .map((date, idx) => ({ date, idx, dayName: daysOfWeek[idx] }))
-          .filter(d => shift.daysOfWeek.includes(d.dayName))
-          .map(d => d.idx);
-        
-        // Randomly select which days get +1 slot
-        const shuffledIndices = [...operatingDayIndices].sort(() => Math.random() - 0.5);
-        for (let i = 0; i < remainder; i++) {
-          daysToGetExtra.add(shuffledIndices[i]);
-        }
-        
-        // Create slots for each operating day
-        currentWeek.forEach((date, dayIndex) => {
-          const dayName = daysOfWeek[dayIndex];
-          
-          if (shift.daysOfWeek.includes(dayName)) {
-            // Random days get +1, not always the first days
-            const getsExtra = daysToGetExtra.has(dayIndex);
-            const slotsThisDay = Math.max(minPerDay, basePerDay + (getsExtra ? 1 : 0));
-            
-            for (let i = 0; i < slotsThisDay; i++) {
-              allShiftSlots.push({
-                date,
-                dayIndex,
-                dayName,
-                shift,
-                role,
-                slotIndex: i,
-                employeeId: null,
-                filled: false,
-                priority: shift.priority || 50
-              });
-            }
-          }
-        });
-      });
+  // Rule violations for dropping the dragged shift on a cell, or on another shift to swap
+  const getDropViolations = (employeeId, date, targetShift) => {
+    const from = draggedAssignment;
+    if (!targetShift) {
+      return [getAssignmentViolation({ employeeId, date, shift: from.shift }, [toAssignmentRef(from)])];
+    }
+    const exclude = [toAssignmentRef(from), toAssignmentRef({ employeeId, date, shift: targetShift })];
+    return [
+      getAssignmentViolation({ employeeId, date, shift: from.shift }, exclude),
+      getAssignmentViolation({ employeeId: from.employeeId, date: from.date, shift: targetShift }, exclude)
+    ].filter(Boolean);
+  };
+
+  const handleScheduleDragOver = (e, employeeId, date, targetShift = null) => {
+    if (!draggedAssignment) return;
+    e.preventDefault();
+    if (targetShift) e.stopPropagation();
+
+    const key = `${employeeId}|${date}|${targetShift?.id || ''}`;
+    if (dropCheck?.key !== key) {
+      setDropCheck({ key, violations: getDropViolations(employeeId, date, targetShift) });
+    }
+  };
+
+  const handleScheduleDrop = (e, employeeId, date, targetShift = null) => {
+    e.preventDefault();
+    if (targetShift) e.stopPropagation();
+
+    const from = draggedAssignment;
+    setDraggedAssignment(null);
+    setDropCheck(null);
+    if (!from) return;
+
+    const sameCell = from.employeeId === employeeId && from.date === date;
+    if (sameCell && (!targetShift || targetShift.id === from.shift.id)) return;
+
+    const result = targetShift
+      ? swapAssignments(schedule, shiftHistory, from, { employeeId, date, shift: targetShift })
+      : moveAssignment(schedule, shiftHistory, from, { employeeId, date });
+    applyScheduleEdit(result, getDropViolations(employeeId, date, targetShift));
+  };
+
+  const addShiftToCell = (employeeId, date, shiftId) => {
+    const current = shifts.find(s => s.id === shiftId);
+    setAddingCell(null);
+    if (!current) return;
+
+    const shift = getShiftVersionOn(shiftVersions, shiftId, date) || current;
+
+    const violation = getAssignmentViolation({ employeeId, date, shift });
+    applyScheduleEdit(addAssignment(schedule, shiftHistory, { employeeId, date, shift }), [violation]);
+  };
+
+  const removeShiftFromCell = (employeeId, date, shiftId) => {
+    applyScheduleEdit(removeAssignment(schedule, shiftHistory, { employeeId, date, shiftId }));
+  };
+
+  const getDropHighlight = (key) => {
+    if (dropCheck?.key !== key) return '';
+    return dropCheck.violations.length > 0 ? 'ring-2 ring-red-400' : 'ring-2 ring-green-400';
+  };
+
+  // Diagnostics of the last run with names resolved, for display and export
+  const getDiagnosticRows = () => {
+    return scheduleDiagnostics.map(d => ({
+      type: DIAGNOSTIC_LABELS[d.type] || d.type,
+      kind: d.type,
+      date: d.date,
+      role: roles.find(r => r.id === d.roleId)?.name || '',
+      shift: shifts.find(s => s.id === d.shiftId)?.name || '',
+      employee: employees.find(e => e.id === d.employeeId)?.name || '',
+      reason: d.reason || '',
+      message: d.message
+    }));
+  };
+
+  const exportDiagnostics = (format) => {
+    const date = new Date().toISOString().split('T')[0];
+    const rows = getDiagnosticRows();
+    if (format === 'csv') {
+      downloadFile(toCSV(rows, DIAGNOSTIC_COLUMNS), `schedule-diagnostics-${date}.csv`, 'text/csv');
+    } else {
+      const report = { exportedAt: new Date().toISOString(), diagnostics: rows };
+      downloadFile(JSON.stringify(report, null, 2), `schedule-diagnostics-${date}.json`, 'application/json');
+    }
+  };
+
+  // Per-shift rows as details plus the per-employee rows and totals
+  const getAttendanceReport = () => {
+    const details = getAttendanceReportRows(schedule, attendance, {
+      startDate: reportFilters.startDate,
+      endDate: reportFilters.endDate,
+      employees,
+      roles,
+      shifts,
+      filters: reportFilters,
+      getPolicy: (employeeId, shift) => {
+        const role = roles.find(r => r.id === employees.find(e => e.id === employeeId)?.roleId);
+        return resolveAttendancePolicy(settings.attendancePolicy, role, shifts.find(s => s.id === shift.id) || shift);
+      }
     });
+    return { details, ...summarizeAttendanceReport(details) };
+  };
+
+  const exportAttendanceReport = () => {
+    const report = getAttendanceReport();
+    const range = `${reportFilters.startDate}-to-${reportFilters.endDate}`;
+    if (reportView === 'summary') {
+      downloadFile(toCSV([...report.rows, report.totals], ATTENDANCE_SUMMARY_COLUMNS), `attendance-summary-${range}.csv`, 'text/csv');
+    } else {
+      downloadFile(toCSV(report.details, ATTENDANCE_DETAIL_COLUMNS), `attendance-detail-${range}.csv`, 'text/csv');
+    }
+  };
 
-    // STEP 4: Assign employees to slots with rotation logic
-    // Sort slots by date for chronological assignment
-    allShiftSlots.sort((a, b) => {
-      const dateCompare = new Date(a.date) - new Date(b.date);
-      if (dateCompare !== 0) return dateCompare;
-      return Math.random() - 0.5;
+  // Check an import file and show what it would change before anything is overwritten
+  const previewImport = (fileName, text) => {
+    const prepared = prepareImport(text);
+    const current = { employees, roles, shifts, schedule: toScheduleRefs(schedule), attendance, leaveRequests, leaveAdjustments };
+    setImportPreview({
+      fileName,
+      ...prepared,
+      diff: prepared.errors.length === 0 ? getImportDiff(current, prepared.data) : [],
+      mode: 'replace',
+      resolutions: {}
     });
+  };
 
-    allShiftSlots.forEach(slot => {
-      const roleEmployees = sortedEmployees.filter(e => e.roleId === slot.role.id);
-      
-      // Find eligible employees for this slot
-      const eligibleEmployees = roleEmployees.filter(emp => {
-        // Check if employee is on leave this day
-        if (isOnLeave(emp.id, slot.date)) return false;
-        
-        // Check if employee has reached their weekly shift limit
-        const empShiftsPerWeek = emp.shiftsPerWeek || Math.ceil(emp.weeklyHours / emp.dailyMaxHours);
-        if (employeeShiftCounts[emp.id] >= empShiftsPerWeek) return false;
-        
-        // Check daily hours constraint
-        const shiftsOnThisDay = allShiftSlots.filter(s => 
-          s.filled && s.employeeId === emp.id && s.date === slot.date
-        );
-        const hoursOnThisDay = shiftsOnThisDay.reduce((sum, s) => sum + s.shift.hours, 0);
-        
-        if (hoursOnThisDay + slot.shift.hours > emp.dailyMaxHours) return false;
-        
-        // Check if already assigned this exact shift on this day
-        const alreadyHasThisShift = shiftsOnThisDay.some(s => s.shift.id === slot.shift.id);
-        if (alreadyHasThisShift) return false;
-        
-        // Check weekend requirement
-        if (slot.dayName === 'Saturday' || slot.dayName === 'Sunday') {
-          if (!slot.role.weekendRequired) return false;
-        }
-        
-        return true;
-      });
+  // Bring the import's roles, shifts and employees in next to the current data
+  const confirmMerge = () => {
+    const { data } = mergeData({ roles, shifts, employees }, importPreview.data, importPreview.resolutions);
+    // Shift definitions taken from the import apply from today, like an edit
+    const versioned = recordShiftChanges({ shiftVersions, shifts: data.shifts, schedule }, shifts, getToday());
+    labelNextChange({ action: `Merged ${importPreview.fileName}` });
+    setRoles(data.roles);
+    setShifts(versioned.shifts);
+    setShiftVersions(versioned.shiftVersions);
+    setSchedule(versioned.schedule);
+    setEmployees(data.employees);
+    setImportPreview(null);
+    alert('Data merged successfully!');
+  };
 
-      if (eligibleEmployees.length === 0) {
-        // FALLBACK: If no eligible employees with constraints, relax the shift limit
-        const relaxedEligible = roleEmployees.filter(emp => {
-          // Still check leave - this cannot be relaxed
-          if (isOnLeave(emp.id, slot.date)) return false;
-          
-          const shiftsOnThisDay = allShiftSlots.filter(s => 
-            s.filled && s.employeeId === emp.id && s.date === slot.date
-          );
-          const hoursOnThisDay = shiftsOnThisDay.reduce((sum, s) => sum + s.shift.hours, 0);
-          
-          if (hoursOnThisDay + slot.shift.hours > emp.dailyMaxHours) return false;
-          
-          const alreadyHasThisShift = shiftsOnThisDay.some(s => s.shift.id === slot.shift.id);
-          if (alreadyHasThisShift) return false;
-          
-          if (slot.dayName === 'Saturday' || slot.dayName === 'Sunday') {
-            if (!slot.role.weekendRequired) return false;
-          }
-          
-          return true;
-        });
-        
-        if (relaxedEligible.length === 0) return;
-        
-        // Use relaxed pool
-        const sortedRelaxed = relaxedEligible.sort((a, b) => {
-          const aShiftCount = newShiftHistory[a.id][slot.shift.id] || 0;
-          const bShiftCount = newShiftHistory[b.id][slot.shift.id] || 0;
-          if (aShiftCount !== bShiftCount) return aShiftCount - bShiftCount;
-          return Math.random() - 0.5;
-        });
-        
-        const selectedEmployee = sortedRelaxed[0];
-        slot.employeeId = selectedEmployee.id;
-        slot.filled = true;
-        employeeShiftCounts[selectedEmployee.id]++;
-        
-        if (!newShiftHistory[selectedEmployee.id][slot.shift.id]) {
-          newShiftHistory[selectedEmployee.id][slot.shift.id] = 0;
-        }
-        newShiftHistory[selectedEmployee.id][slot.shift.id]++;
-        return;
-      }
+  // What replacing the current data with the import would change per section
+  const renderReplacePreview = () => (
+    <>
+      <p className="text-sm text-gray-600 mb-3">Importing replaces all current data with the file:</p>
+      <table className="w-full text-sm mb-4">
+        <thead>
+          <tr className="text-left border-b">
+            <th className="py-1">Section</th>
+            <th className="py-1 text-green-700">Added</th>
+            <th className="py-1 text-yellow-700">Changed</th>
+            <th className="py-1 text-red-700">Removed</th>
+            <th className="py-1 text-gray-500">Unchanged</th>
+          </tr>
+        </thead>
+        <tbody>
+          {importPreview.diff.map(diff => (
+            <tr key={diff.section} className="border-b align-top">
+              <td className="py-1 font-medium">{diff.label}</td>
+              {[['added', 'text-green-700'], ['changed', 'text-yellow-700'], ['removed', 'text-red-700']].map(([kind, className]) => (
+                <td
+                  key={kind}
+                  className={`py-1 ${className}`}
+                  title={diff[kind].join(', ')}
+                >
+                  {diff[kind].length}
+                  {diff[kind].length > 0 && ['employees', 'roles', 'shifts'].includes(diff.section) && (
+                    <span className="block text-xs">{diff[kind].slice(0, 5).join(', ')}{diff[kind].length > 5 ? ', ...' : ''}</span>
+                  )}
+                </td>
+              ))}
+              <td className="py-1 text-gray-500">{diff.unchanged}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </>
+  );
 
-      // ROTATION LOGIC: Multi-factor sorting with randomness
-      const sortedCandidates = eligibleEmployees.sort((a, b) => {
-        // Factor 1: Employees who need more shifts (priority)
-        const aNeeded = (a.shiftsPerWeek || 5) - employeeShiftCounts[a.id];
-        const bNeeded = (b.shiftsPerWeek || 5) - employeeShiftCounts[b.id];
-        if (aNeeded !== bNeeded) return bNeeded - aNeeded;
-        
-        // Factor 2: Who hasn't done THIS shift type recently (rotation)
-        const aShiftCount = newShiftHistory[a.id][slot.shift.id] || 0;
-        const bShiftCount = newShiftHistory[b.id][slot.shift.id] || 0;
-        if (aShiftCount !== bShiftCount) return aShiftCount - bShiftCount;
-        
-        // Factor 3: Overall shift count (fairness)
-        const aTotalShifts = Object.values(newShiftHistory[a.id]).reduce((sum, count) => sum + count, 0);
-        const bTotalShifts = Object.values(newShiftHistory[b.id]).reduce((sum, count) => sum + count, 0);
-        if (aTotalShifts !== bTotalShifts) return aTotalShifts - bTotalShifts;
-        
-        // Factor 4: Random for variety and equal distribution
-        return Math.random() - 0.5;
-      });
+  // What a merge would add, and a choice for each conflicting entity
+  const renderMergePreview = () => {
+    const { reports } = mergeData({ roles, shifts, employees }, importPreview.data, importPreview.resolutions);
+    const conflicts = reports.flatMap(report => report.conflicts);
+
+    return (
+      <div className="space-y-4">
+        <p className="text-sm text-gray-600">
+          Roles, shifts and employees are matched by id, then by name. The schedule, attendance and leave stay as they are.
+        </p>
+        <div className="grid grid-cols-3 gap-3">
+          {reports.map(report => (
+            <div key={report.section} className="border rounded p-3 text-sm">
+              <p className="font-medium">{MERGE_SECTION_LABELS[report.section]}</p>
+              <p className="text-green-700" title={report.added.join(', ')}>{report.added.length} new</p>
+              <p className="text-yellow-700">{report.conflicts.length} conflicting</p>
+              <p className="text-gray-500">{report.unchanged} identical</p>
+            </div>
+          ))}
+        </div>
 
-      // Assign the best candidate
-      const selectedEmployee = sortedCandidates[0];
-      slot.employeeId = selectedEmployee.id;
-      slot.filled = true;
-      employeeShiftCounts[selectedEmployee.id]++;
-      
-      if (!newShiftHistory[selectedEmployee.id][slot.shift.id]) {
-        newShiftHistory[selectedEmployee.id][slot.shift.id] = 0;
-      }
-      newShiftHistory[selectedEmployee.id][slot.shift.id]++;
+        {conflicts.length > 0 && (
+          <div className="space-y-2">
+            <h4 className="font-semibold">Conflicts</h4>
+            {conflicts.map(conflict => (
+              <div key={conflict.key} className="border border-yellow-200 bg-yellow-50 rounded p-3 text-sm">
+                <div className="flex flex-wrap justify-between items-center gap-2">
+                  <div>
+                    <p className="font-medium">
+                      {MERGE_SECTION_LABELS[conflict.section]}: {conflict.name}
+                      {conflict.localName !== conflict.name && ` / ${conflict.localName}`}
+                    </p>
+                    <p className="text-xs text-gray-600">
+                      Matched by {conflict.matchedBy}; differs in {conflict.fields.join(', ')}
+                    </p>
+                  </div>
+                  <div className="flex rounded border overflow-hidden bg-white">
+                    {MERGE_RESOLUTIONS.map(resolution => (
+                      <button
+                        key={resolution}
+                        onClick={() => setImportPreview({
+                          ...importPreview,
+                          resolutions: { ...importPreview.resolutions, [conflict.key]: resolution }
+                        })}
+                        className={`px-2 py-1 text-xs ${conflict.resolution === resolution ? 'bg-blue-600 text-white' : 'text-gray-600 hover:bg-gray-100'}`}
+                      >
+                        {MERGE_RESOLUTION_LABELS[resolution]}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  // Each employee's shift types, weekend and night shifts against their role's
+  // average, over the rotation window up to the end of the week shown
+  const renderFairnessReport = () => {
+    const weeks = settings.rotationWindowWeeks || DEFAULT_SETTINGS.rotationWindowWeeks;
+    const { startDate, endDate } = getFairnessWindow(currentWeek[6], weeks);
+    const reports = getFairnessReport(schedule, {
+      employees: employees.filter(isEmployeeActive),
+      roles,
+      shifts,
+      startDate,
+      endDate
     });
+    const renderCell = (value, average) => {
+      const unfair = isUnfair(value, average);
+      return (
+        <td
+          className={`px-3 py-2 ${unfair ? (value > average ? 'text-red-600 font-semibold' : 'text-blue-600 font-semibold') : ''}`}
+          title={`Role average ${average.toFixed(1)}`}
+        >
+          {value}
+        </td>
+      );
+    };
 
-    // STEP 5: Fill remaining shifts for employees who haven't reached their target
-    let additionalPassNeeded = true;
-    let passCount = 0;
-    const maxAdditionalPasses = 5;
+    return (
+      <div className="bg-white p-6 rounded-lg shadow-sm">
+        <h3 className="text-lg font-semibold mb-1">Rotation Fairness</h3>
+        <p className="text-sm text-gray-500 mb-4">
+          {startDate} to {endDate} ({weeks} weeks). Red is well above the role average, blue well below.
+        </p>
+        {reports.length === 0 ? (
+          <p className="text-sm text-gray-500">No employees yet</p>
+        ) : (
+          <div className="space-y-6">
+            {reports.map(report => (
+              <div key={report.roleId} className="overflow-x-auto">
+                <h4 className="font-medium mb-2">{report.role}</h4>
+                <table className="w-full text-sm">
+                  <thead className="bg-gray-100">
+                    <tr>
+                      <th className="px-3 py-2 text-left">Employee</th>
+                      <th className="px-3 py-2 text-left">Total</th>
+                      {report.shifts.map(shift => (
+                        <th key={shift.id} className="px-3 py-2 text-left">{shift.name}</th>
+                      ))}
+                      <th className="px-3 py-2 text-left">Weekend</th>
+                      <th className="px-3 py-2 text-left">Night</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {report.employees.map(row => (
+                      <tr key={row.employeeId} className="border-b">
+                        <td className="px-3 py-2">{row.name}</td>
+                        {renderCell(row.total, report.average.total)}
+                        {report.shifts.map(shift => (
+                          <React.Fragment key={shift.id}>
+                            {renderCell(row.shifts[shift.id], report.average.shifts[shift.id])}
+                          </React.Fragment>
+                        ))}
+                        {renderCell(row.weekend, report.average.weekend)}
+                        {renderCell(row.night, report.average.night)}
+                      </tr>
+                    ))}
+                    <tr className="bg-gray-50 text-gray-600">
+                      <td className="px-3 py-2 font-medium">Role average</td>
+                      <td className="px-3 py-2">{report.average.total.toFixed(1)}</td>
+                      {report.shifts.map(shift => (
+                        <td key={shift.id} className="px-3 py-2">{report.average.shifts[shift.id].toFixed(1)}</td>
+                      ))}
+                      <td className="px-3 py-2">{report.average.weekend.toFixed(1)}</td>
+                      <td className="px-3 py-2">{report.average.night.toFixed(1)}</td>
+                    </tr>
+                  </tbody>
+                </table>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    );
+  };
 
-    while (additionalPassNeeded && passCount < maxAdditionalPasses) {
-      passCount++;
-      additionalPassNeeded = false;
+  // Audit log with filters, newest first
+  const renderAuditLog = () => {
+    const entries = filterAuditLog(historyState.auditLog, auditFilters);
+    const users = [...new Set(historyState.auditLog.map(entry => entry.user))].sort();
+    const setFilter = (field, value) => setAuditFilters({ ...auditFilters, [field]: value });
+
+    return (
+      <div className="bg-white p-6 rounded-lg shadow-sm">
+        <h3 className="text-lg font-semibold mb-4">Change History</h3>
+        <div className="grid grid-cols-2 md:grid-cols-5 gap-3 mb-4">
+          <div>
+            <label className="block text-xs text-gray-600 mb-1">Who</label>
+            <select
+              value={auditFilters.user}
+              onChange={e => setFilter('user', e.target.value)}
+              className="border rounded px-2 py-1 w-full text-sm"
+            >
+              <option value="">Everyone</option>
+              {users.map(user => (
+                <option key={user} value={user}>{user}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-xs text-gray-600 mb-1">Data</label>
+            <select
+              value={auditFilters.section}
+              onChange={e => setFilter('section', e.target.value)}
+              className="border rounded px-2 py-1 w-full text-sm"
+            >
+              <option value="">All data</option>
+              {Object.entries(HISTORY_SECTIONS).map(([section, label]) => (
+                <option key={section} value={section}>{label}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-xs text-gray-600 mb-1">From</label>
+            <input
+              type="date"
+              value={auditFilters.from}
+              onChange={e => setFilter('from', e.target.value)}
+              className="border rounded px-2 py-1 w-full text-sm"
+            />
+          </div>
+          <div>
+            <label className="block text-xs text-gray-600 mb-1">To</label>
+            <input
+              type="date"
+              value={auditFilters.to}
+              onChange={e => setFilter('to', e.target.value)}
+              className="border rounded px-2 py-1 w-full text-sm"
+            />
+          </div>
+          <div>
+            <label className="block text-xs text-gray-600 mb-1">Search</label>
+            <input
+              placeholder="Action or name"
+              value={auditFilters.text}
+              onChange={e => setFilter('text', e.target.value)}
+              className="border rounded px-2 py-1 w-full text-sm"
+            />
+          </div>
+        </div>
 
-      sortedEmployees.forEach(emp => {
-        const empShiftsPerWeek = emp.shiftsPerWeek || Math.ceil(emp.weeklyHours / emp.dailyMaxHours);
-        const shiftsNeeded = empShiftsPerWeek - employeeShiftCounts[emp.id];
-        
-        if (shiftsNeeded > 0) {
-          additionalPassNeeded = true;
-          const role = roles.find(r => r.id === emp.roleId);
-          if (!role) return;
+        {entries.length === 0 ? (
+          <p className="text-sm text-gray-500">No changes recorded</p>
+        ) : (
+          <div className="overflow-x-auto max-h-96 overflow-y-auto">
+            <table className="w-full text-sm">
+              <thead className="bg-gray-100 sticky top-0">
+                <tr>
+                  <th className="px-3 py-2 text-left">When</th>
+                  <th className="px-3 py-2 text-left">Who</th>
+                  <th className="px-3 py-2 text-left">Action</th>
+                  <th className="px-3 py-2 text-left">Changes</th>
+                </tr>
+              </thead>
+              <tbody>
+                {entries.slice(0, AUDIT_LOG_SHOWN).map(entry => (
+                  <tr key={entry.id} className="border-b align-top">
+                    <td className="px-3 py-2 whitespace-nowrap">{new Date(entry.at).toLocaleString()}</td>
+                    <td className="px-3 py-2">{entry.user}</td>
+                    <td className="px-3 py-2">{entry.action}</td>
+                    <td className="px-3 py-2 text-gray-600">
+                      {entry.changes.map(change => (
+                        <div key={change.section}>{formatChange(change)}</div>
+                      ))}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+        {entries.length > AUDIT_LOG_SHOWN && (
+          <p className="text-xs text-gray-500 mt-2">Showing the latest {AUDIT_LOG_SHOWN} of {entries.length} changes</p>
+        )}
+      </div>
+    );
+  };
 
-          const roleShifts = shifts.filter(s => s.roleId === emp.roleId);
-          const sortedShifts = [...roleShifts].sort((a, b) => {
-            const aCount = newShiftHistory[emp.id][a.id] || 0;
-            const bCount = newShiftHistory[emp.id][b.id] || 0;
-            if (aCount !== bCount) return aCount - bCount;
-            return (b.priority || 50) - (a.priority || 50);
-          });
+  // Dialog listing what depends on the role, shift or employee being removed
+  const renderDeleteDialog = () => {
+    const { type, id, targetRoleId } = pendingDelete;
+    const today = getToday();
+    const item = { role: roles, shift: shifts, employee: employees }[type].find(i => i.id === id);
+    const dependents = {
+      role: () => getRoleDependents(id, { employees, shifts, schedule }, today),
+      shift: () => getShiftDependents(id, { schedule, employees, schedulePins }, today),
+      employee: () => getEmployeeDependents(id, { schedule, leaveRequests, attendance }, today)
+    }[type]();
+    const futureCount = dependents.futureAssignments.length;
+
+    return (
+      <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+        <div className="bg-white rounded-lg max-w-lg w-full max-h-[90vh] overflow-y-auto p-6">
+          <h3 className="text-xl font-bold mb-4">
+            {type === 'employee' ? 'Archive' : 'Delete'} {item?.name}
+          </h3>
+
+          <div className="text-sm text-gray-700 space-y-1 mb-4">
+            {type === 'role' && (
+              <>
+                <p>• {dependents.employees.length} employee(s): {dependents.employees.map(e => e.name).join(', ') || '-'}</p>
+                <p>• {dependents.shifts.length} shift(s): {dependents.shifts.map(s => s.name).join(', ') || '-'}</p>
+              </>
+            )}
+            {type === 'shift' && (
+              <>
+                <p>• {dependents.pastAssignments.length} past assignment(s), kept as history</p>
+                <p>• {dependents.preferringEmployees.length} employee(s) preferring or avoiding it: {dependents.preferringEmployees.map(e => e.name).join(', ') || '-'}</p>
+                <p>• {dependents.pinnedAssignments.length} pinned assignment(s)</p>
+              </>
+            )}
+            {type === 'employee' && (
+              <>
+                <p>• {dependents.attendanceRecords.length} attendance record(s), kept</p>
+                <p>• {dependents.upcomingLeave.length} current or upcoming leave request(s), kept</p>
+              </>
+            )}
+            <p>• {futureCount} assignment(s) from today ({today}) on</p>
+          </div>
 
-          for (const shift of sortedShifts) {
-            if (employeeShiftCounts[emp.id] >= empShiftsPerWeek) break;
+          {type === 'role' && (
+            <div className="border rounded p-3 mb-4">
+              <label className="block text-sm font-medium mb-1">Move employees and shifts to</label>
+              <div className="flex gap-2">
+                <select
+                  value={targetRoleId}
+                  onChange={e => setPendingDelete({ ...pendingDelete, targetRoleId: e.target.value })}
+                  className="border rounded px-2 py-1 text-sm flex-1"
+                >
+                  <option value="">Select role</option>
+                  {roles.filter(r => r.id !== id).map(role => (
+                    <option key={role.id} value={role.id}>{role.name}</option>
+                  ))}
+                </select>
+                <button
+                  onClick={() => confirmDelete('reassign')}
+                  className="bg-blue-600 text-white px-3 py-1 rounded text-sm hover:bg-blue-700"
+                >
+                  Reassign & Delete
+                </button>
+              </div>
+            </div>
+          )}
+
+          <p className="text-sm text-gray-600 mb-4">
+            {type === 'role' && `Or delete the role with its shifts, remove their ${futureCount} upcoming assignment(s) and archive its employees.`}
+            {type === 'shift' && `Deleting removes its ${futureCount} upcoming assignment(s) and the preferences for it, and unpins the days it leaves empty.`}
+            {type === 'employee' && `Archiving removes their ${futureCount} upcoming assignment(s) and keeps them off new schedules. They can be restored later.`}
+          </p>
+
+          <div className="flex justify-end gap-2">
+            <button
+              onClick={() => setPendingDelete(null)}
+              className="bg-gray-400 text-white px-4 py-2 rounded-lg hover:bg-gray-500"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={() => confirmDelete('cascade')}
+              className="bg-red-600 text-white px-4 py-2 rounded-lg hover:bg-red-700"
+            >
+              {type === 'employee' ? 'Archive' : type === 'role' ? 'Delete All' : 'Delete'}
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  };
 
-            for (let dayIndex = 0; dayIndex < currentWeek.length; dayIndex++) {
-              if (employeeShiftCounts[emp.id] >= empShiftsPerWeek) break;
+  const confirmImport = async () => {
+    // The import keeps this app's audit log and can be undone
+    const result = await storage.saveData({ ...importPreview.data, auditLog: historyState.auditLog });
+    if (!result.success) {
+      alert('Error importing data: ' + result.error);
+      return;
+    }
 
-              const date = currentWeek[dayIndex];
-              const dayName = daysOfWeek[dayIndex];
+    setImportPreview(null);
+    const loadResult = await storage.loadData();
+    if (loadResult.success) {
+      labelNextChange({ action: `Imported ${importPreview.fileName}` });
+      setStorageError('');
+      setEmployees(loadResult.data.employees || []);
+      setRoles(loadResult.data.roles || []);
+      const versioned = loadVersionedSchedule(loadResult.data, getToday());
+      setShifts(versioned.shifts);
+      setSchedule(versioned.schedule);
+      setShiftVersions(versioned.shiftVersions);
+      setAttendance(normalizeAttendance(loadResult.data.attendance));
+      setShiftHistory(loadResult.data.shiftHistory || {});
+      setLeaveRequests(normalizeLeaveRequests(loadResult.data.leaveRequests));
+      setScheduleSeeds(loadResult.data.scheduleSeeds || {});
+      setScheduleDiagnostics(loadResult.data.scheduleDiagnostics || []);
+      setSchedulePins(loadResult.data.schedulePins || NO_PINS);
+      setLeaveAdjustments(loadResult.data.leaveAdjustments || []);
+      setSettings(withDefaultSettings(loadResult.data.settings));
+      alert('Data imported successfully!');
+    }
+  };
 
-              // Skip if employee is on leave
-              if (isOnLeave(emp.id, date)) continue;
+  // Replace everything in the app with the stored data, e.g. after another
+  // user saved the shared data
+  const reloadData = async () => {
+    const result = await storage.loadData();
+    if (!result.success) {
+      alert('Error loading data: ' + result.error);
+      return;
+    }
 
-              if (!shift.daysOfWeek.includes(dayName)) continue;
+    labelNextChange({ skip: true });
+    setStorageError('');
+    history.reset(result.data.auditLog || []);
+    setEmployees(result.data.employees || []);
+    setRoles(result.data.roles || []);
+    const versioned = loadVersionedSchedule(result.data, getToday());
+    setShifts(versioned.shifts);
+    setSchedule(versioned.schedule);
+    setShiftVersions(versioned.shiftVersions);
+    setAttendance(normalizeAttendance(result.data.attendance));
+    setShiftHistory(result.data.shiftHistory || {});
+    setLeaveRequests(normalizeLeaveRequests(result.data.leaveRequests));
+    setScheduleSeeds(result.data.scheduleSeeds || {});
+    setScheduleDiagnostics(result.data.scheduleDiagnostics || []);
+    setSchedulePins(result.data.schedulePins || NO_PINS);
+    setLeaveAdjustments(result.data.leaveAdjustments || []);
+    setSettings(withDefaultSettings(result.data.settings));
+    alert('Data reloaded from storage!');
+  };
 
-              const shiftsOnThisDay = allShiftSlots.filter(s => 
-                s.filled && s.employeeId === emp.id && s.date === date
-              );
-              const hoursOnThisDay = shiftsOnThisDay.reduce((sum, s) => sum + s.shift.hours, 0);
-              
-              if (hoursOnThisDay + shift.hours > emp.dailyMaxHours) continue;
-              
-              const alreadyHas = shiftsOnThisDay.some(s => s.shift.id === shift.id);
-              if (alreadyHas) continue;
+  const weekNavigator = (
+    <div className="flex items-center gap-2">
+      <button
+        onClick={() => goToWeek(addDays(currentWeek[0], -7))}
+        className="border rounded p-1 text-gray-600 hover:bg-gray-100"
+        title="Previous week"
+      >
+        <ChevronLeft size={18} />
+      </button>
+      <span className="text-sm font-medium text-gray-700">
+        {currentWeek[0]} - {currentWeek[6]}
+      </span>
+      <button
+        onClick={() => goToWeek(addDays(currentWeek[0], 7))}
+        className="border rounded p-1 text-gray-600 hover:bg-gray-100"
+        title="Next week"
+      >
+        <ChevronRight size={18} />
+      </button>
+      <button
+        onClick={() => goToWeek(getToday())}
+        className="border rounded px-2 py-1 text-sm text-gray-600 hover:bg-gray-100"
+      >
+        This Week
+      </button>
+      <input
+        type="date"
+        value={currentWeek[0]}
+        onChange={e => e.target.value && goToWeek(e.target.value)}
+        className="border rounded px-2 py-1 text-sm"
+        title="Jump to date"
+      />
+    </div>
+  );
 
-              if (dayName === 'Saturday' || dayName === 'Sunday') {
-                if (!role.weekendRequired) continue;
-              }
+  // Everything the balance of an employee is derived from
+  const getLeaveBalanceData = (employee) => ({
+    policy: settings.leavePolicy,
+    role: roles.find(r => r.id === employee.roleId),
+    leaveRequests,
+    adjustments: leaveAdjustments,
+    attendance,
+    schedule,
+    asOf: getToday()
+  });
 
-              const newSlot = {
-                date,
-                dayIndex,
-                dayName,
-                shift,
-                role,
-                slotIndex: 999,
-                employeeId: emp.id,
-                filled: true,
-                priority: shift.priority || 50
-              };
-              allShiftSlots.push(newSlot);
-              employeeShiftCounts[emp.id]++;
-              
-              if (!newShiftHistory[emp.id][shift.id]) {
-                newShiftHistory[emp.id][shift.id] = 0;
-              }
-              newShiftHistory[emp.id][shift.id]++;
-              break;
-            }
-          }
-        }
-      });
+  // Why a request does not fit the employee's balance, or null
+  const getLeaveBalanceIssue = (request) => {
+    const emp = employees.find(e => e.id === request.employeeId);
+    return emp ? checkLeaveBalance(request, emp, getLeaveBalanceData(emp)) : null;
+  };
+
+  const addLeaveAdjustment = (employeeId) => {
+    const days = Number(adjustmentForm.days);
+    if (!adjustmentForm.days || Number.isNaN(days)) {
+      alert('Please enter the number of days');
+      return;
     }
+    setLeaveAdjustments([
+      ...leaveAdjustments,
+      { id: Date.now().toString(), employeeId, type: adjustmentForm.type, date: getToday(), days, note: adjustmentForm.note }
+    ]);
+    setAdjustmentForm({ ...adjustmentForm, days: '', note: '' });
+  };
 
-    // STEP 6: Convert slots to schedule format
-    allShiftSlots.forEach(slot => {
-      if (!slot.filled) return;
-      
-      if (!newSchedule[slot.date]) {
-        newSchedule[slot.date] = {};
-      }
-      if (!newSchedule[slot.date][slot.employeeId]) {
-        newSchedule[slot.date][slot.employeeId] = [];
-      }
-      newSchedule[slot.date][slot.employeeId].push(slot.shift);
+  const updateLeavePolicy = (changes) => {
+    setSettings({ ...settings, leavePolicy: { ...settings.leavePolicy, ...changes } });
+  };
+
+  const updateLeaveTypePolicy = (type, changes) => {
+    updateLeavePolicy({
+      types: { ...settings.leavePolicy.types, [type]: { ...settings.leavePolicy.types[type], ...changes } }
     });
+  };
 
-    setSchedule(newSchedule);
-    setShiftHistory(newShiftHistory);
+  // Leave requests start as pending; only approved leave blocks scheduling
+  const submitLeaveRequest = (employeeId = leaveForm.employeeId) => {
+    const data = { ...leaveForm, employeeId, endDate: leaveForm.endDate || leaveForm.startDate };
+    const error = validateLeaveRequest(leaveRequests, data);
+    if (error) {
+      alert(error);
+      return;
+    }
+
+    const balanceIssue = getLeaveBalanceIssue(data);
+    if (balanceIssue && settings.leavePolicy.overBalance === 'block') {
+      alert(balanceIssue);
+      return;
+    }
+
+    const request = createLeaveRequest(data);
+    setLeaveRequests({ ...leaveRequests, [request.id]: request });
+    setLeaveForm({ ...leaveForm, startDate: '', endDate: '', reason: '' });
   };
 
-  // Add/Remove Leave Request
-  const addLeaveRequest = (employeeId, date) => {
-    const key = `${employeeId}-${date}`;
+  const reviewLeave = (id, status) => {
+    if (!leaveApprover.trim()) {
+      alert('Please enter the approver name first');
+      return;
+    }
+
+    const balanceIssue = status === 'approved' ? getLeaveBalanceIssue(leaveRequests[id]) : null;
+    if (balanceIssue && settings.leavePolicy.overBalance === 'block') {
+      alert(balanceIssue);
+      return;
+    }
     setLeaveRequests({
       ...leaveRequests,
-      [key]: { employeeId, date, status: 'approved' }
+      [id]: reviewLeaveRequest(leaveRequests[id], { status, approver: leaveApprover.trim(), comment: leaveComments[id] || '' })
     });
   };
 
-  const removeLeaveRequest = (employeeId, date) => {
-    const key = `${employeeId}-${date}`;
+  const cancelLeaveRequest = (id) => {
+    if (!window.confirm('Delete this leave request?')) return;
     const newLeaves = { ...leaveRequests };
-    delete newLeaves[key];
+    delete newLeaves[id];
     setLeaveRequests(newLeaves);
   };
 
-  const isOnLeave = (employeeId, date) => {
-    const key = `${employeeId}-${date}`;
-    return !!leaveRequests[key];
+  // Dates of a request on which the employee is already scheduled
+  const getLeaveScheduleConflicts = (request) => {
+    return getLeaveDates(request).filter(date => schedule[date]?.[request.employeeId]?.length > 0);
+  };
+
+  const getLeaveLabel = (request) => {
+    const days = getLeaveDates(request).length;
+    const range = request.startDate === request.endDate ? request.startDate : `${request.startDate} to ${request.endDate}`;
+    return `${range} (${days} day${days === 1 ? '' : 's'})`;
+  };
+
+  const renderLeaveForm = (employeeId = null) => (
+    <div className="flex flex-wrap items-end gap-2">
+      {!employeeId && (
+        <div>
+          <label className="block text-xs text-gray-600 mb-1">Employee</label>
+          <select
+            value={leaveForm.employeeId}
+            onChange={e => setLeaveForm({ ...leaveForm, employeeId: e.target.value })}
+            className="border rounded px-2 py-1 text-sm"
+          >
+            <option value="">Select employee</option>
+            {getSortedEmployees().map(emp => (
+              <option key={emp.id} value={emp.id}>{emp.name}</option>
+            ))}
+          </select>
+        </div>
+      )}
+      <div>
+        <label className="block text-xs text-gray-600 mb-1">Type</label>
+        <select
+          value={leaveForm.type}
+          onChange={e => setLeaveForm({ ...leaveForm, type: e.target.value })}
+          className="border rounded px-2 py-1 text-sm capitalize"
+        >
+          {LEAVE_TYPES.map(type => (
+            <option key={type} value={type}>{type}</option>
+          ))}
+        </select>
+      </div>
+      <div>
+        <label className="block text-xs text-gray-600 mb-1">From</label>
+        <input
+          type="date"
+          value={leaveForm.startDate}
+          onChange={e => setLeaveForm({ ...leaveForm, startDate: e.target.value })}
+          className="border rounded px-2 py-1 text-sm"
+        />
+      </div>
+      <div>
+        <label className="block text-xs text-gray-600 mb-1">To</label>
+        <input
+          type="date"
+          value={leaveForm.endDate}
+          min={leaveForm.startDate}
+          onChange={e => setLeaveForm({ ...leaveForm, endDate: e.target.value })}
+          className="border rounded px-2 py-1 text-sm"
+        />
+      </div>
+      <div className="flex-1 min-w-40">
+        <label className="block text-xs text-gray-600 mb-1">Reason</label>
+        <input
+          type="text"
+          value={leaveForm.reason}
+          onChange={e => setLeaveForm({ ...leaveForm, reason: e.target.value })}
+          className="border rounded px-2 py-1 text-sm w-full"
+        />
+      </div>
+      <button
+        onClick={() => submitLeaveRequest(employeeId || leaveForm.employeeId)}
+        className="bg-blue-600 text-white px-3 py-1 rounded text-sm hover:bg-blue-700 flex items-center gap-1"
+      >
+        <Plus size={14} /> Request Leave
+      </button>
+    </div>
+  );
+
+  const isOnLeave = (employeeId, date) => isEmployeeOnLeave(leaveRequests, employeeId, date);
+  // The shift as it was scheduled, falling back to the current definition
+  const getAttendanceShift = (employeeId, date, shiftId) => {
+    return schedule[date]?.[employeeId]?.find(s => s.id === shiftId) || shifts.find(s => s.id === shiftId);
+  };
+
+  const saveAttendanceRecord = (employeeId, date, shiftId, changes) => {
+    const shift = getAttendanceShift(employeeId, date, shiftId);
+    if (!shift) return;
+
+    const key = getAttendanceKey(employeeId, date, shiftId);
+    setAttendance({
+      ...attendance,
+      [key]: buildAttendanceRecord(
+        { ...attendance[key], employeeId, date, shiftId, ...changes },
+        shift,
+        getAttendanceRules(employeeId, shift)
+      )
+    });
+  };
+
+  // Standard break and policy for rating an employee's clock times on a shift.
+  // Overrides come from the current shift definition, not the scheduled copy.
+  const getAttendanceRules = (employeeId, shift) => {
+    const emp = employees.find(e => e.id === employeeId);
+    const role = roles.find(r => r.id === emp?.roleId);
+    const currentShift = shifts.find(s => s.id === shift.id) || shift;
+    return {
+      defaultBreakMinutes: role?.breakMinutes || 0,
+      policy: resolveAttendancePolicy(settings.attendancePolicy, role, currentShift)
+    };
+  };
+
+  const recomputeAllAttendance = () => {
+    const count = Object.keys(attendance).length;
+    if (!window.confirm(`Rate all ${count} attendance records again with the current policy?`)) return;
+
+    setAttendance(recomputeAttendance(attendance, record => {
+      const shift = getAttendanceShift(record.employeeId, record.date, record.shiftId);
+      return shift ? { shift, ...getAttendanceRules(record.employeeId, shift) } : null;
+    }));
   };
-  const markAttendance = (employeeId, date, shiftId) => {
-    const key = `${employeeId}-${date}-${shiftId}`;
+
+  // Inputs for a full attendance policy, or for an override when the
+  // inherited policy is given (empty fields inherit)
+  const renderAttendancePolicyInputs = (values, onChange, inherited = null) => (
+    <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+      {ATTENDANCE_POLICY_FIELDS.map(({ key, label }) => (
+        <div key={key}>
+          <label className="block text-xs text-gray-600 mb-1">{label} (min)</label>
+          <input
+            type="number"
+            min="0"
+            value={values?.[key] ?? ''}
+            placeholder={inherited ? String(inherited[key]) : ''}
+            onChange={e => onChange({ ...values, [key]: e.target.value === '' ? '' : Number(e.target.value) })}
+            className="border rounded px-2 py-1 w-full text-sm"
+          />
+        </div>
+      ))}
+      <div>
+        <label className="block text-xs text-gray-600 mb-1">Rounding</label>
+        <select
+          value={values?.roundingMode ?? ''}
+          onChange={e => onChange({ ...values, roundingMode: e.target.value })}
+          className="border rounded px-2 py-1 w-full text-sm capitalize"
+        >
+          {inherited && <option value="">Inherit ({inherited.roundingMode})</option>}
+          {ROUNDING_MODES.map(mode => (
+            <option key={mode} value={mode}>{mode}</option>
+          ))}
+        </select>
+      </div>
+    </div>
+  );
+
+  // Clock in/out or start/end a break at the time entered for this shift
+  const recordAttendanceTime = (employeeId, date, shiftId, action) => {
+    const key = getAttendanceKey(employeeId, date, shiftId);
     const time = attendanceTime[key];
-    
+
     if (!time) {
       alert('Please enter a time first');
       return;
     }
 
-    const shift = shifts.find(s => s.id === shiftId);
-    if (!shift) return;
+    const breaks = attendance[key]?.breaks || [];
+    const changes = {
+      clockIn: { clockIn: time },
+      clockOut: { clockOut: time },
+      breakStart: { breaks: [...breaks, { start: time, end: null }] },
+      breakEnd: { breaks: breaks.map((b, idx) => (idx === breaks.length - 1 ? { ...b, end: time } : b)) }
+    }[action];
 
-    const [shiftHour, shiftMin] = shift.startTime.split(':').map(Number);
-    const [timeHour, timeMin] = time.split(':').map(Number);
-    
-    const shiftMinutes = shiftHour * 60 + shiftMin;
-    const actualMinutes = timeHour * 60 + timeMin;
-    const diff = actualMinutes - shiftMinutes;
+    saveAttendanceRecord(employeeId, date, shiftId, changes);
+    setAttendanceTime({ ...attendanceTime, [key]: '' });
+  };
 
-    let status = 'on-time';
-    if (diff > 15) status = 'late';
-    else if (diff > 0) status = 'correct';
+  // One-tap clock-in at the current time for the roll call
+  const markPresentNow = (employeeId, date, shiftId) => {
+    const time = getCurrentTime();
+    saveAttendanceRecord(employeeId, date, shiftId, { clockIn: time });
+    setNow({ date: getToday(), time });
+  };
 
-    setAttendance({
-      ...attendance,
-      [key]: { employeeId, date, shiftId, time, status }
-    });
+  const markNoShow = (employeeId, date, shiftId) => {
+    saveAttendanceRecord(employeeId, date, shiftId, { status: 'no-show', clockIn: null, time: null, clockOut: null, breaks: [] });
+  };
+
+  const acknowledgeAbsence = (key) => {
+    setAttendance({ ...attendance, [key]: { ...attendance[key], acknowledged: true, acknowledgedAt: new Date().toISOString() } });
+  };
+
+  // A no-show that turns out to be illness becomes approved sick leave for that day
+  const convertNoShowToSickLeave = (key) => {
+    const record = attendance[key];
+    const approver = window.prompt('Sick leave approved by:', leaveApprover)?.trim();
+    if (!approver) return;
+
+    const data = { employeeId: record.employeeId, startDate: record.date, endDate: record.date, type: 'sick', reason: 'Converted from no-show' };
+    const error = validateLeaveRequest(leaveRequests, data);
+    if (error) {
+      alert(error);
+      return;
+    }
+
+    const balanceIssue = getLeaveBalanceIssue(data);
+    if (balanceIssue && settings.leavePolicy.overBalance === 'block') {
+      alert(balanceIssue);
+      return;
+    }
+
+    const request = reviewLeaveRequest(createLeaveRequest(data), { status: 'approved', approver, comment: 'Recorded after the shift' });
+    setLeaveRequests({ ...leaveRequests, [request.id]: request });
+    setAttendance({ ...attendance, [key]: { ...record, status: 'sick-leave', acknowledged: true, leaveRequestId: request.id } });
+    setLeaveApprover(approver);
+  };
+
+  const renderAttendanceBadge = (status) => {
+    const badge = ATTENDANCE_BADGES[status];
+    if (!badge) return null;
+    const Icon = badge.icon;
+    return (
+      <div className={`flex items-center gap-1 text-sm ${badge.className}`}>
+        <Icon size={16} />
+        <span>{badge.label}</span>
+      </div>
+    );
+  };
+
+  // Clock-in, breaks and clock-out for one scheduled shift
+  const renderAttendanceControls = (employeeId, date, shift, key) => {
+    const record = attendance[key];
+    const onBreak = record?.breaks?.some(b => !b.end);
+    const actions = !record || !record.clockIn
+      ? [['clockIn', 'Clock In']]
+      : !record.clockOut
+        ? [[onBreak ? 'breakEnd' : 'breakStart', onBreak ? 'End Break' : 'Start Break'], ['clockOut', 'Clock Out']]
+        : [];
+
+    return (
+      <div className="flex flex-wrap items-center justify-end gap-2">
+        {record?.clockIn && (
+          <span className="font-medium text-sm">
+            {record.clockIn}{record.clockOut ? `-${record.clockOut}` : ''}
+          </span>
+        )}
+        {record && renderAttendanceBadge(record.status)}
+        {record?.departureStatus && record.departureStatus !== 'on-time' && renderAttendanceBadge(record.departureStatus)}
+        {record?.breaks?.length > 0 && (
+          <span className="text-xs text-gray-500">
+            Breaks: {record.breaks.map(b => `${b.start}-${b.end || '...'}`).join(', ')}
+          </span>
+        )}
+        {record?.clockIn && record.workedHours !== null && record.workedHours !== undefined && (
+          <span className="text-xs text-gray-600">
+            Worked {Math.round(record.workedHours * 100) / 100}h of {shift.hours}h
+          </span>
+        )}
+        {actions.length > 0 && (
+          <>
+            <input
+              type="time"
+              className="border rounded px-2 py-1 text-sm"
+              value={attendanceTime[key] || ''}
+              onChange={e => setAttendanceTime({...attendanceTime, [key]: e.target.value})}
+            />
+            {actions.map(([action, label]) => (
+              <button
+                key={action}
+                onClick={() => recordAttendanceTime(employeeId, date, shift.id, action)}
+                className="bg-blue-600 text-white px-3 py-1 rounded text-sm hover:bg-blue-700"
+              >
+                {label}
+              </button>
+            ))}
+          </>
+        )}
+        {(!record || record.status === 'excused') && (
+          <button
+            onClick={() => markNoShow(employeeId, date, shift.id)}
+            className="border border-red-300 text-red-600 px-3 py-1 rounded text-sm hover:bg-red-50"
+          >
+            No-Show
+          </button>
+        )}
+        {record?.status === 'no-show' && (
+          <>
+            {record.acknowledged === false && (
+              <button
+                onClick={() => acknowledgeAbsence(key)}
+                className="border border-gray-300 text-gray-700 px-3 py-1 rounded text-sm hover:bg-gray-50"
+              >
+                Acknowledge
+              </button>
+            )}
+            <button
+              onClick={() => convertNoShowToSickLeave(key)}
+              className="border border-blue-300 text-blue-600 px-3 py-1 rounded text-sm hover:bg-blue-50"
+            >
+              Sick Leave
+            </button>
+          </>
+        )}
+        {record && record.status !== 'excused' && (
+          <button
+            onClick={() => setAttendance(clearAttendanceRecord(attendance, key))}
+            className="text-gray-400 hover:text-red-600"
+            title={record.autoDetected && record.status === 'no-show' ? 'Excuse absence' : 'Clear record'}
+          >
+            <Trash2 size={14} />
+          </button>
+        )}
+      </div>
+    );
   };
 
   return (
@@ -807,7 +1737,7 @@ const ShiftAttendanceApp = () => {
         {/* Navigation */}
         <div className="bg-white rounded-lg shadow-sm mb-6">
           <nav className="flex gap-2 p-2">
-            {['dashboard', 'employees', 'roles', 'shifts', 'schedule'].map(tab => (
+            {['dashboard', 'employees', 'roles', 'shifts', 'skills', 'schedule', 'attendance', 'leave', 'reports'].map(tab => (
               <button
                 key={tab}
                 onClick={() => setActiveTab(tab)}
@@ -818,9 +1748,49 @@ const ShiftAttendanceApp = () => {
                 {tab}
               </button>
             ))}
+            <div className="ml-auto flex items-center gap-1">
+              <input
+                placeholder="Your name"
+                value={editorName}
+                onChange={e => {
+                  setEditorName(e.target.value);
+                  window.localStorage.setItem(EDITOR_NAME_KEY, e.target.value);
+                }}
+                className="border rounded px-2 py-1 text-sm w-32 mr-1"
+                title="Shown in the change history"
+              />
+              <button
+                onClick={undo}
+                disabled={!historyState.canUndo}
+                className="p-2 rounded-lg text-gray-600 hover:bg-gray-100 disabled:opacity-40"
+                title={historyState.canUndo ? `Undo: ${historyState.undoAction} (Ctrl+Z)` : 'Nothing to undo'}
+              >
+                <Undo2 size={18} />
+              </button>
+              <button
+                onClick={redo}
+                disabled={!historyState.canRedo}
+                className="p-2 rounded-lg text-gray-600 hover:bg-gray-100 disabled:opacity-40"
+                title={historyState.canRedo ? `Redo: ${historyState.redoAction} (Ctrl+Shift+Z)` : 'Nothing to redo'}
+              >
+                <Redo2 size={18} />
+              </button>
+            </div>
           </nav>
         </div>
 
+        {storageError && (
+          <div className="bg-red-50 border border-red-200 rounded-lg p-4 mb-6 flex items-center justify-between gap-4 text-sm text-red-800">
+            <p>{storageError} Changes are not saved until the data is reloaded.</p>
+            <button
+              onClick={reloadData}
+              className="bg-red-600 text-white px-3 py-1 rounded hover:bg-red-700 whitespace-nowrap"
+            >
+              Reload Data
+            </button>
+          </div>
+        )}
+
         {/* Dashboard */}
         {activeTab === 'dashboard' && (
           <div className="space-y-6">
@@ -829,7 +1799,7 @@ const ShiftAttendanceApp = () => {
                 <div className="flex items-center justify-between">
                   <div>
                     <p className="text-gray-600">Total Employees</p>
-                    <p className="text-3xl font-bold text-blue-600">{employees.length}</p>
+                    <p className="text-3xl font-bold text-blue-600">{employees.filter(isEmployeeActive).length}</p>
                   </div>
                   <Users className="text-blue-600" size={48} />
                 </div>
@@ -863,10 +1833,22 @@ const ShiftAttendanceApp = () => {
                       employees,
                       roles,
                       shifts,
-                      schedule,
+                      shiftVersions,
+                      schedule: toScheduleRefs(schedule),
                       attendance,
                       shiftHistory,
                       leaveRequests,
+                      scheduleSeeds,
+                      scheduleDiagnostics,
+                      schedulePins,
+                      leaveAdjustments,
+                      leaveBalances: Object.fromEntries(employees.map(emp => [
+                        emp.id,
+                        getLeaveBalances(emp, LEAVE_TYPES, getLeaveBalanceData(emp))
+                      ])),
+                      settings,
+                      auditLog: historyState.auditLog,
+                      schemaVersion: SCHEMA_VERSION,
                       exportedAt: new Date().toISOString()
                     });
                   }}
@@ -887,22 +1869,9 @@ const ShiftAttendanceApp = () => {
                       const file = e.target.files[0];
                       if (file) {
                         try {
-                          const result = await storage.importData(file);
-                          if (result.success) {
-                            const loadResult = await storage.loadData();
-                            if (loadResult.success) {
-                              setEmployees(loadResult.data.employees || []);
-                              setRoles(loadResult.data.roles || []);
-                              setShifts(loadResult.data.shifts || []);
-                              setSchedule(loadResult.data.schedule || {});
-                              setAttendance(loadResult.data.attendance || {});
-                              setShiftHistory(loadResult.data.shiftHistory || {});
-                              setLeaveRequests(loadResult.data.leaveRequests || {});
-                              alert('Data imported successfully!');
-                            }
-                          }
+                          previewImport(file.name, await storage.readImportFile(file));
                         } catch (error) {
-                          alert('Error importing data: ' + error.message);
+                          alert('Error reading file: ' + error.message);
                         }
                         e.target.value = '';
                       }
@@ -914,13 +1883,21 @@ const ShiftAttendanceApp = () => {
                   onClick={async () => {
                     if (window.confirm('This will clear all data. Are you sure?')) {
                       await storage.clearData();
+                      labelNextChange({ skip: true });
+                      history.reset();
                       setEmployees([]);
                       setRoles([]);
                       setShifts([]);
                       setSchedule({});
+                      setShiftVersions({});
                       setAttendance({});
                       setShiftHistory({});
                       setLeaveRequests({});
+                      setScheduleSeeds({});
+                      setScheduleDiagnostics([]);
+                      setSchedulePins(NO_PINS);
+                      setLeaveAdjustments([]);
+                      setSettings(DEFAULT_SETTINGS);
                       alert('All data cleared!');
                     }
                   }}
@@ -931,19 +1908,7 @@ const ShiftAttendanceApp = () => {
                 </button>
                 
                 <button
-                  onClick={async () => {
-                    const result = await storage.loadData();
-                    if (result.success) {
-                      setEmployees(result.data.employees || []);
-                      setRoles(result.data.roles || []);
-                      setShifts(result.data.shifts || []);
-                      setSchedule(result.data.schedule || {});
-                      setAttendance(result.data.attendance || {});
-                      setShiftHistory(result.data.shiftHistory || {});
-                      setLeaveRequests(result.data.leaveRequests || {});
-                      alert('Data reloaded from storage!');
-                    }
-                  }}
+                  onClick={reloadData}
                   className="bg-purple-600 text-white px-4 py-2 rounded-lg hover:bg-purple-700 flex items-center justify-center gap-2"
                 >
                   <Clock size={20} />
@@ -956,9 +1921,237 @@ const ShiftAttendanceApp = () => {
                 <p className="text-gray-600">• Employees: {employees.length}</p>
                 <p className="text-gray-600">• Roles: {roles.length}</p>
                 <p className="text-gray-600">• Shifts: {shifts.length}</p>
+                <p className="text-gray-600">• Backend: {STORAGE_BACKENDS[storage.backend]}</p>
                 <p className="text-gray-600">• Auto-saves on every change</p>
               </div>
             </div>
+
+            {renderAuditLog()}
+
+            {importPreview && (
+              <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+                <div className="bg-white rounded-lg max-w-2xl w-full max-h-[90vh] overflow-y-auto">
+                  <div className="p-6">
+                    <div className="flex justify-between items-center mb-4">
+                      <h3 className="text-xl font-bold">Import {importPreview.fileName}</h3>
+                      <button
+                        onClick={() => setImportPreview(null)}
+                        className="text-gray-500 hover:text-gray-700"
+                      >
+                        <XCircle size={24} />
+                      </button>
+                    </div>
+
+                    {importPreview.applied.length > 0 && (
+                      <div className="mb-4 p-3 bg-blue-50 border border-blue-200 rounded text-sm text-blue-800">
+                        <p className="font-medium mb-1">Upgraded from an older version:</p>
+                        {importPreview.applied.map(description => (
+                          <p key={description}>• {description}</p>
+                        ))}
+                      </div>
+                    )}
+
+                    {importPreview.errors.length > 0 ? (
+                      <div className="p-3 bg-red-50 border border-red-200 rounded text-sm text-red-800">
+                        <p className="font-medium mb-1 flex items-center gap-2">
+                          <AlertCircle size={16} />
+                          The file cannot be imported ({importPreview.errors.length} problem{importPreview.errors.length === 1 ? '' : 's'}):
+                        </p>
+                        <div className="max-h-64 overflow-y-auto">
+                          {importPreview.errors.map((error, idx) => (
+                            <p key={idx}>• {error}</p>
+                          ))}
+                        </div>
+                      </div>
+                    ) : (
+                      <>
+                        <div className="flex rounded-lg border overflow-hidden w-fit mb-3">
+                          {[['replace', 'Replace'], ['merge', 'Merge']].map(([mode, label]) => (
+                            <button
+                              key={mode}
+                              onClick={() => setImportPreview({ ...importPreview, mode })}
+                              className={`px-3 py-1 text-sm ${importPreview.mode === mode ? 'bg-blue-600 text-white' : 'text-gray-600 hover:bg-gray-100'}`}
+                            >
+                              {label}
+                            </button>
+                          ))}
+                        </div>
+                        {importPreview.mode === 'replace' ? renderReplacePreview() : renderMergePreview()}
+                      </>
+                    )}
+
+                    <div className="flex justify-end gap-2 mt-4">
+                      <button
+                        onClick={() => setImportPreview(null)}
+                        className="bg-gray-400 text-white px-4 py-2 rounded-lg hover:bg-gray-500"
+                      >
+                        Cancel
+                      </button>
+                      {importPreview.errors.length === 0 && (
+                        <button
+                          onClick={importPreview.mode === 'merge' ? confirmMerge : confirmImport}
+                          className="bg-green-600 text-white px-4 py-2 rounded-lg hover:bg-green-700"
+                        >
+                          {importPreview.mode === 'merge' ? 'Merge Data' : 'Replace Data'}
+                        </button>
+                      )}
+                    </div>
+                  </div>
+                </div>
+              </div>
+            )}
+
+            <div className="bg-white p-6 rounded-lg shadow-sm">
+              <h3 className="text-lg font-semibold mb-4">Scheduling Settings</h3>
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium mb-1">Minimum Rest Between Shifts (hours)</label>
+                  <input
+                    type="number"
+                    min="0"
+                    value={settings.minRestHours}
+                    onChange={e => setSettings({...settings, minRestHours: Number(e.target.value)})}
+                    className="border rounded px-3 py-2 w-full"
+                  />
+                  <p className="text-xs text-gray-500 mt-1">
+                    Measured from the end of one shift to the start of the next, including overnight shifts (0 = off)
+                  </p>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium mb-1">Rotation Window (weeks)</label>
+                  <input
+                    type="number"
+                    min="0"
+                    value={settings.rotationWindowWeeks}
+                    onChange={e => setSettings({...settings, rotationWindowWeeks: Number(e.target.value)})}
+                    className="border rounded px-3 py-2 w-full"
+                  />
+                  <p className="text-xs text-gray-500 mt-1">
+                    Shift rotation balances the assignments of this many weeks before each generated week (0 = all time)
+                  </p>
+                </div>
+              </div>
+            </div>
+
+            {renderFairnessReport()}
+
+            <div className="bg-white p-6 rounded-lg shadow-sm">
+              <div className="flex justify-between items-center mb-4">
+                <h3 className="text-lg font-semibold">Attendance Policy</h3>
+                <button
+                  onClick={recomputeAllAttendance}
+                  disabled={Object.keys(attendance).length === 0}
+                  className="bg-gray-600 text-white px-3 py-1 rounded text-sm hover:bg-gray-700 disabled:opacity-50"
+                >
+                  Recompute Existing Records
+                </button>
+              </div>
+              {renderAttendancePolicyInputs(
+                settings.attendancePolicy,
+                policy => setSettings({
+                  ...settings,
+                  attendancePolicy: Object.fromEntries(Object.entries(policy).map(([key, value]) => [key, value === '' ? 0 : value]))
+                })
+              )}
+              <p className="text-xs text-gray-500 mt-2">
+                Roles and shifts can override these in their forms. Changes apply to new clock times;
+                recompute to rate existing records again.
+              </p>
+              <div className="mt-4 w-1/2">
+                <label className="block text-sm font-medium mb-1">Detect No-Shows For (days back)</label>
+                <input
+                  type="number"
+                  min="0"
+                  value={settings.noShowLookbackDays}
+                  onChange={e => setSettings({...settings, noShowLookbackDays: Number(e.target.value)})}
+                  className="border rounded px-3 py-2 w-full"
+                />
+                <p className="text-xs text-gray-500 mt-1">
+                  Scheduled shifts without a clock-in become no-shows once the No-Show After window has passed
+                </p>
+              </div>
+            </div>
+
+            <div className="bg-white p-6 rounded-lg shadow-sm">
+              <h3 className="text-lg font-semibold mb-4">Leave Policy</h3>
+              <div className="grid grid-cols-2 gap-4 mb-4">
+                <div>
+                  <label className="block text-sm font-medium mb-1">Accrual Start</label>
+                  <input
+                    type="date"
+                    value={settings.leavePolicy.accrualStart}
+                    onChange={e => updateLeavePolicy({ accrualStart: e.target.value })}
+                    className="border rounded px-3 py-2 w-full"
+                  />
+                  <p className="text-xs text-gray-500 mt-1">Leave accrues and is counted from this date (empty = each calendar year on its own); enter a carried-over balance as an adjustment</p>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium mb-1">Requests Over Balance</label>
+                  <select
+                    value={settings.leavePolicy.overBalance}
+                    onChange={e => updateLeavePolicy({ overBalance: e.target.value })}
+                    className="border rounded px-3 py-2 w-full"
+                  >
+                    <option value="block">Block</option>
+                    <option value="flag">Allow and flag</option>
+                  </select>
+                </div>
+              </div>
+              <table className="w-full text-sm">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-2 py-1 text-left">Leave Type</th>
+                    <th className="px-2 py-1 text-left">Accrual</th>
+                    <th className="px-2 py-1 text-left">Days</th>
+                    <th className="px-2 py-1 text-left">Per Hours Worked</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {LEAVE_TYPES.map(type => {
+                    const rule = settings.leavePolicy.types[type];
+                    return (
+                      <tr key={type} className="border-t">
+                        <td className="px-2 py-1 capitalize">{type}</td>
+                        <td className="px-2 py-1">
+                          <select
+                            value={rule.method}
+                            onChange={e => updateLeaveTypePolicy(type, { method: e.target.value })}
+                            className="border rounded px-2 py-1"
+                          >
+                            {ACCRUAL_METHODS.map(method => (
+                              <option key={method} value={method}>
+                                {method === 'monthly' ? 'Per month' : method === 'hours' ? 'Per hours worked' : 'No balance'}
+                              </option>
+                            ))}
+                          </select>
+                        </td>
+                        <td className="px-2 py-1">
+                          <input
+                            type="number"
+                            min="0"
+                            step="0.5"
+                            value={rule.days}
+                            disabled={rule.method === 'none'}
+                            onChange={e => updateLeaveTypePolicy(type, { days: Number(e.target.value) })}
+                            className="border rounded px-2 py-1 w-20"
+                          />
+                        </td>
+                        <td className="px-2 py-1">
+                          <input
+                            type="number"
+                            min="1"
+                            value={rule.perHours}
+                            disabled={rule.method !== 'hours'}
+                            onChange={e => updateLeaveTypePolicy(type, { perHours: Number(e.target.value) || 1 })}
+                            className="border rounded px-2 py-1 w-20"
+                          />
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
           </div>
         )}
 
@@ -1027,6 +2220,111 @@ const ShiftAttendanceApp = () => {
                     onChange={e => setEmployeeForm({...employeeForm, skills: e.target.value})}
                     className="border rounded px-3 py-2 col-span-2"
                   />
+                  <div className="col-span-2">
+                    <p className="mb-2 font-medium">Availability</p>
+                    {employeeForm.availability.map((rule, idx) => (
+                      <div key={idx} className="flex gap-2 mb-2 items-center">
+                        <select
+                          value={rule.day}
+                          onChange={e => updateEmployeeFormItem('availability', idx, { day: e.target.value })}
+                          className="border rounded px-3 py-2"
+                        >
+                          <option value="">Every day</option>
+                          {daysOfWeek.map(day => (
+                            <option key={day} value={day}>{day}</option>
+                          ))}
+                        </select>
+                        <select
+                          value={rule.rule}
+                          onChange={e => updateEmployeeFormItem('availability', idx, { rule: e.target.value })}
+                          className="border rounded px-3 py-2"
+                        >
+                          {Object.entries(AVAILABILITY_RULES).map(([value, label]) => (
+                            <option key={value} value={value}>{label}</option>
+                          ))}
+                        </select>
+                        {rule.rule !== 'never' && (
+                          <input
+                            type="time"
+                            value={rule.time}
+                            onChange={e => updateEmployeeFormItem('availability', idx, { time: e.target.value })}
+                            className="border rounded px-3 py-2"
+                          />
+                        )}
+                        <button
+                          onClick={() => removeEmployeeFormItem('availability', idx)}
+                          className="text-red-600 hover:text-red-800"
+                          title="Remove"
+                        >
+                          <Trash2 size={16} />
+                        </button>
+                      </div>
+                    ))}
+                    <button
+                      onClick={() => setEmployeeForm({
+                        ...employeeForm,
+                        availability: [...employeeForm.availability, { day: 'Monday', rule: 'never', time: '08:00' }]
+                      })}
+                      className="text-blue-600 hover:text-blue-800 text-sm flex items-center gap-1"
+                    >
+                      <Plus size={14} /> Add availability rule
+                    </button>
+                    <p className="text-xs text-gray-500 mt-1">The scheduler never assigns shifts outside these rules</p>
+                  </div>
+                  <div className="col-span-2">
+                    <p className="mb-2 font-medium">Shift Preferences</p>
+                    {employeeForm.preferences.map((preference, idx) => (
+                      <div key={idx} className="flex gap-2 mb-2 items-center">
+                        <select
+                          value={preference.type}
+                          onChange={e => updateEmployeeFormItem('preferences', idx, { type: e.target.value })}
+                          className="border rounded px-3 py-2"
+                        >
+                          {Object.entries(PREFERENCE_TYPES).map(([value, label]) => (
+                            <option key={value} value={value}>{label}</option>
+                          ))}
+                        </select>
+                        <select
+                          value={preference.shiftId}
+                          onChange={e => updateEmployeeFormItem('preferences', idx, { shiftId: e.target.value })}
+                          className="border rounded px-3 py-2"
+                        >
+                          <option value="">Select Shift</option>
+                          {shifts.filter(s => s.roleId === employeeForm.roleId).map(shift => (
+                            <option key={shift.id} value={shift.id}>{shift.name}</option>
+                          ))}
+                        </select>
+                        <label className="text-sm text-gray-600">Weight</label>
+                        <input
+                          type="number"
+                          min="1"
+                          max="5"
+                          value={preference.weight}
+                          onChange={e => updateEmployeeFormItem('preferences', idx, { weight: Number(e.target.value) })}
+                          className="border rounded px-3 py-2 w-20"
+                        />
+                        <button
+                          onClick={() => removeEmployeeFormItem('preferences', idx)}
+                          className="text-red-600 hover:text-red-800"
+                          title="Remove"
+                        >
+                          <Trash2 size={16} />
+                        </button>
+                      </div>
+                    ))}
+                    <button
+                      onClick={() => setEmployeeForm({
+                        ...employeeForm,
+                        preferences: [...employeeForm.preferences, { shiftId: '', type: 'prefer', weight: 1 }]
+                      })}
+                      className="text-blue-600 hover:text-blue-800 text-sm flex items-center gap-1"
+                    >
+                      <Plus size={14} /> Add shift preference
+                    </button>
+                    <p className="text-xs text-gray-500 mt-1">
+                      Weighed against rotation: a weight of 2 counts like having worked the shift two times less (or more)
+                    </p>
+                  </div>
                 </div>
                 <div className="flex gap-2 mt-4">
                   <button
@@ -1039,7 +2337,7 @@ const ShiftAttendanceApp = () => {
                     onClick={() => {
                       setShowEmployeeForm(false);
                       setEditingEmployee(null);
-                      setEmployeeForm({ id: '', name: '', roleId: '', weeklyHours: 40, dailyMaxHours: 8, skills: '', shiftsPerWeek: 5 });
+                      setEmployeeForm({ id: '', name: '', roleId: '', weeklyHours: 40, dailyMaxHours: 8, skills: '', shiftsPerWeek: 5, availability: [], preferences: [] });
                     }}
                     className="bg-gray-400 text-white px-4 py-2 rounded-lg hover:bg-gray-500"
                   >
@@ -1067,7 +2365,14 @@ const ShiftAttendanceApp = () => {
                     const role = roles.find(r => r.id === emp.roleId);
                     return (
                       <tr key={emp.id} className="border-b">
-                        <td className="px-4 py-2">{emp.name}</td>
+                        <td className="px-4 py-2">
+                          {emp.name}
+                          {(emp.availability || []).length > 0 && (
+                            <div className="text-xs text-gray-500">
+                              {emp.availability.map(describeAvailabilityRule).join('; ')}
+                            </div>
+                          )}
+                        </td>
                         <td className="px-4 py-2">{role?.name || 'N/A'}</td>
                         <td className="px-4 py-2">{emp.weeklyHours}h</td>
                         <td className="px-4 py-2">{emp.dailyMaxHours}h</td>
@@ -1082,7 +2387,12 @@ const ShiftAttendanceApp = () => {
                             <button
                               onClick={() => {
                                 setEditingEmployee(emp);
-                                setEmployeeForm({...emp, skills: emp.skills.join(', ')});
+                                setEmployeeForm({
+                                  ...emp,
+                                  skills: emp.skills.join(', '),
+                                  availability: emp.availability || [],
+                                  preferences: emp.preferences || []
+                                });
                                 setShowEmployeeForm(true);
                               }}
                               className="text-blue-600 hover:text-blue-800"
@@ -1100,7 +2410,7 @@ const ShiftAttendanceApp = () => {
                             <button
                               onClick={() => deleteEmployee(emp.id)}
                               className="text-red-600 hover:text-red-800"
-                              title="Delete"
+                              title="Archive"
                             >
                               <Trash2 size={18} />
                             </button>
@@ -1113,6 +2423,55 @@ const ShiftAttendanceApp = () => {
               </table>
             </div>
 
+            {employees.some(e => !isEmployeeActive(e)) && (
+              <details className="mt-6">
+                <summary className="cursor-pointer font-semibold text-gray-700">
+                  Archived Employees ({employees.filter(e => !isEmployeeActive(e)).length})
+                </summary>
+                <p className="text-xs text-gray-500 mt-2 mb-2">
+                  Not scheduled any more; their past attendance, leave and schedule stay readable
+                </p>
+                <div className="space-y-2">
+                  {employees.filter(e => !isEmployeeActive(e)).map(emp => (
+                    <div key={emp.id} className="flex justify-between items-center bg-gray-50 p-2 rounded text-sm">
+                      <span>
+                        <span className="font-medium">{emp.name}</span>
+                        {' '}({roles.find(r => r.id === emp.roleId)?.name || 'Deleted role'}), archived {emp.archivedAt}
+                      </span>
+                      <div className="flex gap-2">
+                        <button
+                          onClick={() => setSelectedEmployeeForLeave(emp)}
+                          className="text-purple-600 hover:text-purple-800"
+                          title="View Leave & Attendance"
+                        >
+                          <Calendar size={18} />
+                        </button>
+                        {!roles.some(r => r.id === emp.roleId) && (
+                          <select
+                            value={restoreRoleIds[emp.id] || ''}
+                            onChange={e => setRestoreRoleIds({ ...restoreRoleIds, [emp.id]: e.target.value })}
+                            className="border rounded px-2 py-1 text-sm"
+                          >
+                            <option value="">Choose a role...</option>
+                            {roles.map(role => (
+                              <option key={role.id} value={role.id}>{role.name}</option>
+                            ))}
+                          </select>
+                        )}
+                        <button
+                          onClick={() => restoreArchivedEmployee(emp.id)}
+                          disabled={!roles.some(r => r.id === (restoreRoleIds[emp.id] || emp.roleId))}
+                          className="border border-gray-300 text-gray-700 px-3 py-1 rounded text-sm hover:bg-gray-100 disabled:opacity-50"
+                        >
+                          Restore
+                        </button>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              </details>
+            )}
+
             {/* Leave & Attendance Management Modal */}
             {selectedEmployeeForLeave && (
               <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
@@ -1130,36 +2489,150 @@ const ShiftAttendanceApp = () => {
                       </button>
                     </div>
 
+                    <div className="mb-4">{weekNavigator}</div>
+
                     {/* Leave Management */}
                     <div className="mb-6">
                       <h4 className="font-semibold text-lg mb-3">Leave Management</h4>
-                      <div className="grid grid-cols-7 gap-2">
+                      <div className="grid grid-cols-7 gap-2 mb-4">
                         {currentWeek.map((date, idx) => {
-                          const isLeave = isOnLeave(selectedEmployeeForLeave.id, date);
+                          const leave = findLeave(leaveRequests, selectedEmployeeForLeave.id, date, ['approved', 'pending']);
                           return (
                             <div key={date} className="text-center">
                               <div className="text-sm font-medium mb-1">{daysOfWeek[idx].slice(0, 3)}</div>
                               <div className="text-xs text-gray-600 mb-2">{date}</div>
-                              <button
-                                onClick={() => {
-                                  if (isLeave) {
-                                    removeLeaveRequest(selectedEmployeeForLeave.id, date);
-                                  } else {
-                                    addLeaveRequest(selectedEmployeeForLeave.id, date);
-                                  }
-                                }}
-                                className={`w-full px-2 py-2 rounded text-sm font-medium ${
-                                  isLeave
-                                    ? 'bg-red-500 text-white hover:bg-red-600'
-                                    : 'bg-green-500 text-white hover:bg-green-600'
+                              <div
+                                className={`w-full px-2 py-2 rounded text-sm font-medium capitalize ${
+                                  !leave
+                                    ? 'bg-green-500 text-white'
+                                    : leave.status === 'approved'
+                                      ? 'bg-red-500 text-white'
+                                      : 'bg-yellow-100 text-yellow-800'
                                 }`}
                               >
-                                {isLeave ? 'On Leave' : 'Working'}
-                              </button>
+                                {!leave ? 'Working' : leave.status === 'approved' ? leave.type : `${leave.type} (pending)`}
+                              </div>
                             </div>
                           );
                         })}
                       </div>
+
+                      {renderLeaveForm(selectedEmployeeForLeave.id)}
+
+                      <div className="mt-4 space-y-2">
+                        {Object.values(leaveRequests)
+                          .filter(request => request.employeeId === selectedEmployeeForLeave.id)
+                          .sort((a, b) => b.startDate.localeCompare(a.startDate))
+                          .map(request => (
+                            <div key={request.id} className="flex items-center gap-3 bg-gray-50 p-2 rounded text-sm">
+                              <span className={`w-3 h-3 rounded-full ${LEAVE_TYPE_COLORS[request.type]}`}></span>
+                              <span className="capitalize font-medium">{request.type}</span>
+                              <span className="text-gray-600 flex-1">{getLeaveLabel(request)}</span>
+                              <span className="capitalize">{request.status}</span>
+                              {request.approver && (
+                                <span className="text-xs text-gray-500" title={request.comment}>by {request.approver}</span>
+                              )}
+                              <button
+                                onClick={() => cancelLeaveRequest(request.id)}
+                                className="text-red-600 hover:text-red-800"
+                                title="Delete request"
+                              >
+                                <Trash2 size={14} />
+                              </button>
+                            </div>
+                          ))}
+                      </div>
+                    </div>
+
+                    {/* Leave Balances */}
+                    <div className="mb-6">
+                      <h4 className="font-semibold text-lg mb-3">Leave Balances</h4>
+                      {(() => {
+                        const balanceData = getLeaveBalanceData(selectedEmployeeForLeave);
+                        const trackedTypes = LEAVE_TYPES.filter(type => isBalanceTracked(settings.leavePolicy, type));
+                        const history = trackedTypes
+                          .flatMap(type => getLeaveBalanceHistory(selectedEmployeeForLeave, type, balanceData).map(entry => ({ ...entry, type })))
+                          .sort((a, b) => b.date.localeCompare(a.date));
+
+                        return (
+                          <>
+                            <div className="grid grid-cols-2 md:grid-cols-4 gap-2 mb-3">
+                              {trackedTypes.map(type => {
+                                const typeHistory = history.filter(entry => entry.type === type);
+                                const balance = typeHistory.length > 0 ? typeHistory[0].balance : 0;
+                                return (
+                                  <div key={type} className="bg-gray-50 p-3 rounded">
+                                    <div className="text-sm text-gray-600 capitalize">{type}</div>
+                                    <div className={`text-xl font-bold ${balance < 0 ? 'text-red-600' : ''}`}>{balance} days</div>
+                                  </div>
+                                );
+                              })}
+                            </div>
+
+                            <div className="flex flex-wrap items-end gap-2 mb-3">
+                              <select
+                                value={adjustmentForm.type}
+                                onChange={e => setAdjustmentForm({ ...adjustmentForm, type: e.target.value })}
+                                className="border rounded px-2 py-1 text-sm capitalize"
+                              >
+                                {trackedTypes.map(type => (
+                                  <option key={type} value={type}>{type}</option>
+                                ))}
+                              </select>
+                              <input
+                                type="number"
+                                step="0.5"
+                                value={adjustmentForm.days}
+                                onChange={e => setAdjustmentForm({ ...adjustmentForm, days: e.target.value })}
+                                placeholder="Days (+/-)"
+                                className="border rounded px-2 py-1 text-sm w-28"
+                              />
+                              <input
+                                type="text"
+                                value={adjustmentForm.note}
+                                onChange={e => setAdjustmentForm({ ...adjustmentForm, note: e.target.value })}
+                                placeholder="Note, e.g. opening balance"
+                                className="border rounded px-2 py-1 text-sm flex-1"
+                              />
+                              <button
+                                onClick={() => addLeaveAdjustment(selectedEmployeeForLeave.id)}
+                                className="bg-gray-600 text-white px-3 py-1 rounded text-sm hover:bg-gray-700"
+                              >
+                                Adjust Balance
+                              </button>
+                            </div>
+
+                            {history.length > 0 && (
+                              <div className="max-h-48 overflow-y-auto border rounded">
+                                <table className="w-full text-sm">
+                                  <thead className="bg-gray-50 sticky top-0">
+                                    <tr>
+                                      <th className="px-2 py-1 text-left">Date</th>
+                                      <th className="px-2 py-1 text-left">Type</th>
+                                      <th className="px-2 py-1 text-left">Entry</th>
+                                      <th className="px-2 py-1 text-right">Days</th>
+                                      <th className="px-2 py-1 text-right">Balance</th>
+                                    </tr>
+                                  </thead>
+                                  <tbody>
+                                    {history.map((entry, idx) => (
+                                      <tr key={idx} className="border-t">
+                                        <td className="px-2 py-1">{entry.date}</td>
+                                        <td className="px-2 py-1 capitalize">{entry.type}</td>
+                                        <td className="px-2 py-1">{entry.description}</td>
+                                        <td className={`px-2 py-1 text-right ${entry.days < 0 ? 'text-red-600' : 'text-green-600'}`}>
+                                          {entry.days > 0 ? `+${entry.days}` : entry.days}
+                                        </td>
+                                        <td className="px-2 py-1 text-right">{entry.balance}</td>
+                                      </tr>
+                                    ))}
+                                  </tbody>
+                                </table>
+                              </div>
+                            )}
+                          </>
+                        );
+                      })()}
                     </div>
 
                     {/* Attendance Tracking */}
@@ -1187,55 +2660,16 @@ const ShiftAttendanceApp = () => {
                               ) : empShifts.length > 0 ? (
                                 <div className="space-y-2">
                                   {empShifts.map(shift => {
-                                    const key = `${selectedEmployeeForLeave.id}-${date}-${shift.id}`;
-                                    const record = attendance[key];
-                                    
+                                    const key = getAttendanceKey(selectedEmployeeForLeave.id, date, shift.id);
                                     return (
                                       <div key={shift.id} className="flex items-center gap-3 bg-gray-50 p-2 rounded">
                                         <div className="flex-1">
                                           <div className="font-medium text-sm">{shift.name}</div>
                                           <div className="text-xs text-gray-600">
-                                            {shift.startTime} - {shift.endTime}
-                                          </div>
-                                        </div>
-                                        {!record ? (
-                                          <div className="flex items-center gap-2">
-                                            <input
-                                              type="time"
-                                              className="border rounded px-2 py-1 text-sm"
-                                              value={attendanceTime[key] || ''}
-                                              onChange={e => setAttendanceTime({...attendanceTime, [key]: e.target.value})}
-                                            />
-                                            <button
-                                              onClick={() => markAttendance(selectedEmployeeForLeave.id, date, shift.id)}
-                                              className="bg-blue-600 text-white px-3 py-1 rounded text-sm hover:bg-blue-700"
-                                            >
-                                              Mark
-                                            </button>
-                                          </div>
-                                        ) : (
-                                          <div className="flex items-center gap-2">
-                                            <span className="font-medium text-sm">{record.time}</span>
-                                            {record.status === 'on-time' && (
-                                              <div className="flex items-center gap-1 text-green-600 text-sm">
-                                                <CheckCircle size={16} />
-                                                <span>On Time</span>
-                                              </div>
-                                            )}
-                                            {record.status === 'correct' && (
-                                              <div className="flex items-center gap-1 text-yellow-600 text-sm">
-                                                <AlertCircle size={16} />
-                                                <span>Slightly Late</span>
-                                              </div>
-                                            )}
-                                            {record.status === 'late' && (
-                                              <div className="flex items-center gap-1 text-red-600 text-sm">
-                                                <XCircle size={16} />
-                                                <span>Late</span>
-                                              </div>
-                                            )}
+                                            {formatShiftTimes(shift)}
                                           </div>
-                                        )}
+                                        </div>
+                                        {renderAttendanceControls(selectedEmployeeForLeave.id, date, shift, key)}
                                       </div>
                                     );
                                   })}
@@ -1293,12 +2727,44 @@ const ShiftAttendanceApp = () => {
                     />
                     Weekend Work Required
                   </label>
+                  <div>
+                    <label className="block text-sm font-medium mb-1">Min Employees per Shift per Day</label>
+                    <input
+                      type="number"
+                      min="0"
+                      placeholder="Default: 1"
+                      value={roleForm.minEmployees ?? ''}
+                      onChange={e => setRoleForm({...roleForm, minEmployees: e.target.value})}
+                      className="border rounded px-3 py-2 w-full"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium mb-1">Max Employees per Shift per Day</label>
+                    <input
+                      type="number"
+                      min="0"
+                      placeholder="No limit"
+                      value={roleForm.maxEmployees ?? ''}
+                      onChange={e => setRoleForm({...roleForm, maxEmployees: e.target.value})}
+                      className="border rounded px-3 py-2 w-full"
+                    />
+                  </div>
                   <input
                     placeholder="Required Skills (comma separated)"
                     value={roleForm.requiredSkills}
                     onChange={e => setRoleForm({...roleForm, requiredSkills: e.target.value})}
                     className="border rounded px-3 py-2 col-span-2"
                   />
+                  <details className="col-span-2">
+                    <summary className="text-sm font-medium cursor-pointer">Attendance Policy Overrides</summary>
+                    <div className="mt-2">
+                      {renderAttendancePolicyInputs(
+                        roleForm.attendancePolicy,
+                        policy => setRoleForm({...roleForm, attendancePolicy: policy}),
+                        settings.attendancePolicy
+                      )}
+                    </div>
+                  </details>
                 </div>
                 <div className="flex gap-2 mt-4">
                   <button
@@ -1311,7 +2777,7 @@ const ShiftAttendanceApp = () => {
                     onClick={() => {
                       setShowRoleForm(false);
                       setEditingRole(null);
-                      setRoleForm({ id: '', name: '', weekendRequired: false, requiredSkills: '', breakMinutes: 60 });
+                      setRoleForm({ id: '', name: '', weekendRequired: false, requiredSkills: '', breakMinutes: 60, minEmployees: '', maxEmployees: '' });
                     }}
                     className="bg-gray-400 text-white px-4 py-2 rounded-lg hover:bg-gray-500"
                   >
@@ -1327,6 +2793,7 @@ const ShiftAttendanceApp = () => {
                   <tr>
                     <th className="px-4 py-2 text-left">Role Name</th>
                     <th className="px-4 py-2 text-left">Break Time</th>
+                    <th className="px-4 py-2 text-left">Min / Max per Day</th>
                     <th className="px-4 py-2 text-left">Weekend Required</th>
                     <th className="px-4 py-2 text-left">Skills</th>
                     <th className="px-4 py-2 text-left">Actions</th>
@@ -1337,6 +2804,7 @@ const ShiftAttendanceApp = () => {
                     <tr key={role.id} className="border-b">
                       <td className="px-4 py-2">{role.name}</td>
                       <td className="px-4 py-2">{role.breakMinutes} min</td>
+                      <td className="px-4 py-2">{role.minEmployees ?? '-'} / {role.maxEmployees ?? '-'}</td>
                       <td className="px-4 py-2">{role.weekendRequired ? 'Yes' : 'No'}</td>
                       <td className="px-4 py-2">{role.requiredSkills.join(', ')}</td>
                       <td className="px-4 py-2">
@@ -1344,7 +2812,12 @@ const ShiftAttendanceApp = () => {
                           <button
                             onClick={() => {
                               setEditingRole(role);
-                              setRoleForm({...role, requiredSkills: role.requiredSkills.join(', ')});
+                              setRoleForm({
+                                ...role,
+                                requiredSkills: role.requiredSkills.join(', '),
+                                minEmployees: role.minEmployees ?? '',
+                                maxEmployees: role.maxEmployees ?? ''
+                              });
                               setShowRoleForm(true);
                             }}
                             className="text-blue-600 hover:text-blue-800"
@@ -1425,6 +2898,60 @@ const ShiftAttendanceApp = () => {
                     />
                     <p className="text-xs text-gray-500 mt-1">Higher = more employees assigned (50 = equal split)</p>
                   </div>
+                  <div>
+                    <label className="block text-sm font-medium mb-1">Required Skills</label>
+                    <input
+                      placeholder="Skills (comma separated)"
+                      value={shiftForm.requiredSkills}
+                      onChange={e => setShiftForm({...shiftForm, requiredSkills: e.target.value})}
+                      className="border rounded px-3 py-2 w-full"
+                    />
+                    <p className="text-xs text-gray-500 mt-1">Needed in addition to the role's required skills</p>
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium mb-1">Min Employees per Day</label>
+                    <input
+                      type="number"
+                      min="0"
+                      placeholder="Role default"
+                      value={shiftForm.minEmployees ?? ''}
+                      onChange={e => setShiftForm({...shiftForm, minEmployees: e.target.value})}
+                      className="border rounded px-3 py-2 w-full"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium mb-1">Max Employees per Day</label>
+                    <input
+                      type="number"
+                      min="0"
+                      placeholder="Role default"
+                      value={shiftForm.maxEmployees ?? ''}
+                      onChange={e => setShiftForm({...shiftForm, maxEmployees: e.target.value})}
+                      className="border rounded px-3 py-2 w-full"
+                    />
+                  </div>
+                  {editingShift && (
+                    <div className="col-span-2">
+                      <label className="block text-sm font-medium mb-1">Changes effective from</label>
+                      <input
+                        type="date"
+                        value={shiftForm.effectiveFrom}
+                        onChange={e => setShiftForm({...shiftForm, effectiveFrom: e.target.value})}
+                        className="border rounded px-3 py-2"
+                      />
+                      <p className="text-xs text-gray-500 mt-1">Weeks before this date keep the current times</p>
+                    </div>
+                  )}
+                  <details className="col-span-2">
+                    <summary className="text-sm font-medium cursor-pointer">Attendance Policy Overrides</summary>
+                    <div className="mt-2">
+                      {renderAttendancePolicyInputs(
+                        shiftForm.attendancePolicy,
+                        policy => setShiftForm({...shiftForm, attendancePolicy: policy}),
+                        resolveAttendancePolicy(settings.attendancePolicy, roles.find(r => r.id === shiftForm.roleId), null)
+                      )}
+                    </div>
+                  </details>
                   <div className="col-span-2">
                     <p className="mb-2 font-medium">Days of Week</p>
                     <div className="flex flex-wrap gap-2">
@@ -1457,7 +2984,10 @@ const ShiftAttendanceApp = () => {
                     onClick={() => {
                       setShowShiftForm(false);
                       setEditingShift(null);
-                      setShiftForm({ id: '', name: '', startTime: '09:00', endTime: '17:00', roleId: '', daysOfWeek: [], priority: 50 });
+                      setShiftForm({
+                        id: '', name: '', startTime: '09:00', endTime: '17:00', roleId: '', daysOfWeek: [], priority: 50, requiredSkills: '',
+                        minEmployees: '', maxEmployees: ''
+                      });
                     }}
                     className="bg-gray-400 text-white px-4 py-2 rounded-lg hover:bg-gray-500"
                   >
@@ -1476,7 +3006,9 @@ const ShiftAttendanceApp = () => {
                     <th className="px-4 py-2 text-left">Time</th>
                     <th className="px-4 py-2 text-left">Work Hours</th>
                     <th className="px-4 py-2 text-left">Priority</th>
+                    <th className="px-4 py-2 text-left">Min / Max per Day</th>
                     <th className="px-4 py-2 text-left">Days</th>
+                    <th className="px-4 py-2 text-left">Skills</th>
                     <th className="px-4 py-2 text-left">Actions</th>
                   </tr>
                 </thead>
@@ -1485,22 +3017,42 @@ const ShiftAttendanceApp = () => {
                     const role = roles.find(r => r.id === shift.roleId);
                     return (
                       <tr key={shift.id} className="border-b">
-                        <td className="px-4 py-2">{shift.name}</td>
+                        <td className="px-4 py-2">
+                          {shift.name}
+                          {shift.version > 1 && (
+                            <span className="ml-2 text-xs text-gray-500">
+                              v{shift.version} from {getShiftVersion(shiftVersions, shift.id, shift.version)?.effectiveFrom}
+                            </span>
+                          )}
+                        </td>
                         <td className="px-4 py-2">{role?.name || 'N/A'}</td>
-                        <td className="px-4 py-2">{shift.startTime} - {shift.endTime}</td>
+                        <td className="px-4 py-2">{formatShiftTimes(shift)}</td>
                         <td className="px-4 py-2">{shift.hours}h (Break: {role?.breakMinutes || 0}m)</td>
                         <td className="px-4 py-2">
                           <span className="bg-blue-100 text-blue-800 px-2 py-1 rounded text-sm font-medium">
                             {shift.priority || 1}
                           </span>
                         </td>
+                        <td className="px-4 py-2">
+                          {(() => {
+                            const { min, max } = getStaffingLimits(role, shift);
+                            return `${min ?? '-'} / ${max ?? '-'}`;
+                          })()}
+                        </td>
                         <td className="px-4 py-2">{shift.daysOfWeek.map(d => d.slice(0, 3)).join(', ')}</td>
+                        <td className="px-4 py-2">{(shift.requiredSkills || []).join(', ')}</td>
                         <td className="px-4 py-2">
                           <div className="flex gap-2">
                             <button
                               onClick={() => {
                                 setEditingShift(shift);
-                                setShiftForm(shift);
+                                setShiftForm({
+                                  ...shift,
+                                  requiredSkills: (shift.requiredSkills || []).join(', '),
+                                  minEmployees: shift.minEmployees ?? '',
+                                  maxEmployees: shift.maxEmployees ?? '',
+                                  effectiveFrom: getToday()
+                                });
                                 setShowShiftForm(true);
                               }}
                               className="text-blue-600 hover:text-blue-800"
@@ -1524,20 +3076,209 @@ const ShiftAttendanceApp = () => {
           </div>
         )}
 
+        {/* Skills Matrix */}
+        {activeTab === 'skills' && (
+          <div className="bg-white rounded-lg shadow-sm p-6">
+            <h2 className="text-2xl font-bold text-gray-800 mb-2">Skills Matrix</h2>
+            <p className="text-sm text-gray-600 mb-6">
+              Which employees can cover which shifts, based on the role's and the shift's required skills
+            </p>
+
+            {shifts.length > 0 && employees.length > 0 ? (
+              <div className="overflow-x-auto">
+                <table className="w-full border-collapse">
+                  <thead>
+                    <tr className="bg-gray-100">
+                      <th className="border px-4 py-2 text-left sticky left-0 bg-gray-100">Employee</th>
+                      {shifts.map(shift => {
+                        const role = roles.find(r => r.id === shift.roleId);
+                        const requiredSkills = getRequiredSkills(role, shift);
+                        return (
+                          <th key={shift.id} className="border px-4 py-2 text-center min-w-32">
+                            <div>{shift.name}</div>
+                            <div className="text-xs text-gray-600 font-normal">{role?.name || 'N/A'}</div>
+                            <div className="text-xs text-gray-500 font-normal">
+                              {requiredSkills.length > 0 ? requiredSkills.join(', ') : 'No skills required'}
+                            </div>
+                          </th>
+                        );
+                      })}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {getSortedEmployees().map(emp => {
+                      const role = roles.find(r => r.id === emp.roleId);
+                      return (
+                        <tr key={emp.id}>
+                          <td className="border px-4 py-2 sticky left-0 bg-white">
+                            <div className="font-medium">{emp.name}</div>
+                            <div className="text-xs text-gray-500">{role?.name || 'N/A'}</div>
+                          </td>
+                          {shifts.map(shift => {
+                            if (shift.roleId !== emp.roleId) {
+                              return <td key={shift.id} className="border px-2 py-2 text-center text-gray-300">-</td>;
+                            }
+                            const missingSkills = getMissingSkills(emp, role, shift);
+                            return (
+                              <td key={shift.id} className="border px-2 py-2 text-center">
+                                {missingSkills.length === 0 ? (
+                                  <CheckCircle size={18} className="text-green-600 inline" />
+                                ) : (
+                                  <div className="text-red-600 text-xs flex items-center justify-center gap-1">
+                                    <XCircle size={16} />
+                                    <span>Missing: {missingSkills.join(', ')}</span>
+                                  </div>
+                                )}
+                              </td>
+                            );
+                          })}
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            ) : (
+              <p className="text-gray-600 text-center py-8">Add employees and shifts to see the skills matrix</p>
+            )}
+          </div>
+        )}
+
         {/* Schedule */}
         {activeTab === 'schedule' && (
           <div className="bg-white rounded-lg shadow-sm p-6">
             <div className="flex justify-between items-center mb-6">
-              <h2 className="text-2xl font-bold text-gray-800">Weekly Schedule</h2>
-              <button
-                onClick={generateSchedule}
-                className="bg-green-600 text-white px-4 py-2 rounded-lg flex items-center gap-2 hover:bg-green-700"
-              >
-                <Calendar size={20} /> Generate Schedule
-              </button>
+              <div>
+                <h2 className="text-2xl font-bold text-gray-800">Weekly Schedule</h2>
+                {scheduleSeeds[currentWeek[0]] !== undefined && (
+                  <p className="text-sm text-gray-500 mt-1">
+                    Seed: <span className="font-mono">{scheduleSeeds[currentWeek[0]]}</span>
+                  </p>
+                )}
+              </div>
+              <div className="flex gap-2">
+                <select
+                  value={weeksToGenerate}
+                  onChange={e => setWeeksToGenerate(Number(e.target.value))}
+                  className="border rounded px-3 py-2"
+                  title="Number of weeks to generate, starting with this week"
+                >
+                  {[1, 2, 4, 8].map(count => (
+                    <option key={count} value={count}>{count === 1 ? '1 week' : `${count} weeks`}</option>
+                  ))}
+                </select>
+                <button
+                  onClick={() => generateSchedule()}
+                  className="bg-green-600 text-white px-4 py-2 rounded-lg flex items-center gap-2 hover:bg-green-700"
+                >
+                  <Calendar size={20} /> Generate Schedule
+                </button>
+                {scheduleSeeds[currentWeek[0]] !== undefined && (
+                  <button
+                    onClick={() => generateSchedule({ reshuffle: true })}
+                    className="bg-purple-600 text-white px-4 py-2 rounded-lg flex items-center gap-2 hover:bg-purple-700"
+                    title="Generate the selected weeks again with new seeds"
+                  >
+                    <Shuffle size={20} /> Reshuffle
+                  </button>
+                )}
+              </div>
             </div>
 
-            {Object.keys(schedule).length > 0 ? (
+            <div className="mb-4 flex flex-wrap justify-between items-center gap-2">
+              {weekNavigator}
+              {(Object.keys(schedulePins.cells || {}).length > 0 || schedulePins.employees?.length > 0) && (
+                <div className="flex items-center gap-2 text-sm text-amber-700">
+                  <Pin size={14} /> Pinned shifts are kept when regenerating
+                  <button
+                    onClick={() => setSchedulePins(NO_PINS)}
+                    className="text-xs underline hover:text-amber-900"
+                  >
+                    Clear pins
+                  </button>
+                </div>
+              )}
+            </div>
+
+            {scheduleDiagnostics.length > 0 && (
+              <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4 mb-4">
+                <div className="flex justify-between items-center mb-3">
+                  <h3 className="font-semibold text-yellow-800 flex items-center gap-2">
+                    <AlertCircle size={18} /> Schedule Diagnostics
+                  </h3>
+                  <div className="flex gap-2">
+                    <button
+                      onClick={() => exportDiagnostics('csv')}
+                      className="bg-white border px-3 py-1 rounded text-sm hover:bg-gray-50 flex items-center gap-1"
+                    >
+                      <Save size={14} /> Export CSV
+                    </button>
+                    <button
+                      onClick={() => exportDiagnostics('json')}
+                      className="bg-white border px-3 py-1 rounded text-sm hover:bg-gray-50 flex items-center gap-1"
+                    >
+                      <Save size={14} /> Export JSON
+                    </button>
+                    <button
+                      onClick={() => setScheduleDiagnostics([])}
+                      className="text-yellow-700 hover:text-yellow-900"
+                      title="Dismiss"
+                    >
+                      <XCircle size={20} />
+                    </button>
+                  </div>
+                </div>
+
+                <div className="flex flex-wrap gap-2 mb-3">
+                  {['all', ...Object.keys(DIAGNOSTIC_LABELS)].map(type => {
+                    const count = type === 'all'
+                      ? scheduleDiagnostics.length
+                      : scheduleDiagnostics.filter(d => d.type === type).length;
+                    if (count === 0) return null;
+                    return (
+                      <button
+                        key={type}
+                        onClick={() => setDiagnosticsFilter(type)}
+                        className={`px-3 py-1 rounded-full text-sm ${
+                          diagnosticsFilter === type ? 'bg-yellow-600 text-white' : 'bg-white border text-yellow-800'
+                        }`}
+                      >
+                        {type === 'all' ? 'All' : DIAGNOSTIC_LABELS[type]} ({count})
+                      </button>
+                    );
+                  })}
+                </div>
+
+                <div className="max-h-64 overflow-y-auto">
+                  <table className="w-full text-sm">
+                    <thead>
+                      <tr className="text-left text-yellow-900">
+                        <th className="px-2 py-1">Type</th>
+                        <th className="px-2 py-1">Date</th>
+                        <th className="px-2 py-1">Shift</th>
+                        <th className="px-2 py-1">Employee</th>
+                        <th className="px-2 py-1">Reason</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {getDiagnosticRows()
+                        .filter(row => diagnosticsFilter === 'all' || row.kind === diagnosticsFilter)
+                        .map((row, idx) => (
+                          <tr key={idx} className="border-t border-yellow-200 text-yellow-900" title={row.message}>
+                            <td className="px-2 py-1 whitespace-nowrap">{row.type}</td>
+                            <td className="px-2 py-1 whitespace-nowrap">{row.date}</td>
+                            <td className="px-2 py-1">{row.shift || row.role}</td>
+                            <td className="px-2 py-1">{row.employee || '-'}</td>
+                            <td className="px-2 py-1">{row.reason}</td>
+                          </tr>
+                        ))}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
+            )}
+
+            {currentWeek.some(date => schedule[date]) ? (
               <div className="overflow-x-auto">
                 <table className="w-full border-collapse">
                   <thead>
@@ -1547,16 +3288,19 @@ const ShiftAttendanceApp = () => {
                         <th key={date} className="border px-4 py-2 text-center min-w-32">
                           <div>{daysOfWeek[idx]}</div>
                           <div className="text-sm text-gray-600">{date}</div>
+                          {scheduleDiagnostics.some(d => d.type === 'understaffed' && d.date === date) && (
+                            <div className="text-xs text-red-600 font-normal">Below minimum staffing</div>
+                          )}
                         </th>
                       ))}
                     </tr>
                   </thead>
                   <tbody>
                     {(() => {
-                      const sortedEmps = getSortedEmployees();
+                      const sortedEmps = getSortedEmployees(currentWeek);
                       let lastRoleId = null;
                       
-                      return sortedEmps.map((emp, empIndex) => {
+                      return sortedEmps.map(emp => {
                         const role = roles.find(r => r.id === emp.roleId);
                         const showRoleDivider = lastRoleId !== null && lastRoleId !== emp.roleId;
                         lastRoleId = emp.roleId;
@@ -1570,22 +3314,120 @@ const ShiftAttendanceApp = () => {
                             )}
                             <tr>
                               <td className="border px-4 py-2 sticky left-0 bg-white">
-                                <div className="font-medium">{emp.name}</div>
-                                <div className="text-xs text-gray-500">{role?.name || 'N/A'}</div>
+                                <div className="flex justify-between items-start gap-2">
+                                  <div>
+                                    <div className="font-medium">{emp.name}</div>
+                                    <div className="text-xs text-gray-500">{role?.name || 'N/A'}</div>
+                                  </div>
+                                  <button
+                                    onClick={() => setSchedulePins(toggleEmployeePin(schedulePins, emp.id))}
+                                    className={schedulePins.employees?.includes(emp.id) ? 'text-amber-600' : 'text-gray-300 hover:text-amber-600'}
+                                    title={schedulePins.employees?.includes(emp.id)
+                                      ? 'Unpin all shifts of this employee'
+                                      : 'Pin all shifts of this employee so regenerating keeps them'}
+                                  >
+                                    <Pin size={14} />
+                                  </button>
+                                </div>
                               </td>
                               {currentWeek.map(date => {
                                 const isLeave = isOnLeave(emp.id, date);
+                                // Night shifts from the day before continue into this cell
+                                const carriedOver = (schedule[addDays(date, -1)]?.[emp.id] || []).filter(isOvernightShift);
+                                const cellKey = `${emp.id}|${date}|`;
+                                const isPinned = isAssignmentPinned(schedulePins, emp.id, date);
+                                const dropCheckHere = dropCheck?.key === cellKey ? dropCheck : null;
+                                const addableShifts = shifts.filter(s =>
+                                  s.roleId === emp.roleId && s.daysOfWeek.includes(getDayName(date))
+                                );
                                 return (
-                                  <td key={date} className={`border px-2 py-2 ${isLeave ? 'bg-red-50 bg-opacity-40' : ''}`}>
+                                  <td
+                                    key={date}
+                                    className={`border px-2 py-2 align-top ${isLeave ? 'bg-red-50 bg-opacity-40' : ''} ${getDropHighlight(cellKey)}`}
+                                    title={dropCheckHere?.violations.join('\n') || undefined}
+                                    onDragOver={e => handleScheduleDragOver(e, emp.id, date)}
+                                    onDrop={e => handleScheduleDrop(e, emp.id, date)}
+                                  >
+                                    {carriedOver.map(shift => (
+                                      <div
+                                        key={`prev-${shift.id}`}
+                                        className="border border-dashed border-blue-300 text-blue-700 px-2 py-1 rounded mb-1 text-xs"
+                                      >
+                                        {shift.name} until {shift.endTime}
+                                      </div>
+                                    ))}
                                     {isLeave ? (
                                       <div className="text-red-500 text-xs font-medium">Unavailable</div>
                                     ) : (
-                                      schedule[date]?.[emp.id]?.map(shift => (
-                                        <div key={shift.id} className="bg-blue-100 text-blue-800 px-2 py-1 rounded mb-1 text-sm">
-                                          <div className="font-medium">{shift.name}</div>
-                                          <div className="text-xs">{shift.startTime}-{shift.endTime}</div>
-                                        </div>
-                                      ))
+                                      schedule[date]?.[emp.id]?.map(shift => {
+                                        const chipKey = `${emp.id}|${date}|${shift.id}`;
+                                        return (
+                                          <div
+                                            key={shift.id}
+                                            draggable
+                                            onDragStart={() => setDraggedAssignment({ employeeId: emp.id, date, shift })}
+                                            onDragEnd={() => {
+                                              setDraggedAssignment(null);
+                                              setDropCheck(null);
+                                            }}
+                                            onDragOver={e => handleScheduleDragOver(e, emp.id, date, shift)}
+                                            onDrop={e => handleScheduleDrop(e, emp.id, date, shift)}
+                                            className={`${isPinned ? 'bg-amber-100 text-amber-800' : 'bg-blue-100 text-blue-800'} px-2 py-1 rounded mb-1 text-sm cursor-move ${getDropHighlight(chipKey)}`}
+                                            title={dropCheck?.key === chipKey ? dropCheck.violations.join('\n') || 'Swap' : 'Drag to move, drop on another shift to swap'}
+                                          >
+                                            <div className="flex justify-between items-start gap-1">
+                                              <div className="font-medium">{shift.name}</div>
+                                              <div className="flex gap-1">
+                                                <button
+                                                  onClick={() => setSchedulePins(toggleCellPin(schedulePins, emp.id, date))}
+                                                  disabled={schedulePins.employees?.includes(emp.id)}
+                                                  className={isPinned ? 'text-amber-600' : 'text-blue-400 hover:text-amber-600'}
+                                                  title={isPinned ? 'Pinned: kept when regenerating' : 'Pin this day so regenerating keeps it'}
+                                                >
+                                                  <Pin size={14} />
+                                                </button>
+                                                <button
+                                                  onClick={() => removeShiftFromCell(emp.id, date, shift.id)}
+                                                  className="text-blue-400 hover:text-red-600"
+                                                  title="Remove shift"
+                                                >
+                                                  <XCircle size={14} />
+                                                </button>
+                                              </div>
+                                            </div>
+                                            <div className="text-xs">{formatShiftTimes(shift)}</div>
+                                          </div>
+                                        );
+                                      })
+                                    )}
+                                    {addingCell === cellKey ? (
+                                      <select
+                                        autoFocus
+                                        value=""
+                                        onChange={e => addShiftToCell(emp.id, date, e.target.value)}
+                                        onBlur={() => setAddingCell(null)}
+                                        className="border rounded px-1 py-1 text-xs w-full"
+                                      >
+                                        <option value="">Add shift...</option>
+                                        {addableShifts.map(shift => {
+                                          const violation = getAssignmentViolation({ employeeId: emp.id, date, shift });
+                                          return (
+                                            <option key={shift.id} value={shift.id}>
+                                              {shift.name}{violation ? ` (${violation})` : ''}
+                                            </option>
+                                          );
+                                        })}
+                                      </select>
+                                    ) : (
+                                      addableShifts.length > 0 && (
+                                        <button
+                                          onClick={() => setAddingCell(cellKey)}
+                                          className="text-gray-300 hover:text-blue-600 w-full flex justify-center"
+                                          title="Add shift"
+                                        >
+                                          <Plus size={14} />
+                                        </button>
+                                      )
                                     )}
                                   </td>
                                 );
@@ -1599,96 +3441,535 @@ const ShiftAttendanceApp = () => {
                 </table>
               </div>
             ) : (
-              <p className="text-gray-600 text-center py-8">Click "Generate Schedule" to create a weekly schedule</p>
+              <p className="text-gray-600 text-center py-8">No schedule for this week yet. Click "Generate Schedule" to create one</p>
             )}
           </div>
         )}
 
-        {/* Attendance */}
-        {activeTab === 'attendance' && (
-          <div className="bg-white rounded-lg shadow-sm p-6">
-            <h2 className="text-2xl font-bold text-gray-800 mb-6">Mark Attendance</h2>
-            
-            <div className="space-y-4">
-              {currentWeek.map((date, dayIdx) => {
-                const daySchedule = schedule[date] || {};
-                const hasShifts = Object.keys(daySchedule).length > 0;
-                
-                if (!hasShifts) return null;
-                
-                return (
-                  <div key={date} className="border rounded-lg p-4">
-                    <h3 className="font-semibold text-lg mb-3">
-                      {daysOfWeek[dayIdx]} - {date}
-                    </h3>
-                    <div className="space-y-2">
-                      {Object.entries(daySchedule).map(([empId, empShifts]) => {
-                        const emp = employees.find(e => e.id === empId);
-                                                  return empShifts.map(shift => {
-                          const key = `${empId}-${date}-${shift.id}`;
-                          const record = attendance[key];
-                          
-                          return (
-                            <div key={key} className="flex items-center gap-4 bg-gray-50 p-3 rounded">
-                              <div className="flex-1">
-                                <p className="font-medium">{emp?.name}</p>
-                                <p className="text-sm text-gray-600">
-                                  {shift.name} ({shift.startTime} - {shift.endTime})
-                                </p>
-                              </div>
-                              {!record ? (
-                                <div className="flex items-center gap-2">
-                                  <input
-                                    type="time"
-                                    className="border rounded px-2 py-1"
-                                    value={attendanceTime[key] || ''}
-                                    onChange={e => setAttendanceTime({...attendanceTime, [key]: e.target.value})}
-                                  />
-                                  <button
-                                    onClick={() => markAttendance(empId, date, shift.id)}
-                                    className="bg-blue-600 text-white px-3 py-1 rounded hover:bg-blue-700"
-                                  >
-                                    Mark
-                                  </button>
+        {/* Leave */}
+        {activeTab === 'leave' && (
+          <div className="space-y-6">
+            <div className="bg-white rounded-lg shadow-sm p-6">
+              <h2 className="text-2xl font-bold text-gray-800 mb-4">Leave Requests</h2>
+              <div className="mb-6">{renderLeaveForm()}</div>
+
+              <div className="flex flex-wrap justify-between items-center gap-2 mb-3">
+                <div className="flex gap-2">
+                  {[...LEAVE_STATUSES, 'all'].map(status => {
+                    const count = Object.values(leaveRequests).filter(r => status === 'all' || r.status === status).length;
+                    return (
+                      <button
+                        key={status}
+                        onClick={() => setLeaveStatusFilter(status)}
+                        className={`px-3 py-1 rounded-full text-sm capitalize ${
+                          leaveStatusFilter === status ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700'
+                        }`}
+                      >
+                        {status} ({count})
+                      </button>
+                    );
+                  })}
+                </div>
+                <div className="flex items-center gap-2">
+                  <label className="text-sm text-gray-600">Approver</label>
+                  <input
+                    type="text"
+                    value={leaveApprover}
+                    onChange={e => setLeaveApprover(e.target.value)}
+                    placeholder="Your name"
+                    className="border rounded px-2 py-1 text-sm"
+                  />
+                </div>
+              </div>
+
+              <div className="overflow-x-auto">
+                <table className="w-full">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-4 py-2 text-left text-sm">Employee</th>
+                      <th className="px-4 py-2 text-left text-sm">Type</th>
+                      <th className="px-4 py-2 text-left text-sm">Dates</th>
+                      <th className="px-4 py-2 text-left text-sm">Reason</th>
+                      <th className="px-4 py-2 text-left text-sm">Status</th>
+                      <th className="px-4 py-2 text-left text-sm">Decision</th>
+                      <th className="px-4 py-2 text-left text-sm">Actions</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {Object.values(leaveRequests)
+                      .filter(request => leaveStatusFilter === 'all' || request.status === leaveStatusFilter)
+                      .sort((a, b) => a.startDate.localeCompare(b.startDate))
+                      .map(request => {
+                        const emp = employees.find(e => e.id === request.employeeId);
+                        const conflicts = request.status === 'pending' ? getLeaveScheduleConflicts(request) : [];
+                        const balanceIssue = request.status === 'pending' ? getLeaveBalanceIssue(request) : null;
+                        return (
+                          <tr key={request.id} className="border-t text-sm">
+                            <td className="px-4 py-2 font-medium">{emp?.name || 'Unknown'}</td>
+                            <td className="px-4 py-2">
+                              <span className="flex items-center gap-2 capitalize">
+                                <span className={`w-3 h-3 rounded-full ${LEAVE_TYPE_COLORS[request.type]}`}></span>
+                                {request.type}
+                              </span>
+                            </td>
+                            <td className="px-4 py-2">
+                              <div>{getLeaveLabel(request)}</div>
+                              {conflicts.length > 0 && (
+                                <div className="text-xs text-orange-600">
+                                  Scheduled on {conflicts.length} of these days
                                 </div>
+                              )}
+                              {balanceIssue && (
+                                <div className="text-xs text-red-600">Over balance: {balanceIssue}</div>
+                              )}
+                            </td>
+                            <td className="px-4 py-2 text-gray-600">{request.reason || '-'}</td>
+                            <td className="px-4 py-2 capitalize">{request.status}</td>
+                            <td className="px-4 py-2 text-gray-600">
+                              {request.status === 'pending' ? (
+                                <input
+                                  type="text"
+                                  value={leaveComments[request.id] || ''}
+                                  onChange={e => setLeaveComments({ ...leaveComments, [request.id]: e.target.value })}
+                                  placeholder="Comment"
+                                  className="border rounded px-2 py-1 text-sm w-full"
+                                />
                               ) : (
-                                <div className="flex items-center gap-2">
-                                  <span className="font-medium">{record.time}</span>
-                                  {record.status === 'on-time' && (
-                                    <div className="flex items-center gap-1 text-green-600">
-                                      <CheckCircle size={20} />
-                                      <span>On Time</span>
-                                    </div>
-                                  )}
-                                  {record.status === 'correct' && (
-                                    <div className="flex items-center gap-1 text-yellow-600">
-                                      <AlertCircle size={20} />
-                                      <span>Slightly Late</span>
-                                    </div>
-                                  )}
-                                  {record.status === 'late' && (
-                                    <div className="flex items-center gap-1 text-red-600">
-                                      <XCircle size={20} />
-                                      <span>Late</span>
-                                    </div>
-                                  )}
+                                <div>
+                                  <div>{request.approver}</div>
+                                  {request.comment && <div className="text-xs">{request.comment}</div>}
                                 </div>
                               )}
-                            </div>
-                          );
-                        });
+                            </td>
+                            <td className="px-4 py-2">
+                              <div className="flex gap-2">
+                                {request.status === 'pending' && (
+                                  <>
+                                    <button
+                                      onClick={() => reviewLeave(request.id, 'approved')}
+                                      className="text-green-600 hover:text-green-800"
+                                      title="Approve"
+                                    >
+                                      <CheckCircle size={18} />
+                                    </button>
+                                    <button
+                                      onClick={() => reviewLeave(request.id, 'rejected')}
+                                      className="text-orange-600 hover:text-orange-800"
+                                      title="Reject"
+                                    >
+                                      <XCircle size={18} />
+                                    </button>
+                                  </>
+                                )}
+                                <button
+                                  onClick={() => cancelLeaveRequest(request.id)}
+                                  className="text-red-600 hover:text-red-800"
+                                  title="Delete request"
+                                >
+                                  <Trash2 size={18} />
+                                </button>
+                              </div>
+                            </td>
+                          </tr>
+                        );
                       })}
-                    </div>
+                  </tbody>
+                </table>
+              </div>
+            </div>
+
+            {/* Leave Calendar */}
+            <div className="bg-white rounded-lg shadow-sm p-6">
+              <div className="flex flex-wrap justify-between items-center gap-2 mb-4">
+                <h2 className="text-2xl font-bold text-gray-800">Leave Calendar</h2>
+                <div className="flex items-center gap-2">
+                  <button
+                    onClick={() => setLeaveMonth(addMonths(leaveMonth, -1))}
+                    className="border rounded p-1 hover:bg-gray-100"
+                    title="Previous month"
+                  >
+                    <ChevronLeft size={18} />
+                  </button>
+                  <input
+                    type="month"
+                    value={leaveMonth}
+                    onChange={e => e.target.value && setLeaveMonth(e.target.value)}
+                    className="border rounded px-2 py-1 text-sm"
+                  />
+                  <button
+                    onClick={() => setLeaveMonth(addMonths(leaveMonth, 1))}
+                    className="border rounded p-1 hover:bg-gray-100"
+                    title="Next month"
+                  >
+                    <ChevronRight size={18} />
+                  </button>
+                </div>
+              </div>
+
+              <div className="flex flex-wrap gap-4 mb-3 text-sm">
+                {LEAVE_TYPES.map(type => (
+                  <span key={type} className="flex items-center gap-1 capitalize">
+                    <span className={`w-3 h-3 rounded ${LEAVE_TYPE_COLORS[type]}`}></span>
+                    {type}
+                  </span>
+                ))}
+                <span className="flex items-center gap-1">
+                  <span className="w-3 h-3 rounded bg-gray-400 opacity-40"></span>
+                  Pending
+                </span>
+              </div>
+
+              {(() => {
+                const monthDates = getMonthDates(leaveMonth);
+                const monthLeave = getLeaveInRange(leaveRequests, monthDates[0], monthDates[monthDates.length - 1])
+                  .filter(request => request.status !== 'rejected');
+
+                return (
+                  <div className="overflow-x-auto">
+                    <table className="border-collapse text-xs">
+                      <thead>
+                        <tr className="bg-gray-100">
+                          <th className="border px-2 py-1 text-left sticky left-0 bg-gray-100 min-w-32">Employee</th>
+                          {monthDates.map(date => (
+                            <th
+                              key={date}
+                              className={`border px-1 py-1 w-6 ${['Saturday', 'Sunday'].includes(getDayName(date)) ? 'bg-gray-200' : ''}`}
+                              title={`${getDayName(date)} ${date}`}
+                            >
+                              {Number(date.slice(8))}
+                            </th>
+                          ))}
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {getSortedEmployees().map(emp => (
+                          <tr key={emp.id}>
+                            <td className="border px-2 py-1 sticky left-0 bg-white whitespace-nowrap">{emp.name}</td>
+                            {monthDates.map(date => {
+                              const leave = monthLeave.find(r =>
+                                r.employeeId === emp.id && r.startDate <= date && date <= r.endDate
+                              );
+                              return (
+                                <td
+                                  key={date}
+                                  className={`border h-6 ${leave ? LEAVE_TYPE_COLORS[leave.type] : ''} ${
+                                    leave?.status === 'pending' ? 'opacity-40' : ''
+                                  }`}
+                                  title={leave ? `${emp.name}: ${leave.type} (${leave.status})` : undefined}
+                                ></td>
+                              );
+                            })}
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
                   </div>
                 );
-              })}
+              })()}
+            </div>
+          </div>
+        )}
+
+        {/* Attendance */}
+        {activeTab === 'attendance' && (
+          <div className="bg-white rounded-lg shadow-sm p-6">
+            <div className="flex flex-wrap justify-between items-center gap-2 mb-6">
+              <h2 className="text-2xl font-bold text-gray-800">Mark Attendance</h2>
+              <div className="flex flex-wrap items-center gap-2">
+                <div className="flex rounded-lg border overflow-hidden">
+                  {[['week', 'Week'], ['today', 'Today']].map(([mode, label]) => (
+                    <button
+                      key={mode}
+                      onClick={() => {
+                        setAttendanceMode(mode);
+                        setNow({ date: getToday(), time: getCurrentTime() });
+                      }}
+                      className={`px-3 py-1 text-sm ${attendanceMode === mode ? 'bg-blue-600 text-white' : 'text-gray-600 hover:bg-gray-100'}`}
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </div>
+                {attendanceMode === 'week' && weekNavigator}
+              </div>
             </div>
+
+            {(() => {
+              const absences = getUnacknowledgedAbsences(attendance);
+              if (absences.length === 0) return null;
+
+              return (
+                <div className="mb-6 p-4 bg-red-50 border border-red-200 rounded-lg">
+                  <h3 className="font-semibold text-red-800 mb-3 flex items-center gap-2">
+                    <AlertCircle size={18} />
+                    Unacknowledged Absences ({absences.length})
+                  </h3>
+                  <div className="space-y-2">
+                    {absences.map(absence => {
+                      const emp = employees.find(e => e.id === absence.employeeId);
+                      const shift = getAttendanceShift(absence.employeeId, absence.date, absence.shiftId);
+                      return (
+                        <div key={absence.key} className="flex flex-wrap justify-between items-center gap-2 bg-white p-2 rounded">
+                          <span className="text-sm">
+                            <span className="font-medium">{emp?.name || 'Unknown employee'}</span>
+                            {' '}did not clock in for {shift?.name || 'a shift'} on {getDayName(absence.date)} {absence.date}
+                          </span>
+                          <div className="flex gap-2">
+                            <button
+                              onClick={() => acknowledgeAbsence(absence.key)}
+                              className="border border-gray-300 text-gray-700 px-3 py-1 rounded text-sm hover:bg-gray-50"
+                            >
+                              Acknowledge
+                            </button>
+                            <button
+                              onClick={() => convertNoShowToSickLeave(absence.key)}
+                              className="border border-blue-300 text-blue-600 px-3 py-1 rounded text-sm hover:bg-blue-50"
+                            >
+                              Sick Leave
+                            </button>
+                          </div>
+                        </div>
+                      );
+                    })}
+                  </div>
+                </div>
+              );
+            })()}
+
+            {attendanceMode === 'today' ? (
+              <div className="space-y-4">
+                <p className="text-sm text-gray-600">
+                  Shifts starting between {formatDuration(ROLL_CALL_WINDOW.lookBackMinutes)} ago and {formatDuration(ROLL_CALL_WINDOW.lookAheadMinutes)} from now ({now.time})
+                </p>
+                {(() => {
+                  const rollCall = getShiftsAroundNow(schedule, now, ROLL_CALL_WINDOW);
+                  if (rollCall.length === 0) {
+                    return <p className="text-gray-600 text-center py-8">No shifts starting around now</p>;
+                  }
+
+                  return rollCall.map(group => {
+                    const counts = getRollCallCounts(group, attendance);
+                    return (
+                      <div key={`${group.date}-${group.shift.id}`} className="border rounded-lg p-4">
+                        <div className="flex flex-wrap justify-between items-center gap-2 mb-3">
+                          <div>
+                            <h3 className="font-semibold text-lg">
+                              {group.shift.name} ({formatShiftTimes(group.shift)})
+                            </h3>
+                            <p className="text-sm text-gray-600">
+                              {group.date} - {group.minutesFromStart >= 0
+                                ? `started ${formatDuration(group.minutesFromStart)} ago`
+                                : `starts in ${formatDuration(group.minutesFromStart)}`}
+                            </p>
+                          </div>
+                          <div className="flex gap-4 text-sm">
+                            <span>Expected <strong>{counts.expected}</strong></span>
+                            <span className="text-green-600">Arrived <strong>{counts.arrived}</strong></span>
+                            <span className="text-red-600">Missing <strong>{counts.missing}</strong></span>
+                          </div>
+                        </div>
+                        <div className="space-y-2">
+                          {group.employeeIds.map(empId => {
+                            const emp = employees.find(e => e.id === empId);
+                            const key = getAttendanceKey(empId, group.date, group.shift.id);
+                            return (
+                              <div key={key} className="flex items-center gap-4 bg-gray-50 p-3 rounded">
+                                <p className="flex-1 font-medium">{emp?.name}</p>
+                                {!attendance[key]?.clockIn && (
+                                  <button
+                                    onClick={() => markPresentNow(empId, group.date, group.shift.id)}
+                                    className="bg-green-600 text-white px-4 py-2 rounded-lg hover:bg-green-700 flex items-center gap-1"
+                                  >
+                                    <CheckCircle size={18} /> Present Now
+                                  </button>
+                                )}
+                                {renderAttendanceControls(empId, group.date, group.shift, key)}
+                              </div>
+                            );
+                          })}
+                        </div>
+                      </div>
+                    );
+                  });
+                })()}
+              </div>
+            ) : (
+              <>
+                <div className="space-y-4">
+                  {currentWeek.map((date, dayIdx) => {
+                    const daySchedule = schedule[date] || {};
+                    const hasShifts = Object.keys(daySchedule).length > 0;
+                
+                    if (!hasShifts) return null;
+                
+                    return (
+                      <div key={date} className="border rounded-lg p-4">
+                        <h3 className="font-semibold text-lg mb-3">
+                          {daysOfWeek[dayIdx]} - {date}
+                        </h3>
+                        <div className="space-y-2">
+                          {Object.entries(daySchedule).map(([empId, empShifts]) => {
+                            const emp = employees.find(e => e.id === empId);
+                            return empShifts.map(shift => {
+                              const key = getAttendanceKey(empId, date, shift.id);
+                              return (
+                                <div key={key} className="flex items-center gap-4 bg-gray-50 p-3 rounded">
+                                  <div className="flex-1">
+                                    <p className="font-medium">{emp?.name}</p>
+                                    <p className="text-sm text-gray-600">
+                                      {shift.name} ({formatShiftTimes(shift)})
+                                    </p>
+                                  </div>
+                                  {renderAttendanceControls(empId, date, shift, key)}
+                                </div>
+                              );
+                            });
+                          })}
+                        </div>
+                      </div>
+                    );
+                  })}
+                </div>
             
-            {Object.keys(schedule).length === 0 && (
-              <p className="text-gray-600 text-center py-8">Generate a schedule first to mark attendance</p>
+                {!currentWeek.some(date => schedule[date]) && (
+                  <p className="text-gray-600 text-center py-8">Generate a schedule for this week first to mark attendance</p>
+                )}
+              </>
             )}
           </div>
         )}
+
+        {activeTab === 'reports' && (
+          <div className="bg-white rounded-lg shadow-sm p-6">
+            <div className="flex flex-wrap justify-between items-center gap-2 mb-6">
+              <h2 className="text-2xl font-bold text-gray-800">Attendance Reports</h2>
+              <button
+                onClick={exportAttendanceReport}
+                disabled={!reportFilters.startDate || !reportFilters.endDate}
+                className="bg-green-600 text-white px-4 py-2 rounded-lg hover:bg-green-700 flex items-center gap-2 disabled:opacity-50"
+              >
+                <Save size={18} /> Export CSV
+              </button>
+            </div>
+
+            <div className="grid grid-cols-2 md:grid-cols-5 gap-3 mb-4">
+              <div>
+                <label className="block text-xs text-gray-600 mb-1">From</label>
+                <input
+                  type="date"
+                  value={reportFilters.startDate}
+                  onChange={e => setReportFilters({ ...reportFilters, startDate: e.target.value })}
+                  className="border rounded px-2 py-1 w-full text-sm"
+                />
+              </div>
+              <div>
+                <label className="block text-xs text-gray-600 mb-1">To</label>
+                <input
+                  type="date"
+                  value={reportFilters.endDate}
+                  onChange={e => setReportFilters({ ...reportFilters, endDate: e.target.value })}
+                  className="border rounded px-2 py-1 w-full text-sm"
+                />
+              </div>
+              <div>
+                <label className="block text-xs text-gray-600 mb-1">Employee</label>
+                <select
+                  value={reportFilters.employeeId}
+                  onChange={e => setReportFilters({ ...reportFilters, employeeId: e.target.value })}
+                  className="border rounded px-2 py-1 w-full text-sm"
+                >
+                  <option value="">All employees</option>
+                  {employees.map(emp => (
+                    <option key={emp.id} value={emp.id}>{emp.name}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-xs text-gray-600 mb-1">Role</label>
+                <select
+                  value={reportFilters.roleId}
+                  onChange={e => setReportFilters({ ...reportFilters, roleId: e.target.value })}
+                  className="border rounded px-2 py-1 w-full text-sm"
+                >
+                  <option value="">All roles</option>
+                  {roles.map(role => (
+                    <option key={role.id} value={role.id}>{role.name}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-xs text-gray-600 mb-1">Shift</label>
+                <select
+                  value={reportFilters.shiftId}
+                  onChange={e => setReportFilters({ ...reportFilters, shiftId: e.target.value })}
+                  className="border rounded px-2 py-1 w-full text-sm"
+                >
+                  <option value="">All shifts</option>
+                  {shifts.map(shift => (
+                    <option key={shift.id} value={shift.id}>{shift.name}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+
+            <div className="flex rounded-lg border overflow-hidden w-fit mb-4">
+              {[['summary', 'Per Employee'], ['detail', 'Per Shift']].map(([view, label]) => (
+                <button
+                  key={view}
+                  onClick={() => setReportView(view)}
+                  className={`px-3 py-1 text-sm ${reportView === view ? 'bg-blue-600 text-white' : 'text-gray-600 hover:bg-gray-100'}`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+
+            {(() => {
+              if (!reportFilters.startDate || !reportFilters.endDate) {
+                return <p className="text-gray-600 text-center py-8">Select a date range</p>;
+              }
+
+              const report = getAttendanceReport();
+              if (report.details.length === 0) {
+                return <p className="text-gray-600 text-center py-8">No scheduled shifts or attendance in this range</p>;
+              }
+
+              const columns = reportView === 'summary' ? ATTENDANCE_SUMMARY_COLUMNS : ATTENDANCE_DETAIL_COLUMNS;
+              const rows = reportView === 'summary' ? report.rows : report.details;
+              return (
+                <div className="overflow-x-auto">
+                  <table className="w-full text-sm border-collapse">
+                    <thead>
+                      <tr className="bg-gray-100 text-left">
+                        {columns.map(column => (
+                          <th key={column.key} className="border px-2 py-1 whitespace-nowrap">{column.label}</th>
+                        ))}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {rows.map(row => (
+                        <tr key={row.key || row.employeeId} className="hover:bg-gray-50">
+                          {columns.map(column => (
+                            <td key={column.key} className="border px-2 py-1 whitespace-nowrap">{row[column.key] ?? '-'}</td>
+                          ))}
+                        </tr>
+                      ))}
+                      {reportView === 'summary' && (
+                        <tr className="bg-gray-50 font-semibold">
+                          {columns.map(column => (
+                            <td key={column.key} className="border px-2 py-1 whitespace-nowrap">{report.totals[column.key]}</td>
+                          ))}
+                        </tr>
+                      )}
+                    </tbody>
+                  </table>
+                </div>
+              );
+            })()}
+          </div>
+        )}
+
+        {pendingDelete && renderDeleteDialog()}
       </div>
     </div>
   );
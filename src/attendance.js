@@ -0,0 +1,236 @@
+// Attendance records
+// One record per employee, date and shift, keyed `${employeeId}-${date}-${shiftId}`.
+// status describes the arrival (on-time, correct = slightly late, late,
+// half-day, no-show, sick-leave for a no-show converted to sick leave, or
+// excused for a detected no-show that was cleared)
+// and departureStatus the clock-out (on-time, early-leave or overtime).
+// Worked hours are derived from the clock times and breaks, rated with the
+// attendance policy in settings.
+
+import { addDays } from './dates';
+import { DEFAULT_SETTINGS } from './settings';
+import { getMinutesFromShiftEnd, getMinutesFromShiftStart, getShiftWindow, timeToMinutes } from './shiftTimes';
+
+const DEFAULT_POLICY = DEFAULT_SETTINGS.attendancePolicy;
+
+export const ROUNDING_MODES = ['nearest', 'up', 'down'];
+
+export const getAttendanceKey = (employeeId, date, shiftId) => `${employeeId}-${date}-${shiftId}`;
+
+// The policy for a shift: its own overrides over its role's over the global policy.
+// Overrides only hold the fields they change; empty values inherit.
+export const resolveAttendancePolicy = (policy, role, shift) => {
+  const resolved = { ...DEFAULT_POLICY, ...policy };
+  [role?.attendancePolicy, shift?.attendancePolicy].forEach(override => {
+    Object.entries(override || {}).forEach(([field, value]) => {
+      if (value !== '' && value !== null && value !== undefined) resolved[field] = value;
+    });
+  });
+  return resolved;
+};
+
+const minutesToTime = (minutes) => {
+  const wrapped = ((minutes % 1440) + 1440) % 1440;
+  return `${String(Math.floor(wrapped / 60)).padStart(2, '0')}:${String(wrapped % 60).padStart(2, '0')}`;
+};
+
+// Round a clock time to the policy's interval, e.g. 06:07 -> 06:00 to the nearest 15 minutes
+export const roundClockTime = (time, { roundingMinutes = 0, roundingMode = 'nearest' } = {}) => {
+  if (!time || !roundingMinutes) return time;
+  const round = { nearest: Math.round, up: Math.ceil, down: Math.floor }[roundingMode] || Math.round;
+  return minutesToTime(round(timeToMinutes(time) / roundingMinutes) * roundingMinutes);
+};
+
+export const getArrivalStatus = (shift, clockIn, policy = DEFAULT_POLICY) => {
+  // Compared with the nearest shift start, so night shifts work across midnight
+  const diff = getMinutesFromShiftStart(shift, roundClockTime(clockIn, policy));
+  if (diff > policy.halfDayAfterMinutes) return 'half-day';
+  if (diff > policy.lateAfterMinutes) return 'late';
+  if (diff > policy.graceMinutes) return 'correct';
+  return 'on-time';
+};
+
+// Minutes from one clock time to the next, past midnight if the second is earlier
+const minutesBetween = (from, to) => ((timeToMinutes(to) - timeToMinutes(from)) % 1440 + 1440) % 1440;
+
+// Breaks still running (no end yet) are not counted
+export const getBreakMinutes = (breaks = []) => {
+  return breaks.filter(b => b.start && b.end).reduce((sum, b) => sum + minutesBetween(b.start, b.end), 0);
+};
+
+/**
+ * Hours from clock-in to clock-out less breaks, or null while the shift is
+ * still open. Without recorded breaks the role's standard break is deducted.
+ * Clock times are rounded by the policy, and with a shift given, time before
+ * the early-arrival limit is not counted.
+ */
+export const getWorkedHours = ({ clockIn, clockOut, breaks = [] }, defaultBreakMinutes = 0, shift = null, policy = DEFAULT_POLICY) => {
+  if (!clockIn || !clockOut) return null;
+
+  let start = roundClockTime(clockIn, policy);
+  if (shift && getMinutesFromShiftStart(shift, start) < -policy.earlyArrivalLimitMinutes) {
+    start = minutesToTime(timeToMinutes(shift.startTime) - policy.earlyArrivalLimitMinutes);
+  }
+
+  const breakMinutes = breaks.length > 0 ? getBreakMinutes(breaks) : defaultBreakMinutes;
+  return Math.max(0, minutesBetween(start, roundClockTime(clockOut, policy)) - breakMinutes) / 60;
+};
+
+export const getDepartureStatus = (shift, clockOut, workedHours, policy = DEFAULT_POLICY) => {
+  if (!clockOut) return null;
+  if (workedHours !== null && (workedHours - shift.hours) * 60 > policy.overtimeMinutes) return 'overtime';
+  if (getMinutesFromShiftEnd(shift, roundClockTime(clockOut, policy)) < -policy.earlyLeaveMinutes) return 'early-leave';
+  return 'on-time';
+};
+
+/**
+ * Fill in the derived fields of a record from its clock times: arrival
+ * status, worked hours and departure status. A no-show without a clock-in
+ * stays a no-show. time mirrors clockIn for data saved by older versions.
+ */
+export const buildAttendanceRecord = (record, shift, { defaultBreakMinutes = 0, policy = DEFAULT_POLICY } = {}) => {
+  const clockIn = record.clockIn ?? record.time ?? null;
+  const clockOut = clockIn ? record.clockOut ?? null : null;
+  const breaks = record.breaks || [];
+
+  if (!clockIn) {
+    return { ...record, clockIn: null, clockOut: null, breaks, time: null, workedHours: 0, departureStatus: null };
+  }
+
+  const workedHours = getWorkedHours({ clockIn, clockOut, breaks }, defaultBreakMinutes, shift, policy);
+  return {
+    ...record,
+    clockIn,
+    clockOut,
+    breaks,
+    time: clockIn,
+    status: getArrivalStatus(shift, clockIn, policy),
+    workedHours,
+    departureStatus: getDepartureStatus(shift, clockOut, workedHours, policy)
+  };
+};
+
+/**
+ * Rate every existing record again, e.g. after the policy changed.
+ * getContext(record) returns { shift, defaultBreakMinutes, policy } for a
+ * record, or null to leave it as it is (e.g. its shift no longer exists).
+ */
+export const recomputeAttendance = (attendance, getContext) => {
+  const recomputed = {};
+  Object.entries(attendance).forEach(([key, record]) => {
+    const context = getContext(record);
+    recomputed[key] = context ? buildAttendanceRecord(record, context.shift, context) : record;
+  });
+  return recomputed;
+};
+
+/**
+ * Scheduled shifts starting around a moment ({ date, time }, local clock):
+ * from lookBackMinutes before it to lookAheadMinutes after it, including
+ * night shifts that started the day before. Returns one entry per shift as
+ * { date, shift, employeeIds, minutesFromStart }, earliest start first.
+ */
+export const getShiftsAroundNow = (schedule, now, { lookBackMinutes = 240, lookAheadMinutes = 120 } = {}) => {
+  const nowMs = Date.parse(`${now.date}T${now.time}:00Z`);
+  const groups = {};
+
+  [addDays(now.date, -1), now.date].forEach(date => {
+    Object.entries(schedule[date] || {}).forEach(([employeeId, empShifts]) => {
+      empShifts.forEach(shift => {
+        const minutesFromStart = (nowMs - getShiftWindow(shift, date).start) / 60000;
+        if (minutesFromStart > lookBackMinutes || minutesFromStart < -lookAheadMinutes) return;
+
+        const key = `${date}|${shift.id}`;
+        if (!groups[key]) groups[key] = { date, shift, employeeIds: [], minutesFromStart };
+        groups[key].employeeIds.push(employeeId);
+      });
+    });
+  });
+
+  return Object.values(groups).sort((a, b) => b.minutesFromStart - a.minutesFromStart);
+};
+
+// Expected, arrived (clocked in) and missing people for one shift
+export const getRollCallCounts = ({ date, shift, employeeIds }, attendance) => {
+  const arrived = employeeIds.filter(id => attendance[getAttendanceKey(id, date, shift.id)]?.clockIn).length;
+  return { expected: employeeIds.length, arrived, missing: employeeIds.length - arrived };
+};
+
+/**
+ * No-show records for scheduled shifts nobody clocked in for, once the
+ * policy's noShowAfterMinutes have passed since the start. Only dates from
+ * lookbackDays before now are checked, and shifts on leave are skipped.
+ * The records are unacknowledged until a supervisor has seen them.
+ */
+export const detectNoShows = (schedule, attendance, now, {
+  lookbackDays = 7,
+  getPolicy = () => DEFAULT_POLICY,
+  isOnLeave = () => false
+} = {}) => {
+  const nowMs = Date.parse(`${now.date}T${now.time}:00Z`);
+  const firstDate = addDays(now.date, -lookbackDays);
+  const detected = {};
+
+  Object.entries(schedule).forEach(([date, day]) => {
+    if (date < firstDate || date > now.date) return;
+
+    Object.entries(day).forEach(([employeeId, empShifts]) => {
+      empShifts.forEach(shift => {
+        const key = getAttendanceKey(employeeId, date, shift.id);
+        if (attendance[key] || isOnLeave(employeeId, date)) return;
+
+        const { noShowAfterMinutes } = getPolicy(employeeId, shift);
+        if (nowMs < getShiftWindow(shift, date).start + noShowAfterMinutes * 60000) return;
+
+        detected[key] = {
+          employeeId,
+          date,
+          shiftId: shift.id,
+          status: 'no-show',
+          clockIn: null,
+          clockOut: null,
+          breaks: [],
+          time: null,
+          workedHours: 0,
+          departureStatus: null,
+          autoDetected: true,
+          acknowledged: false
+        };
+      });
+    });
+  });
+  return detected;
+};
+
+// Attendance without the record at key. A detected no-show is excused
+// instead, so the next detection pass does not bring it back.
+export const clearAttendanceRecord = (attendance, key) => {
+  const { [key]: record, ...rest } = attendance;
+  if (record?.autoDetected && record.status === 'no-show') {
+    return { ...attendance, [key]: { ...record, status: 'excused', acknowledged: true } };
+  }
+  return rest;
+};
+
+export const getUnacknowledgedAbsences = (attendance) => {
+  return Object.entries(attendance)
+    .filter(([, record]) => record.status === 'no-show' && record.acknowledged === false)
+    .map(([key, record]) => ({ key, ...record }))
+    .sort((a, b) => a.date.localeCompare(b.date));
+};
+
+// Records saved before clock-out existed only have a clock-in `time`
+export const normalizeAttendance = (attendance = {}) => {
+  const normalized = {};
+  Object.entries(attendance).forEach(([key, record]) => {
+    normalized[key] = {
+      clockIn: record.time ?? null,
+      clockOut: null,
+      breaks: [],
+      workedHours: null,
+      departureStatus: null,
+      ...record
+    };
+  });
+  return normalized;
+};
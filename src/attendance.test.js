@@ -0,0 +1,186 @@
+import { describe, it, expect } from 'vitest';
+import {
+  buildAttendanceRecord,
+  clearAttendanceRecord,
+  detectNoShows,
+  getArrivalStatus,
+  getBreakMinutes,
+  getDepartureStatus,
+  getRollCallCounts,
+  getShiftsAroundNow,
+  getUnacknowledgedAbsences,
+  getWorkedHours,
+  normalizeAttendance,
+  recomputeAttendance,
+  resolveAttendancePolicy,
+  roundClockTime
+} from './attendance';
+import { DEFAULT_SETTINGS } from './settings';
+
+const day = { id: 'day', startTime: '06:00', endTime: '15:00', hours: 8 };
+const night = { id: 'night', startTime: '22:00', endTime: '06:00', hours: 7.5 };
+
+describe('attendance', () => {
+  it('rates arrivals against the nearest shift start', () => {
+    expect(getArrivalStatus(day, '05:50')).toBe('on-time');
+    expect(getArrivalStatus(day, '06:10')).toBe('correct');
+    expect(getArrivalStatus(day, '06:16')).toBe('late');
+    expect(getArrivalStatus(night, '21:58')).toBe('on-time');
+  });
+
+  it('derives worked hours from clock times and breaks across midnight', () => {
+    const breaks = [{ start: '01:45', end: '02:15' }, { start: '04:00', end: '' }];
+    expect(getBreakMinutes(breaks)).toBe(30);
+    expect(getWorkedHours({ clockIn: '22:00', clockOut: '06:00', breaks })).toBe(7.5);
+    expect(getWorkedHours({ clockIn: '06:00', clockOut: '15:00' }, 60)).toBe(8);
+    expect(getWorkedHours({ clockIn: '06:00', clockOut: null })).toBeNull();
+  });
+
+  it('flags early departures and overtime', () => {
+    expect(getDepartureStatus(day, '14:30', 7.5)).toBe('early-leave');
+    expect(getDepartureStatus(day, '15:10', 8.2)).toBe('on-time');
+    expect(getDepartureStatus(day, '16:00', 9)).toBe('overtime');
+    expect(getDepartureStatus(night, '05:00', 6.5)).toBe('early-leave');
+    expect(getDepartureStatus(day, null, null)).toBeNull();
+  });
+
+  it('builds a full record from clock-in, clock-out and breaks', () => {
+    const record = buildAttendanceRecord(
+      { employeeId: 'a', date: '2025-12-01', shiftId: 'day', clockIn: '06:20', clockOut: '16:20', breaks: [{ start: '11:00', end: '11:30' }] },
+      day
+    );
+    expect(record).toMatchObject({
+      time: '06:20', status: 'late', workedHours: 9.5, departureStatus: 'overtime'
+    });
+  });
+
+  it('keeps a no-show without a clock-in and clears it on clock-in', () => {
+    const noShow = buildAttendanceRecord({ employeeId: 'a', date: '2025-12-01', shiftId: 'day', status: 'no-show' }, day);
+    expect(noShow).toMatchObject({ status: 'no-show', workedHours: 0, clockIn: null });
+    expect(buildAttendanceRecord({ ...noShow, clockIn: '06:00' }, day).status).toBe('on-time');
+  });
+
+  it('upgrades records that only have a clock-in time', () => {
+    const legacy = { 'a-2025-12-01-day': { employeeId: 'a', date: '2025-12-01', shiftId: 'day', time: '06:05', status: 'correct' } };
+    expect(normalizeAttendance(legacy)['a-2025-12-01-day']).toMatchObject({
+      clockIn: '06:05', clockOut: null, breaks: [], workedHours: null, status: 'correct'
+    });
+  });
+});
+
+describe('attendance policy', () => {
+  const policy = DEFAULT_SETTINGS.attendancePolicy;
+
+  it('lets shifts override roles and roles override the global policy', () => {
+    const role = { attendancePolicy: { graceMinutes: 5, lateAfterMinutes: 20 } };
+    const shift = { ...day, attendancePolicy: { graceMinutes: 10, lateAfterMinutes: '' } };
+    expect(resolveAttendancePolicy(policy, role, shift)).toMatchObject({ graceMinutes: 10, lateAfterMinutes: 20, halfDayAfterMinutes: 240 });
+  });
+
+  it('applies grace, late and half-day thresholds', () => {
+    const custom = { ...policy, graceMinutes: 5, lateAfterMinutes: 10, halfDayAfterMinutes: 120 };
+    expect(getArrivalStatus(day, '06:05', custom)).toBe('on-time');
+    expect(getArrivalStatus(day, '06:06', custom)).toBe('correct');
+    expect(getArrivalStatus(day, '06:11', custom)).toBe('late');
+    expect(getArrivalStatus(day, '08:01', custom)).toBe('half-day');
+  });
+
+  it('rounds clock times before rating them', () => {
+    const rounded = { ...policy, roundingMinutes: 15 };
+    expect(roundClockTime('06:07', rounded)).toBe('06:00');
+    expect(roundClockTime('23:53', rounded)).toBe('00:00');
+    expect(roundClockTime('06:01', { ...rounded, roundingMode: 'up' })).toBe('06:15');
+    expect(getArrivalStatus(day, '06:07', rounded)).toBe('on-time');
+    expect(getWorkedHours({ clockIn: '06:07', clockOut: '15:07' }, 60, day, rounded)).toBe(8);
+  });
+
+  it('does not count time before the early-arrival limit', () => {
+    expect(getWorkedHours({ clockIn: '04:00', clockOut: '15:00' }, 60, day, { ...policy, earlyArrivalLimitMinutes: 30 })).toBe(8.5);
+    expect(getWorkedHours({ clockIn: '04:00', clockOut: '15:00' }, 60)).toBe(10);
+  });
+
+  it('recomputes existing records with the current policy', () => {
+    const attendance = {
+      a: { employeeId: 'a', date: '2025-12-01', shiftId: 'day', clockIn: '06:10', status: 'correct' },
+      b: { employeeId: 'b', date: '2025-12-01', shiftId: 'gone', clockIn: '06:30', status: 'late' }
+    };
+    const recomputed = recomputeAttendance(attendance, record => (
+      record.shiftId === 'day' ? { shift: day, policy: { ...policy, graceMinutes: 10 } } : null
+    ));
+    expect(recomputed.a.status).toBe('on-time');
+    expect(recomputed.b).toBe(attendance.b);
+  });
+});
+
+describe('roll call', () => {
+  const schedule = {
+    '2025-12-01': { a: [night], b: [night] },
+    '2025-12-02': { a: [], c: [day], d: [{ ...day, id: 'late', startTime: '14:00', endTime: '22:00' }] }
+  };
+
+  it('lists shifts starting around now, including last night\'s', () => {
+    const groups = getShiftsAroundNow(schedule, { date: '2025-12-02', time: '01:30' }, { lookBackMinutes: 240, lookAheadMinutes: 300 });
+    expect(groups.map(g => [g.date, g.shift.id, g.employeeIds, g.minutesFromStart])).toEqual([
+      ['2025-12-01', 'night', ['a', 'b'], 210],
+      ['2025-12-02', 'day', ['c'], -270]
+    ]);
+  });
+
+  it('counts expected, arrived and missing people', () => {
+    const attendance = {
+      'a-2025-12-01-night': { clockIn: '21:55' },
+      'b-2025-12-01-night': { status: 'no-show', clockIn: null }
+    };
+    expect(getRollCallCounts({ date: '2025-12-01', shift: night, employeeIds: ['a', 'b'] }, attendance))
+      .toEqual({ expected: 2, arrived: 1, missing: 1 });
+  });
+});
+
+describe('no-show detection', () => {
+  const schedule = {
+    '2025-11-20': { a: [day] },
+    '2025-12-01': { a: [day], b: [day], c: [day] },
+    '2025-12-02': { a: [day] }
+  };
+  const now = { date: '2025-12-01', time: '07:00' };
+
+  it('marks missing clock-ins as no-shows once the window has passed', () => {
+    const attendance = { 'b-2025-12-01-day': { clockIn: '06:00', status: 'on-time' } };
+    const detected = detectNoShows(schedule, attendance, now, {
+      isOnLeave: (employeeId) => employeeId === 'c'
+    });
+
+    expect(Object.keys(detected)).toEqual(['a-2025-12-01-day']);
+    expect(detected['a-2025-12-01-day']).toMatchObject({ status: 'no-show', acknowledged: false, autoDetected: true });
+  });
+
+  it('waits for the policy window of each shift', () => {
+    const detected = detectNoShows(schedule, {}, now, { getPolicy: () => ({ noShowAfterMinutes: 90 }) });
+    expect(detected).toEqual({});
+  });
+
+  it('only looks back the configured number of days', () => {
+    const detected = detectNoShows(schedule, {}, now, { lookbackDays: 30 });
+    expect(Object.keys(detected)).toContain('a-2025-11-20-day');
+  });
+
+  it('excuses a cleared detected no-show so it is not detected again', () => {
+    const detected = detectNoShows(schedule, {}, now);
+    const cleared = clearAttendanceRecord(detected, 'a-2025-12-01-day');
+    expect(cleared['a-2025-12-01-day']).toMatchObject({ status: 'excused', acknowledged: true });
+    expect(detectNoShows(schedule, cleared, now)).toEqual({});
+
+    // Records entered by hand are removed
+    const manual = { 'a-2025-12-01-day': { status: 'no-show', clockIn: null } };
+    expect(clearAttendanceRecord(manual, 'a-2025-12-01-day')).toEqual({});
+  });
+
+  it('lists unacknowledged absences by date', () => {
+    const attendance = {
+      x: { date: '2025-12-02', status: 'no-show', acknowledged: false },
+      y: { date: '2025-12-01', status: 'no-show', acknowledged: false },
+      z: { date: '2025-12-01', status: 'no-show', acknowledged: true }
+    };
+    expect(getUnacknowledgedAbsences(attendance).map(a => a.key)).toEqual(['y', 'x']);
+  });
+});
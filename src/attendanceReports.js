@@ -0,0 +1,158 @@
+// Attendance and punctuality reports
+// Built from the schedule and attendance for a date range: one row per
+// scheduled (or attended) shift, summarised per employee with totals.
+
+import { getAttendanceKey, roundClockTime } from './attendance';
+import { DEFAULT_SETTINGS } from './settings';
+import { getMinutesFromShiftStart } from './shiftTimes';
+
+const LATE_STATUSES = ['correct', 'late', 'half-day'];
+
+const roundHours = (hours) => Math.round(hours * 100) / 100;
+
+/**
+ * One row per shift between startDate and endDate (inclusive), earliest
+ * first. Shifts come from the schedule; attendance for shifts that were
+ * later taken off the schedule is included with 0 scheduled hours.
+ * filters may hold employeeId, roleId (the employee's current role) and
+ * shiftId; empty values match everything. getPolicy(employeeId, shift)
+ * gives the attendance policy whose clock rounding the arrival status was
+ * rated with, so minutes late are counted from the same clock-in.
+ */
+export const getAttendanceReportRows = (schedule, attendance, {
+  startDate,
+  endDate,
+  employees = [],
+  roles = [],
+  shifts = [],
+  filters = {},
+  getPolicy = () => DEFAULT_SETTINGS.attendancePolicy
+}) => {
+  const entries = {};
+  Object.entries(schedule).forEach(([date, day]) => {
+    if (date < startDate || date > endDate) return;
+    Object.entries(day).forEach(([employeeId, empShifts]) => {
+      empShifts.forEach(shift => {
+        entries[getAttendanceKey(employeeId, date, shift.id)] = { employeeId, date, shift, scheduled: true };
+      });
+    });
+  });
+  Object.entries(attendance).forEach(([key, record]) => {
+    if (entries[key] || record.date < startDate || record.date > endDate) return;
+    const shift = shifts.find(s => s.id === record.shiftId);
+    if (shift) entries[key] = { employeeId: record.employeeId, date: record.date, shift, scheduled: false };
+  });
+
+  return Object.entries(entries)
+    .map(([key, { employeeId, date, shift, scheduled }]) => {
+      const employee = employees.find(e => e.id === employeeId);
+      const record = attendance[key];
+      const workedHours = record?.clockIn ? record.workedHours ?? null : 0;
+      const status = record?.status || (scheduled ? 'unrecorded' : '');
+
+      return {
+        key,
+        date,
+        employeeId,
+        employee: employee?.name || '',
+        roleId: employee?.roleId || '',
+        role: roles.find(r => r.id === employee?.roleId)?.name || '',
+        shiftId: shift.id,
+        shift: shift.name,
+        clockIn: record?.clockIn || '',
+        clockOut: record?.clockOut || '',
+        status,
+        departureStatus: record?.departureStatus || '',
+        minutesLate: LATE_STATUSES.includes(status)
+          ? Math.max(0, getMinutesFromShiftStart(shift, roundClockTime(record.clockIn, getPolicy(employeeId, shift))))
+          : 0,
+        scheduledHours: scheduled ? shift.hours : 0,
+        workedHours: workedHours === null ? null : roundHours(workedHours),
+        overtimeHours: record?.departureStatus === 'overtime' ? roundHours(Math.max(0, record.workedHours - shift.hours)) : 0
+      };
+    })
+    .filter(row =>
+      (!filters.employeeId || row.employeeId === filters.employeeId) &&
+      (!filters.roleId || row.roleId === filters.roleId) &&
+      (!filters.shiftId || row.shiftId === filters.shiftId)
+    )
+    .sort((a, b) => a.date.localeCompare(b.date) || a.employee.localeCompare(b.employee));
+};
+
+const emptySummary = (employeeId, employee, role) => ({
+  employeeId,
+  employee,
+  role,
+  shifts: 0,
+  onTime: 0,
+  slightlyLate: 0,
+  late: 0,
+  halfDay: 0,
+  noShows: 0,
+  sickLeave: 0,
+  excused: 0,
+  unrecorded: 0,
+  earlyLeaves: 0,
+  averageMinutesLate: 0,
+  scheduledHours: 0,
+  workedHours: 0,
+  hoursDifference: 0,
+  overtimeShifts: 0,
+  overtimeHours: 0,
+  minutesLate: 0
+});
+
+const STATUS_COUNTERS = {
+  'on-time': 'onTime',
+  correct: 'slightlyLate',
+  late: 'late',
+  'half-day': 'halfDay',
+  'no-show': 'noShows',
+  'sick-leave': 'sickLeave',
+  excused: 'excused',
+  unrecorded: 'unrecorded'
+};
+
+const addRow = (summary, row) => {
+  summary.shifts += 1;
+  if (STATUS_COUNTERS[row.status]) summary[STATUS_COUNTERS[row.status]] += 1;
+  if (row.departureStatus === 'early-leave') summary.earlyLeaves += 1;
+  if (row.departureStatus === 'overtime') summary.overtimeShifts += 1;
+  summary.minutesLate += row.minutesLate;
+  summary.scheduledHours += row.scheduledHours;
+  summary.workedHours += row.workedHours || 0;
+  summary.overtimeHours += row.overtimeHours;
+};
+
+const finishSummary = (summary) => {
+  const lateCount = summary.slightlyLate + summary.late + summary.halfDay;
+  return {
+    ...summary,
+    averageMinutesLate: lateCount > 0 ? Math.round(summary.minutesLate / lateCount) : 0,
+    scheduledHours: roundHours(summary.scheduledHours),
+    workedHours: roundHours(summary.workedHours),
+    hoursDifference: roundHours(summary.workedHours - summary.scheduledHours),
+    overtimeHours: roundHours(summary.overtimeHours)
+  };
+};
+
+/**
+ * Per-employee totals of report rows: arrival status counts, average minutes
+ * late over late arrivals, worked vs scheduled hours and overtime. Returns
+ * { rows, totals } with rows sorted by employee name.
+ */
+export const summarizeAttendanceReport = (reportRows) => {
+  const byEmployee = {};
+  const totals = emptySummary('', 'Total', '');
+
+  reportRows.forEach(row => {
+    if (!byEmployee[row.employeeId]) byEmployee[row.employeeId] = emptySummary(row.employeeId, row.employee, row.role);
+    addRow(byEmployee[row.employeeId], row);
+    addRow(totals, row);
+  });
+
+  return {
+    rows: Object.values(byEmployee).map(finishSummary).sort((a, b) => a.employee.localeCompare(b.employee)),
+    totals: finishSummary(totals)
+  };
+};
@@ -0,0 +1,72 @@
+import { describe, it, expect } from 'vitest';
+import { getAttendanceReportRows, summarizeAttendanceReport } from './attendanceReports';
+
+const day = { id: 'day', name: 'Day', startTime: '06:00', endTime: '15:00', hours: 8 };
+const night = { id: 'night', name: 'Night', startTime: '22:00', endTime: '06:00', hours: 8 };
+const employees = [
+  { id: 'a', name: 'Ann', roleId: 'op' },
+  { id: 'b', name: 'Ben', roleId: 'tech' }
+];
+const roles = [{ id: 'op', name: 'Operator' }, { id: 'tech', name: 'Technician' }];
+
+const schedule = {
+  '2025-12-01': { a: [day], b: [night] },
+  '2025-12-02': { a: [day], b: [night] },
+  '2025-12-08': { a: [day] }
+};
+const attendance = {
+  'a-2025-12-01-day': { employeeId: 'a', date: '2025-12-01', shiftId: 'day', clockIn: '06:20', status: 'late', workedHours: 9, departureStatus: 'overtime' },
+  'a-2025-12-02-day': { employeeId: 'a', date: '2025-12-02', shiftId: 'day', clockIn: '06:10', status: 'correct', workedHours: 7.5, departureStatus: 'early-leave' },
+  'b-2025-12-01-night': { employeeId: 'b', date: '2025-12-01', shiftId: 'night', clockIn: null, status: 'no-show', workedHours: 0 },
+  'b-2025-12-03-day': { employeeId: 'b', date: '2025-12-03', shiftId: 'day', clockIn: '05:55', status: 'on-time', workedHours: 8, departureStatus: 'on-time' }
+};
+const range = { startDate: '2025-12-01', endDate: '2025-12-07', employees, roles, shifts: [day, night] };
+
+describe('attendance reports', () => {
+  it('lists scheduled and attended shifts in the range', () => {
+    const rows = getAttendanceReportRows(schedule, attendance, range);
+
+    expect(rows.map(r => r.key)).toEqual([
+      'a-2025-12-01-day', 'b-2025-12-01-night', 'a-2025-12-02-day', 'b-2025-12-02-night', 'b-2025-12-03-day'
+    ]);
+    expect(rows[0]).toMatchObject({ employee: 'Ann', role: 'Operator', minutesLate: 20, overtimeHours: 1 });
+    expect(rows[3]).toMatchObject({ status: 'unrecorded', scheduledHours: 8, workedHours: 0 });
+    expect(rows[4]).toMatchObject({ scheduledHours: 0, workedHours: 8 });
+  });
+
+  it('counts minutes late from the clock-in rounded by the policy', () => {
+    const policy = { roundingMinutes: 15, roundingMode: 'nearest' };
+    const rows = getAttendanceReportRows(schedule, attendance, { ...range, getPolicy: () => policy });
+    // 06:20 and 06:10 round to 06:15
+    expect(rows[0].minutesLate).toBe(15);
+    expect(rows[2].minutesLate).toBe(15);
+  });
+
+  it('filters by employee, role and shift', () => {
+    const byRole = getAttendanceReportRows(schedule, attendance, { ...range, filters: { roleId: 'op' } });
+    expect(byRole.every(r => r.employeeId === 'a')).toBe(true);
+
+    const byShift = getAttendanceReportRows(schedule, attendance, { ...range, filters: { employeeId: 'b', shiftId: 'night' } });
+    expect(byShift).toHaveLength(2);
+  });
+
+  it('sums lateness, no-shows, hours and overtime per employee', () => {
+    const { rows, totals } = summarizeAttendanceReport(getAttendanceReportRows(schedule, attendance, range));
+
+    expect(rows[0]).toMatchObject({
+      employee: 'Ann',
+      shifts: 2,
+      late: 1,
+      slightlyLate: 1,
+      averageMinutesLate: 15,
+      earlyLeaves: 1,
+      scheduledHours: 16,
+      workedHours: 16.5,
+      hoursDifference: 0.5,
+      overtimeShifts: 1,
+      overtimeHours: 1
+    });
+    expect(rows[1]).toMatchObject({ employee: 'Ben', noShows: 1, unrecorded: 1, onTime: 1, workedHours: 8 });
+    expect(totals).toMatchObject({ shifts: 5, scheduledHours: 32, workedHours: 24.5 });
+  });
+});
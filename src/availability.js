@@ -0,0 +1,76 @@
+// Employee availability and shift preferences
+// employee.availability lists recurring rules the scheduler must respect:
+//   { day, rule: 'never' }               no work on that day
+//   { day, rule: 'not-before', time }    no work on that day before time
+//   { day, rule: 'not-after', time }     no work on that day after time
+// where day is a day name or '' for every day. A night shift counts on both
+// days it touches. employee.preferences lists
+// { shiftId, type: 'prefer' | 'avoid', weight } that the scheduler weighs
+// against rotation: a weight of 2 counts like two fewer (or more) times on
+// that shift.
+
+import { addDays, getDayName } from './dates';
+import { isOvernightShift, timeToMinutes } from './shiftTimes';
+
+export const AVAILABILITY_RULES = {
+  never: 'Never',
+  'not-before': 'Not before',
+  'not-after': 'Not after'
+};
+
+export const PREFERENCE_TYPES = { prefer: 'Prefer', avoid: 'Avoid' };
+
+export const describeAvailabilityRule = ({ day, rule, time }) => {
+  const days = day ? `${day}s` : 'every day';
+  return rule === 'never' ? `never on ${days}` : `${AVAILABILITY_RULES[rule].toLowerCase()} ${time} on ${days}`;
+};
+
+const appliesOn = (rule, date) => !rule.day || rule.day === getDayName(date);
+
+// The minutes worked on each day a shift started on date touches:
+// { [day]: { from, to } }, so a night shift also works the day it runs into
+const getWorkedTimes = (shift, date) => {
+  const start = timeToMinutes(shift.startTime);
+  const end = timeToMinutes(shift.endTime);
+  if (!isOvernightShift(shift)) return { [date]: { from: start, to: end || 24 * 60 } };
+  return { [date]: { from: start, to: 24 * 60 }, [addDays(date, 1)]: { from: 0, to: end } };
+};
+
+const breaksRule = (rule, shift, date) => {
+  return Object.entries(getWorkedTimes(shift, date)).some(([day, { from, to }]) => {
+    if (!appliesOn(rule, day)) return false;
+    if (rule.rule === 'not-before') return from < timeToMinutes(rule.time);
+    if (rule.rule === 'not-after') return to > timeToMinutes(rule.time);
+    return rule.rule === 'never';
+  });
+};
+
+// Why the employee is not available for the shift on the date, or null
+export const getAvailabilityConflict = (employee, shift, date) => {
+  const rule = (employee.availability || []).find(r => breaksRule(r, shift, date));
+  return rule ? `not available: ${describeAvailabilityRule(rule)}` : null;
+};
+
+// Positive for preferred shifts, negative for avoided ones
+export const getPreferenceWeight = (employee, shiftId) => {
+  return (employee.preferences || [])
+    .filter(p => p.shiftId === shiftId)
+    .reduce((sum, p) => sum + (p.type === 'avoid' ? -1 : 1) * (Number(p.weight) || 1), 0);
+};
+
+/**
+ * How well an employee's assigned shifts match their preferences:
+ * { total, preferred, avoided, honored }. An assignment honors the
+ * preferences when it is not on an avoided shift and, if the employee
+ * prefers some shifts, is on one of them.
+ */
+export const summarizePreferences = (employee, assignedShifts) => {
+  const weights = assignedShifts.map(shift => getPreferenceWeight(employee, shift.id));
+  const hasPreferred = (employee.preferences || []).some(p => p.type !== 'avoid');
+  return {
+    total: assignedShifts.length,
+    preferred: weights.filter(w => w > 0).length,
+    avoided: weights.filter(w => w < 0).length,
+    honored: weights.filter(w => (hasPreferred ? w > 0 : w >= 0)).length
+  };
+};
@@ -0,0 +1,60 @@
+import { describe, it, expect } from 'vitest';
+import { describeAvailabilityRule, getAvailabilityConflict, getPreferenceWeight, summarizePreferences } from './availability';
+
+const day = { id: 'day', startTime: '06:00', endTime: '14:00', hours: 8 };
+const late = { id: 'late', startTime: '14:00', endTime: '22:30', hours: 8 };
+const night = { id: 'night', startTime: '22:00', endTime: '06:00', hours: 8 };
+
+const withRules = (...availability) => ({ id: 'e', availability });
+
+describe('availability', () => {
+  it('describes rules', () => {
+    expect(describeAvailabilityRule({ day: 'Sunday', rule: 'never' })).toBe('never on Sundays');
+    expect(describeAvailabilityRule({ day: '', rule: 'not-after', time: '22:00' })).toBe('not after 22:00 on every day');
+  });
+
+  it('blocks shifts starting before or ending after the allowed time', () => {
+    const emp = withRules({ day: 'Monday', rule: 'not-before', time: '08:00' }, { day: '', rule: 'not-after', time: '22:00' });
+    expect(getAvailabilityConflict(emp, day, '2025-12-01')).toBe('not available: not before 08:00 on Mondays');
+    expect(getAvailabilityConflict(emp, day, '2025-12-02')).toBeNull();
+    expect(getAvailabilityConflict(emp, late, '2025-12-02')).toBe('not available: not after 22:00 on every day');
+    expect(getAvailabilityConflict(emp, night, '2025-12-02')).toBe('not available: not after 22:00 on every day');
+  });
+
+  it('applies start and end times to the day a night shift runs into', () => {
+    // Sunday night works Monday 00:00 to 06:00
+    expect(getAvailabilityConflict(withRules({ day: 'Monday', rule: 'not-before', time: '08:00' }), night, '2025-12-07'))
+      .toBe('not available: not before 08:00 on Mondays');
+    expect(getAvailabilityConflict(withRules({ day: 'Monday', rule: 'not-after', time: '05:00' }), night, '2025-12-07'))
+      .toBe('not available: not after 05:00 on Mondays');
+    expect(getAvailabilityConflict(withRules({ day: 'Sunday', rule: 'not-before', time: '08:00' }), night, '2025-12-07')).toBeNull();
+  });
+
+  it('keeps night shifts off days the employee never works', () => {
+    const emp = withRules({ day: 'Sunday', rule: 'never' });
+    // Saturday night runs into Sunday
+    expect(getAvailabilityConflict(emp, night, '2025-12-06')).toBe('not available: never on Sundays');
+    expect(getAvailabilityConflict(emp, day, '2025-12-06')).toBeNull();
+    expect(getAvailabilityConflict({ id: 'e' }, day, '2025-12-07')).toBeNull();
+  });
+});
+
+describe('shift preferences', () => {
+  const emp = {
+    id: 'e',
+    preferences: [{ shiftId: 'day', type: 'prefer', weight: 3 }, { shiftId: 'night', type: 'avoid', weight: 2 }]
+  };
+
+  it('weighs preferred shifts up and avoided ones down', () => {
+    expect(getPreferenceWeight(emp, 'day')).toBe(3);
+    expect(getPreferenceWeight(emp, 'night')).toBe(-2);
+    expect(getPreferenceWeight(emp, 'late')).toBe(0);
+  });
+
+  it('counts assignments that honor the preferences', () => {
+    expect(summarizePreferences(emp, [day, day, late, night])).toEqual({ total: 4, preferred: 2, avoided: 1, honored: 2 });
+    // Without preferred shifts anything but an avoided shift is fine
+    const avoidOnly = { id: 'e', preferences: [{ shiftId: 'night', type: 'avoid', weight: 1 }] };
+    expect(summarizePreferences(avoidOnly, [day, late, night])).toMatchObject({ honored: 2 });
+  });
+});
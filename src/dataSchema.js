@@ -0,0 +1,268 @@
+// Data schema
+// Saved data and exports carry a schemaVersion. Imports are migrated up to
+// SCHEMA_VERSION and validated before anything is overwritten, and a diff
+// against the current data shows what the import would change.
+
+import { AVAILABILITY_RULES, PREFERENCE_TYPES } from './availability';
+import { DAYS_OF_WEEK, getToday } from './dates';
+import { isEmployeeActive } from './integrity';
+import { LEAVE_STATUSES, LEAVE_TYPES, normalizeLeaveRequests } from './leave';
+import { calculateShiftHours } from './shiftTimes';
+import { migrateScheduleToRefs } from './shiftVersions';
+
+export const SCHEMA_VERSION = 3;
+
+const LIST_SECTIONS = ['employees', 'roles', 'shifts', 'leaveAdjustments', 'scheduleDiagnostics', 'auditLog'];
+const OBJECT_SECTIONS = ['schedule', 'attendance', 'shiftHistory', 'leaveRequests', 'scheduleSeeds', 'schedulePins', 'shiftVersions', 'settings'];
+
+const isObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+const isPositiveNumber = (value) => typeof value === 'number' && value > 0;
+const isTime = (value) => typeof value === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(value);
+const isISODate = (value) => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+
+// Each migration upgrades data from the previous version to its version.
+// Exports without a schemaVersion are version 1.
+const MIGRATIONS = [
+  {
+    version: 2,
+    description: 'Filled in missing shifts per week, shift priorities and shift hours',
+    migrate: (data) => {
+      const roles = (data.roles || []).map(role => ({ requiredSkills: [], breakMinutes: 0, ...role }));
+      return {
+        ...data,
+        roles,
+        employees: (data.employees || []).map(emp => ({
+          skills: [],
+          ...emp,
+          shiftsPerWeek: emp.shiftsPerWeek || (emp.weeklyHours && emp.dailyMaxHours ? Math.ceil(emp.weeklyHours / emp.dailyMaxHours) : 5)
+        })),
+        shifts: (data.shifts || []).map(shift => ({
+          requiredSkills: [],
+          ...shift,
+          priority: shift.priority ?? 50,
+          hours: shift.hours ?? calculateShiftHours(
+            shift.startTime,
+            shift.endTime,
+            roles.find(r => r.id === shift.roleId)?.breakMinutes || 0
+          )
+        })),
+        // Old exports wrote empty attendance as a list and leave as one entry per day
+        attendance: isObject(data.attendance) ? data.attendance : {},
+        leaveRequests: normalizeLeaveRequests(isObject(data.leaveRequests) ? data.leaveRequests : {})
+      };
+    }
+  },
+  {
+    version: 3,
+    description: 'Turned scheduled shift copies into references to shift versions',
+    migrate: (data) => ({
+      ...data,
+      ...migrateScheduleToRefs(
+        isObject(data.schedule) ? data.schedule : {},
+        data.shifts || [],
+        isObject(data.shiftVersions) ? data.shiftVersions : {},
+        getToday()
+      )
+    })
+  }
+];
+
+/**
+ * Upgrade data to SCHEMA_VERSION. Returns { data, applied } where applied
+ * lists the descriptions of the migrations that ran. Data from a newer
+ * version is returned unchanged (validateData reports it).
+ */
+export const migrateData = (input) => {
+  let data = input;
+  const applied = [];
+  MIGRATIONS.forEach(({ version, description, migrate }) => {
+    if ((data.schemaVersion || 1) < version) {
+      data = { ...migrate(data), schemaVersion: version };
+      applied.push(description);
+    }
+  });
+  return { data, applied };
+};
+
+const describeItem = (section, item, idx) => {
+  return item?.name ? `${section}[${idx}] "${item.name}"` : `${section}[${idx}]`;
+};
+
+const validateIds = (section, items, errors) => {
+  const seen = new Set();
+  items.forEach((item, idx) => {
+    if (typeof item.id !== 'string' || !item.id) {
+      errors.push(`${describeItem(section, item, idx)}: id is missing`);
+    } else if (seen.has(item.id)) {
+      errors.push(`${describeItem(section, item, idx)}: id ${item.id} is used more than once`);
+    }
+    seen.add(item.id);
+  });
+};
+
+/**
+ * Readable problems with (migrated) data, e.g.
+ * 'employees[1] "Bob": role 42 does not exist'. An empty list means the
+ * data can be imported.
+ */
+export const validateData = (data) => {
+  if (!isObject(data)) return ['The file does not contain a data object'];
+
+  const errors = [];
+  if (data.schemaVersion > SCHEMA_VERSION) {
+    errors.push(`The file was made by a newer version of the app (schema ${data.schemaVersion}, this app reads up to ${SCHEMA_VERSION})`);
+  }
+
+  LIST_SECTIONS.forEach(section => {
+    if (data[section] !== undefined && !Array.isArray(data[section])) errors.push(`${section} must be a list`);
+  });
+  OBJECT_SECTIONS.forEach(section => {
+    if (data[section] !== undefined && !isObject(data[section])) errors.push(`${section} must be an object`);
+  });
+  if (errors.length > 0) return errors;
+
+  const roles = data.roles || [];
+  const roleIds = new Set(roles.map(r => r.id));
+  const employees = data.employees || [];
+  const employeeIds = new Set(employees.map(e => e.id));
+  const shifts = data.shifts || [];
+  const shiftIds = new Set([...shifts.map(s => s.id), ...Object.keys(data.shiftVersions || {})]);
+
+  validateIds('roles', roles, errors);
+  roles.forEach((role, idx) => {
+    const label = describeItem('roles', role, idx);
+    if (!role.name) errors.push(`${label}: name is missing`);
+    if (typeof role.breakMinutes !== 'number' || role.breakMinutes < 0) errors.push(`${label}: breakMinutes must be 0 or more`);
+  });
+
+  validateIds('employees', employees, errors);
+  employees.forEach((emp, idx) => {
+    const label = describeItem('employees', emp, idx);
+    if (!emp.name) errors.push(`${label}: name is missing`);
+    // Archived employees of a deleted role have none (older exports still
+    // name the deleted one)
+    if (!roleIds.has(emp.roleId) && isEmployeeActive(emp)) {
+      errors.push(`${label}: ${emp.roleId ? `role ${emp.roleId} does not exist` : 'role is missing'}`);
+    }
+    if (!isPositiveNumber(emp.weeklyHours)) errors.push(`${label}: weeklyHours must be a positive number`);
+    if (!isPositiveNumber(emp.dailyMaxHours)) errors.push(`${label}: dailyMaxHours must be a positive number`);
+    if (!Number.isInteger(emp.shiftsPerWeek) || emp.shiftsPerWeek < 1) errors.push(`${label}: shiftsPerWeek must be a whole number above 0`);
+    if (!Array.isArray(emp.skills)) errors.push(`${label}: skills must be a list`);
+    const availability = emp.availability || [];
+    if (!Array.isArray(availability) || availability.some(r =>
+      !AVAILABILITY_RULES[r?.rule] || (r.day && !DAYS_OF_WEEK.includes(r.day)) || (r.rule !== 'never' && !isTime(r.time))
+    )) {
+      errors.push(`${label}: availability rules need a day, a rule and a time like 08:00`);
+    }
+    const preferences = emp.preferences || [];
+    if (!Array.isArray(preferences) || preferences.some(p => !PREFERENCE_TYPES[p?.type] || !shiftIds.has(p.shiftId))) {
+      errors.push(`${label}: shift preferences must prefer or avoid an existing shift`);
+    }
+  });
+
+  validateIds('shifts', shifts, errors);
+  shifts.forEach((shift, idx) => {
+    const label = describeItem('shifts', shift, idx);
+    if (!shift.name) errors.push(`${label}: name is missing`);
+    if (!roleIds.has(shift.roleId)) errors.push(`${label}: role ${shift.roleId} does not exist`);
+    if (!isTime(shift.startTime) || !isTime(shift.endTime)) errors.push(`${label}: start and end must be times like 06:00`);
+    if (!Array.isArray(shift.daysOfWeek) || shift.daysOfWeek.some(day => !DAYS_OF_WEEK.includes(day))) {
+      errors.push(`${label}: daysOfWeek must list days like Monday`);
+    }
+    if (typeof shift.priority !== 'number') errors.push(`${label}: priority must be a number`);
+    if (!isPositiveNumber(shift.hours)) errors.push(`${label}: hours must be a positive number`);
+  });
+
+  Object.entries(data.schedule || {}).forEach(([date, day]) => {
+    if (!isISODate(date)) {
+      errors.push(`schedule: ${date} is not a date like 2025-12-01`);
+    } else if (!isObject(day) || Object.values(day).some(empShifts => !Array.isArray(empShifts))) {
+      errors.push(`schedule ${date}: each employee must have a list of shifts`);
+    } else {
+      Object.values(day).flat().forEach(ref => {
+        if (!isObject(ref) || !ref.shiftId || !Number.isInteger(ref.version)) {
+          errors.push(`schedule ${date}: assignments must reference a shift id and version`);
+        } else if (!shiftIds.has(ref.shiftId)) {
+          errors.push(`schedule ${date}: shift ${ref.shiftId} does not exist`);
+        }
+      });
+    }
+  });
+
+  Object.entries(data.leaveRequests || {}).forEach(([id, request]) => {
+    const label = `leaveRequests ${id}`;
+    if (!employeeIds.has(request.employeeId)) errors.push(`${label}: employee ${request.employeeId} does not exist`);
+    if (!isISODate(request.startDate) || !isISODate(request.endDate)) errors.push(`${label}: start and end must be dates`);
+    if (!LEAVE_TYPES.includes(request.type)) errors.push(`${label}: unknown leave type ${request.type}`);
+    if (!LEAVE_STATUSES.includes(request.status)) errors.push(`${label}: unknown status ${request.status}`);
+  });
+
+  Object.entries(data.attendance || {}).forEach(([key, record]) => {
+    if (!isObject(record) || !record.employeeId || !isISODate(record.date)) {
+      errors.push(`attendance ${key}: needs an employeeId and a date`);
+    }
+  });
+
+  return [...new Set(errors)];
+};
+
+// Parse, migrate and validate the text of an import file
+export const prepareImport = (text) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    return { data: null, applied: [], errors: [`The file is not valid JSON: ${error.message}`] };
+  }
+  if (!isObject(parsed)) return { data: null, applied: [], errors: ['The file does not contain a data object'] };
+
+  const { data, applied } = migrateData(parsed);
+  return { data, applied, errors: validateData(data) };
+};
+
+const SECTION_LABELS = {
+  employees: 'Employees',
+  roles: 'Roles',
+  shifts: 'Shifts',
+  schedule: 'Scheduled days',
+  attendance: 'Attendance records',
+  leaveRequests: 'Leave requests',
+  leaveAdjustments: 'Leave adjustments'
+};
+
+const toEntries = (value) => {
+  if (Array.isArray(value)) return value.map((item, idx) => [item?.id ?? String(idx), item]);
+  return Object.entries(isObject(value) ? value : {});
+};
+
+// Items of one section (a list by id or an object by key) that were added,
+// removed or changed, by name or key, and how many stayed the same
+export const diffSection = (current, incoming) => {
+  const before = new Map(toEntries(current));
+  const after = new Map(toEntries(incoming));
+  const nameOf = (key, item) => item?.name || key;
+
+  const diff = { added: [], removed: [], changed: [], unchanged: 0 };
+  after.forEach((item, key) => {
+    if (!before.has(key)) diff.added.push(nameOf(key, item));
+    else if (JSON.stringify(before.get(key)) !== JSON.stringify(item)) diff.changed.push(nameOf(key, item));
+    else diff.unchanged += 1;
+  });
+  before.forEach((item, key) => {
+    if (!after.has(key)) diff.removed.push(nameOf(key, item));
+  });
+  return diff;
+};
+
+/**
+ * What replacing current with incoming would do, per section:
+ * { section, label, added, removed, changed, unchanged } where the first
+ * three list item names (or keys) and unchanged is a count.
+ */
+export const getImportDiff = (current, incoming) => {
+  return Object.entries(SECTION_LABELS).map(([section, label]) => ({
+    section,
+    label,
+    ...diffSection(current[section], incoming[section])
+  }));
+};
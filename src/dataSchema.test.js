@@ -0,0 +1,102 @@
+import { describe, it, expect } from 'vitest';
+import backup from '../shift-app-backup-2025-11-30 (1).json';
+import { SCHEMA_VERSION, getImportDiff, migrateData, prepareImport, validateData } from './dataSchema';
+
+const role = { id: 'r', name: 'Assembly', breakMinutes: 60, requiredSkills: [] };
+const employee = { id: 'e', name: 'Bob', roleId: 'r', weeklyHours: 40, dailyMaxHours: 8, shiftsPerWeek: 5, skills: [] };
+const shift = { id: 's', name: 'Day', roleId: 'r', startTime: '06:00', endTime: '15:00', daysOfWeek: ['Monday'], priority: 50, hours: 8 };
+
+describe('data schema', () => {
+  it('migrates the 2025-11-30 backup to a valid current dataset', () => {
+    const { data, applied } = migrateData(backup);
+
+    expect(data.schemaVersion).toBe(SCHEMA_VERSION);
+    expect(applied).toHaveLength(2);
+    expect(data.employees.find(e => e.name === 'Bob').shiftsPerWeek).toBe(5);
+    expect(Object.values(data.schedule['2025-12-01']).flat()[0]).toEqual({ shiftId: expect.any(String), version: 1 });
+    expect(data.attendance).toEqual({});
+    expect(Object.values(data.leaveRequests)[0]).toMatchObject({ type: 'vacation', status: 'approved' });
+    expect(validateData(data)).toEqual([]);
+  });
+
+  it('fills in shift priority and hours from the role break', () => {
+    const { data } = migrateData({ roles: [role], shifts: [{ ...shift, priority: undefined, hours: undefined }] });
+    expect(data.shifts[0]).toMatchObject({ priority: 50, hours: 8 });
+  });
+
+  it('does not migrate current data again', () => {
+    const data = { schemaVersion: SCHEMA_VERSION, roles: [role], employees: [employee], shifts: [shift] };
+    expect(migrateData(data)).toEqual({ data, applied: [] });
+  });
+
+  it('reports schedule entries that do not reference a known shift', () => {
+    const errors = validateData({
+      roles: [role],
+      shifts: [shift],
+      schedule: { '2025-12-01': { e: [{ shiftId: 's', version: 1 }, { shiftId: 'gone', version: 1 }, { ...shift }] } }
+    });
+    expect(errors).toEqual([
+      'schedule 2025-12-01: shift gone does not exist',
+      'schedule 2025-12-01: assignments must reference a shift id and version'
+    ]);
+  });
+
+  it('reports broken availability rules and preferences', () => {
+    const errors = validateData({
+      roles: [role],
+      shifts: [shift],
+      employees: [{
+        ...employee,
+        availability: [{ day: 'Monday', rule: 'not-before', time: '8am' }],
+        preferences: [{ shiftId: 'gone', type: 'prefer', weight: 1 }]
+      }]
+    });
+    expect(errors).toEqual([
+      'employees[0] "Bob": availability rules need a day, a rule and a time like 08:00',
+      'employees[0] "Bob": shift preferences must prefer or avoid an existing shift'
+    ]);
+  });
+
+  it('lists readable problems', () => {
+    const errors = validateData({
+      schemaVersion: SCHEMA_VERSION,
+      roles: [role],
+      employees: [employee, { ...employee, roleId: 'x', weeklyHours: -1 }],
+      shifts: [{ ...shift, startTime: '6am', daysOfWeek: ['Funday'] }],
+      schedule: { tomorrow: {} }
+    });
+
+    expect(errors).toEqual([
+      'employees[1] "Bob": id e is used more than once',
+      'employees[1] "Bob": role x does not exist',
+      'employees[1] "Bob": weeklyHours must be a positive number',
+      'shifts[0] "Day": start and end must be times like 06:00',
+      'shifts[0] "Day": daysOfWeek must list days like Monday',
+      'schedule: tomorrow is not a date like 2025-12-01'
+    ]);
+  });
+
+  it('accepts archived employees whose role was deleted', () => {
+    const archived = { ...employee, active: false, archivedAt: '2025-12-01' };
+    const data = { schemaVersion: SCHEMA_VERSION, roles: [role], shifts: [shift] };
+    expect(validateData({ ...data, employees: [{ ...archived, roleId: '' }] })).toEqual([]);
+    expect(validateData({ ...data, employees: [{ ...archived, roleId: 'gone' }] })).toEqual([]);
+    expect(validateData({ ...data, employees: [{ ...employee, roleId: '' }] })).toEqual(['employees[0] "Bob": role is missing']);
+  });
+
+  it('reports unreadable files and newer schemas', () => {
+    expect(prepareImport('{ nope').errors[0]).toMatch(/^The file is not valid JSON/);
+    expect(prepareImport('[]').errors).toEqual(['The file does not contain a data object']);
+    expect(prepareImport(JSON.stringify({ schemaVersion: SCHEMA_VERSION + 1 })).errors[0]).toMatch(/newer version/);
+  });
+
+  it('diffs the current data against an import', () => {
+    const current = { employees: [employee], roles: [role], schedule: { '2025-12-01': {} } };
+    const incoming = { employees: [{ ...employee, weeklyHours: 32 }, { ...employee, id: 'f', name: 'Alice' }], roles: [] };
+    const diff = getImportDiff(current, incoming);
+
+    expect(diff.find(d => d.section === 'employees')).toMatchObject({ added: ['Alice'], changed: ['Bob'], removed: [], unchanged: 0 });
+    expect(diff.find(d => d.section === 'roles').removed).toEqual(['Assembly']);
+    expect(diff.find(d => d.section === 'schedule').removed).toEqual(['2025-12-01']);
+  });
+});
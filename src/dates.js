@@ -0,0 +1,65 @@
+// Date helpers
+// Dates are handled as ISO strings (YYYY-MM-DD) and computed in UTC, so
+// week boundaries and day names don't shift with the local timezone.
+
+export const DAYS_OF_WEEK = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+const parseDate = (date) => new Date(`${date}T00:00:00Z`);
+
+export const toISODate = (date) => date.toISOString().split('T')[0];
+
+// Today's date in the local timezone
+export const getToday = () => {
+  const now = new Date();
+  const month = String(now.getMonth() + 1).padStart(2, '0');
+  const day = String(now.getDate()).padStart(2, '0');
+  return `${now.getFullYear()}-${month}-${day}`;
+};
+
+// Current local time as HH:MM
+export const getCurrentTime = () => {
+  const now = new Date();
+  return `${String(now.getHours()).padStart(2, '0')}:${String(now.getMinutes()).padStart(2, '0')}`;
+};
+
+export const addDays = (date, days) => {
+  const d = parseDate(date);
+  d.setUTCDate(d.getUTCDate() + days);
+  return toISODate(d);
+};
+
+// Day name for an ISO date (Monday-first week)
+export const getDayName = (date) => {
+  return DAYS_OF_WEEK[(parseDate(date).getUTCDay() + 6) % 7];
+};
+
+// Monday-to-Sunday dates of the week containing the given date
+export const getWeekDates = (date = getToday()) => {
+  const monday = addDays(date, -DAYS_OF_WEEK.indexOf(getDayName(date)));
+  return DAYS_OF_WEEK.map((_, i) => addDays(monday, i));
+};
+
+// Consecutive weeks starting with the week containing the given date
+export const getWeekRange = (date, weekCount) => {
+  const weeks = [];
+  for (let i = 0; i < weekCount; i++) {
+    weeks.push(getWeekDates(addDays(date, i * 7)));
+  }
+  return weeks;
+};
+
+// Every date of a month given as YYYY-MM
+export const getMonthDates = (month) => {
+  const dates = [];
+  for (let date = `${month}-01`; date.startsWith(month); date = addDays(date, 1)) {
+    dates.push(date);
+  }
+  return dates;
+};
+
+// The month (YYYY-MM) a number of months before or after the given one
+export const addMonths = (month, months) => {
+  const d = parseDate(`${month}-01`);
+  d.setUTCMonth(d.getUTCMonth() + months);
+  return toISODate(d).slice(0, 7);
+};
@@ -0,0 +1,40 @@
+import { describe, it, expect } from 'vitest';
+import { addDays, addMonths, getDayName, getMonthDates, getWeekDates, getWeekRange } from './dates';
+
+describe('dates', () => {
+  it('adds days across month and year boundaries', () => {
+    expect(addDays('2025-11-30', 1)).toBe('2025-12-01');
+    expect(addDays('2025-12-31', 1)).toBe('2026-01-01');
+    expect(addDays('2025-03-01', -1)).toBe('2025-02-28');
+  });
+
+  it('names days with a Monday-first week', () => {
+    expect(getDayName('2025-12-01')).toBe('Monday');
+    expect(getDayName('2025-11-30')).toBe('Sunday');
+  });
+
+  it('returns the Monday-to-Sunday week containing a date', () => {
+    const week = ['2025-12-01', '2025-12-02', '2025-12-03', '2025-12-04', '2025-12-05', '2025-12-06', '2025-12-07'];
+    expect(getWeekDates('2025-12-01')).toEqual(week);
+    expect(getWeekDates('2025-12-04')).toEqual(week);
+    expect(getWeekDates('2025-12-07')).toEqual(week);
+  });
+
+  it('returns consecutive weeks for a range', () => {
+    const weeks = getWeekRange('2025-12-03', 3);
+    expect(weeks.map(w => w[0])).toEqual(['2025-12-01', '2025-12-08', '2025-12-15']);
+    expect(weeks.every(w => w.length === 7)).toBe(true);
+  });
+
+  it('lists every date of a month', () => {
+    const february = getMonthDates('2028-02');
+    expect(february).toHaveLength(29);
+    expect(february[0]).toBe('2028-02-01');
+    expect(february[28]).toBe('2028-02-29');
+  });
+
+  it('steps months across year boundaries', () => {
+    expect(addMonths('2025-12', 1)).toBe('2026-01');
+    expect(addMonths('2025-01', -1)).toBe('2024-12');
+  });
+});
@@ -0,0 +1,30 @@
+// File export helpers (CSV building and browser downloads)
+
+// Spreadsheets run text cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const escapeCSV = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'string' && FORMULA_PREFIX.test(value) ? `'${value}` : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Build CSV text from row objects. columns is a list of { key, label }.
+export const toCSV = (rows, columns) => {
+  const header = columns.map(c => escapeCSV(c.label)).join(',');
+  const lines = rows.map(row => columns.map(c => escapeCSV(row[c.key])).join(','));
+  return [header, ...lines].join('\r\n');
+};
+
+// Trigger a browser download of text content
+export const downloadFile = (content, filename, type = 'text/plain') => {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
@@ -0,0 +1,29 @@
+import { describe, it, expect } from 'vitest';
+import { toCSV } from './exporters';
+
+describe('toCSV', () => {
+  const columns = [{ key: 'name', label: 'Name' }, { key: 'reason', label: 'Reason' }];
+
+  it('writes a header row and one line per row', () => {
+    expect(toCSV([{ name: 'Ken', reason: 'on leave' }], columns)).toBe('Name,Reason\r\nKen,on leave');
+  });
+
+  it('quotes values with commas, quotes or line breaks and blanks missing values', () => {
+    const csv = toCSV([{ name: 'Ray "R"', reason: 'on leave (2); missing skills: a, b' }, { name: 'Han' }], columns);
+    expect(csv.split('\r\n')).toEqual([
+      'Name,Reason',
+      '"Ray ""R""","on leave (2); missing skills: a, b"',
+      'Han,'
+    ]);
+  });
+
+  it('keeps text that looks like a formula from being run, but not numbers', () => {
+    const rows = [{ name: '=HYPERLINK("x")', reason: -3 }, { name: '@SUM(A1)', reason: '+1 day' }, { name: '-Ken', reason: 'ok - late' }];
+    expect(toCSV(rows, columns).split('\r\n')).toEqual([
+      'Name,Reason',
+      '"\'=HYPERLINK(""x"")",-3',
+      "'@SUM(A1),'+1 day",
+      "'-Ken,ok - late"
+    ]);
+  });
+});
@@ -0,0 +1,102 @@
+// Rotation fairness
+// Rotation counts are taken from the dated schedule over a rolling window
+// (e.g. the last 8 weeks) instead of an all-time tally, so old assignments
+// stop counting and new hires catch up within the window. The fairness
+// report compares each employee's shift types, weekend and night shifts
+// with the average of their role over a date range.
+
+import { addDays, getDayName } from './dates';
+import { isNightShift } from './shiftTimes';
+
+const WEEKEND_DAYS = ['Saturday', 'Sunday'];
+
+// Differences from the role average within this share (or one shift) are fair
+const FAIRNESS_TOLERANCE = 0.25;
+
+const forEachAssignment = (schedule, startDate, endDate, callback) => {
+  Object.keys(schedule).filter(date => date >= startDate && date <= endDate).forEach(date => {
+    Object.entries(schedule[date]).forEach(([employeeId, empShifts]) => {
+      empShifts.forEach(shift => callback({ date, employeeId, shift }));
+    });
+  });
+};
+
+// First and last date of the window of `weeks` weeks ending on endDate
+export const getFairnessWindow = (endDate, weeks) => ({
+  startDate: addDays(endDate, -weeks * 7 + 1),
+  endDate
+});
+
+/**
+ * Rotation history ({ [employeeId]: { [shiftId]: count } }) from the
+ * assignments in the `weeks` weeks before beforeDate.
+ */
+export const getRotationHistory = (schedule, beforeDate, weeks) => {
+  const history = {};
+  const { startDate, endDate } = getFairnessWindow(addDays(beforeDate, -1), weeks);
+  forEachAssignment(schedule, startDate, endDate, ({ employeeId, shift }) => {
+    if (!history[employeeId]) history[employeeId] = {};
+    history[employeeId][shift.id] = (history[employeeId][shift.id] || 0) + 1;
+  });
+  return history;
+};
+
+export const isWeekendShift = (date) => WEEKEND_DAYS.includes(getDayName(date));
+
+// Outside the tolerance around the role average
+export const isUnfair = (value, average) => {
+  return Math.abs(value - average) > Math.max(1, average * FAIRNESS_TOLERANCE);
+};
+
+const emptyCounts = (shiftIds) => ({
+  total: 0,
+  shifts: Object.fromEntries(shiftIds.map(id => [id, 0])),
+  weekend: 0,
+  night: 0
+});
+
+/**
+ * Per role, each employee's assignments between startDate and endDate
+ * (inclusive): { roleId, role, shifts: [{ id, name }], employees: [{
+ * employeeId, name, total, shifts: { [shiftId]: count }, weekend, night }],
+ * average } where average holds the same counts averaged over the role's
+ * employees. Shifts that were deleted since are listed by their scheduled name.
+ */
+export const getFairnessReport = (schedule, { employees, roles, shifts, startDate, endDate }) => {
+  const assignments = [];
+  forEachAssignment(schedule, startDate, endDate, assignment => assignments.push(assignment));
+
+  return roles.map(role => {
+    const roleEmployees = employees.filter(e => e.roleId === role.id);
+    if (roleEmployees.length === 0) return null;
+
+    const roleAssignments = assignments.filter(a => roleEmployees.some(e => e.id === a.employeeId));
+    const roleShifts = shifts.filter(s => s.roleId === role.id).map(s => ({ id: s.id, name: s.name }));
+    roleAssignments.forEach(({ shift }) => {
+      if (!roleShifts.some(s => s.id === shift.id)) roleShifts.push({ id: shift.id, name: shift.name });
+    });
+    const shiftIds = roleShifts.map(s => s.id);
+
+    const rows = roleEmployees.map(emp => {
+      const counts = emptyCounts(shiftIds);
+      roleAssignments.filter(a => a.employeeId === emp.id).forEach(({ date, shift }) => {
+        counts.total++;
+        counts.shifts[shift.id]++;
+        if (isWeekendShift(date)) counts.weekend++;
+        if (isNightShift(shift)) counts.night++;
+      });
+      return { employeeId: emp.id, name: emp.name, ...counts };
+    });
+
+    const average = emptyCounts(shiftIds);
+    const mean = (values) => values.reduce((sum, v) => sum + v, 0) / rows.length;
+    average.total = mean(rows.map(r => r.total));
+    average.weekend = mean(rows.map(r => r.weekend));
+    average.night = mean(rows.map(r => r.night));
+    shiftIds.forEach(id => {
+      average.shifts[id] = mean(rows.map(r => r.shifts[id]));
+    });
+
+    return { roleId: role.id, role: role.name, shifts: roleShifts, employees: rows, average };
+  }).filter(Boolean);
+};
@@ -0,0 +1,71 @@
+import { describe, it, expect } from 'vitest';
+import { getFairnessReport, getFairnessWindow, getRotationHistory, isUnfair } from './fairness';
+
+const day = { id: 'd', name: 'Day', roleId: 'r', startTime: '06:00', endTime: '14:00' };
+const night = { id: 'n', name: 'Night', roleId: 'r', startTime: '22:00', endTime: '06:00' };
+const role = { id: 'r', name: 'Assembly' };
+const ann = { id: 'a', name: 'Ann', roleId: 'r' };
+const bob = { id: 'b', name: 'Bob', roleId: 'r' };
+
+const schedule = {
+  '2025-10-06': { a: [night] },
+  '2025-11-24': { a: [day], b: [night] },
+  '2025-11-29': { a: [night] },
+  '2025-11-30': { a: [night], b: [day] },
+  '2025-12-01': { b: [night] }
+};
+
+describe('rotation fairness', () => {
+  it('counts only the weeks before the given date', () => {
+    expect(getRotationHistory(schedule, '2025-12-01', 1)).toEqual({
+      a: { d: 1, n: 2 },
+      b: { n: 1, d: 1 }
+    });
+    expect(getRotationHistory(schedule, '2025-12-01', 8).a).toEqual({ d: 1, n: 3 });
+  });
+
+  it('gives the window ending on a date', () => {
+    expect(getFairnessWindow('2025-12-07', 2)).toEqual({ startDate: '2025-11-24', endDate: '2025-12-07' });
+  });
+
+  it('compares shift types, weekends and nights with the role average', () => {
+    const [report] = getFairnessReport(schedule, {
+      employees: [ann, bob],
+      roles: [role],
+      shifts: [day],
+      startDate: '2025-11-24',
+      endDate: '2025-12-07'
+    });
+
+    // Night was deleted but is still reported under its scheduled name
+    expect(report.shifts).toEqual([{ id: 'd', name: 'Day' }, { id: 'n', name: 'Night' }]);
+    expect(report.employees).toEqual([
+      { employeeId: 'a', name: 'Ann', total: 3, shifts: { d: 1, n: 2 }, weekend: 2, night: 2 },
+      { employeeId: 'b', name: 'Bob', total: 3, shifts: { d: 1, n: 2 }, weekend: 1, night: 2 }
+    ]);
+    expect(report.average).toEqual({ total: 3, shifts: { d: 1, n: 2 }, weekend: 1.5, night: 2 });
+  });
+
+  it('counts shifts ending at midnight as night shifts', () => {
+    const late = { id: 'l', name: 'Late', roleId: 'r', startTime: '15:00', endTime: '00:00' };
+    const [report] = getFairnessReport({ '2025-11-24': { a: [late], b: [day] } }, {
+      employees: [ann, bob],
+      roles: [role],
+      shifts: [day, late],
+      startDate: '2025-11-24',
+      endDate: '2025-11-24'
+    });
+    expect(report.employees.map(e => e.night)).toEqual([1, 0]);
+  });
+
+  it('skips roles without employees', () => {
+    expect(getFairnessReport(schedule, { employees: [], roles: [role], shifts: [], startDate: '', endDate: '9' })).toEqual([]);
+  });
+
+  it('flags counts well away from the average', () => {
+    expect(isUnfair(3, 2)).toBe(false);
+    expect(isUnfair(4, 2)).toBe(true);
+    expect(isUnfair(10, 8)).toBe(false);
+    expect(isUnfair(5, 8)).toBe(true);
+  });
+});
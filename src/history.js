@@ -0,0 +1,257 @@
+// Change history
+// Undo/redo and the audit log for edits to the app's data. The app reports
+// every change as a before/after snapshot of its data sections; a step keeps
+// only the items that changed (list entries by id, object entries by key),
+// and undo and redo set just those items, so later changes to other items
+// (e.g. detected no-shows) survive. The audit log records who changed what
+// and when, newest first, and is saved with the data.
+// ChangeHistory is a small external store for useSyncExternalStore.
+
+import { diffSection } from './dataSchema';
+
+export const HISTORY_SECTIONS = {
+  employees: 'Employees',
+  roles: 'Roles',
+  shifts: 'Shifts',
+  shiftVersions: 'Shift versions',
+  schedule: 'Schedule',
+  shiftHistory: 'Rotation history',
+  attendance: 'Attendance',
+  leaveRequests: 'Leave requests',
+  leaveAdjustments: 'Leave adjustments',
+  scheduleSeeds: 'Schedule seeds',
+  scheduleDiagnostics: 'Schedule diagnostics',
+  schedulePins: 'Pins',
+  settings: 'Settings'
+};
+
+// Who is editing on this device, for the audit log
+export const EDITOR_NAME_KEY = 'shiftAppEditor';
+
+const UNDO_LIMIT = 50;
+const AUDIT_LOG_LIMIT = 1000;
+const MAX_NAMES = 10;
+
+// Items of a section by key: lists by item id, objects by key. null for
+// anything else (e.g. lists without ids), which is handled as a whole.
+const toItems = (value) => {
+  if (Array.isArray(value)) {
+    return value.every(item => item?.id !== undefined) ? new Map(value.map(item => [String(item.id), item])) : null;
+  }
+  return typeof value === 'object' && value !== null ? new Map(Object.entries(value)) : null;
+};
+
+const isSame = (a, b) => a === b || JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * What changed in one section, or null if nothing did: { items } with
+ * { before, after } per changed key (undefined where the item is absent),
+ * plus the id order of both sides for lists, or { before, after } for a
+ * section that is not keyed. Only items that are no longer the same object
+ * are compared by value, so unchanged parts cost nothing.
+ */
+const diffItems = (before, after) => {
+  if (before === after) return null;
+  const beforeItems = toItems(before);
+  const afterItems = toItems(after);
+  if (!beforeItems || !afterItems) return isSame(before, after) ? null : { before, after };
+
+  const items = {};
+  new Set([...beforeItems.keys(), ...afterItems.keys()]).forEach(key => {
+    const item = { before: beforeItems.get(key), after: afterItems.get(key) };
+    if (!isSame(item.before, item.after)) items[key] = item;
+  });
+  if (Object.keys(items).length === 0) return null;
+  return Array.isArray(after) ? { items, order: { before: [...beforeItems.keys()], after: [...afterItems.keys()] } } : { items };
+};
+
+// Changed sections with their diffs, by section
+const getChanges = (before, after) => {
+  const changes = {};
+  Object.keys(HISTORY_SECTIONS).forEach(section => {
+    const diff = diffItems(before[section], after[section]);
+    if (diff) changes[section] = diff;
+  });
+  return changes;
+};
+
+// How many items of a section were added, removed and changed, with the
+// first few of their names
+const summarizeChange = (section, diff) => {
+  let added, removed, changed;
+  if (diff.items) {
+    const entries = Object.entries(diff.items).map(([key, item]) => ({ ...item, name: (item.after ?? item.before)?.name || key }));
+    added = entries.filter(e => e.before === undefined).map(e => e.name);
+    removed = entries.filter(e => e.after === undefined).map(e => e.name);
+    changed = entries.filter(e => e.before !== undefined && e.after !== undefined).map(e => e.name);
+  } else {
+    ({ added, removed, changed } = diffSection(diff.before, diff.after));
+  }
+  return {
+    section,
+    added: added.length,
+    removed: removed.length,
+    changed: changed.length,
+    names: [...added, ...removed, ...changed].slice(0, MAX_NAMES)
+  };
+};
+
+export const describeChanges = (before, after) => {
+  return Object.entries(getChanges(before, after)).map(([section, diff]) => summarizeChange(section, diff));
+};
+
+export const formatChange = ({ section, added, removed, changed, names }) => {
+  const counts = [
+    added && `${added} added`,
+    removed && `${removed} removed`,
+    changed && `${changed} changed`
+  ].filter(Boolean).join(', ');
+  const more = added + removed + changed > names.length ? ', ...' : '';
+  return `${HISTORY_SECTIONS[section] || section}: ${counts || 'changed'}${names.length > 0 ? ` (${names.join(', ')}${more})` : ''}`;
+};
+
+// A section as it is now with one side ('before' or 'after') of a step's
+// changed items set. Lists keep that side's order, with items added since
+// at the end.
+const applyItems = (current, diff, side) => {
+  if (!diff.items) return diff[side];
+  if (diff.order) {
+    const currentItems = toItems(current) || new Map();
+    const ids = new Set(diff.order[side]);
+    return [
+      ...diff.order[side].map(id => (Object.hasOwn(diff.items, id) ? diff.items[id][side] : currentItems.get(id))).filter(item => item !== undefined),
+      ...[...currentItems].filter(([id]) => !ids.has(id) && !Object.hasOwn(diff.items, id)).map(([, item]) => item)
+    ];
+  }
+  const next = { ...current };
+  Object.entries(diff.items).forEach(([key, item]) => {
+    if (item[side] === undefined) delete next[key];
+    else next[key] = item[side];
+  });
+  return next;
+};
+
+const applyStep = (current, step, side) => {
+  const restored = { ...current };
+  Object.entries(step.changes).forEach(([section, diff]) => {
+    restored[section] = applyItems(current[section], diff, side);
+  });
+  return restored;
+};
+
+/**
+ * Audit log entries matching all given filters: user, section, from/to
+ * (YYYY-MM-DD, inclusive) and text found in the action or changes.
+ */
+export const filterAuditLog = (auditLog, { user = '', section = '', from = '', to = '', text = '' } = {}) => {
+  const search = text.trim().toLowerCase();
+  return auditLog.filter(entry => {
+    const date = entry.at.slice(0, 10);
+    if (user && entry.user !== user) return false;
+    if (section && !entry.changes.some(c => c.section === section)) return false;
+    if (from && date < from) return false;
+    if (to && date > to) return false;
+    if (search) {
+      const haystack = [entry.action, ...entry.changes.map(formatChange)].join(' ').toLowerCase();
+      if (!haystack.includes(search)) return false;
+    }
+    return true;
+  });
+};
+
+export class ChangeHistory {
+  constructor({ now = () => new Date().toISOString(), undoLimit = UNDO_LIMIT, auditLimit = AUDIT_LOG_LIMIT } = {}) {
+    this.now = now;
+    this.undoLimit = undoLimit;
+    this.auditLimit = auditLimit;
+    this.past = [];
+    this.future = [];
+    this.auditLog = [];
+    this.sequence = 0;
+    this.listeners = new Set();
+    this.state = this.getState();
+
+    this.subscribe = this.subscribe.bind(this);
+    this.getSnapshot = this.getSnapshot.bind(this);
+  }
+
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  getSnapshot() {
+    return this.state;
+  }
+
+  getState() {
+    return {
+      canUndo: this.past.length > 0,
+      canRedo: this.future.length > 0,
+      undoAction: this.past.at(-1)?.action || '',
+      redoAction: this.future.at(-1)?.action || '',
+      auditLog: this.auditLog
+    };
+  }
+
+  notify() {
+    this.state = this.getState();
+    this.listeners.forEach(listener => listener());
+  }
+
+  // Start over with a loaded audit log and empty undo/redo stacks
+  reset(auditLog = []) {
+    this.past = [];
+    this.future = [];
+    this.auditLog = auditLog;
+    this.notify();
+  }
+
+  log(user, action, changes) {
+    const entry = { id: `${Date.now()}${this.sequence++}`, at: this.now(), user: user || 'Unknown', action, changes };
+    this.auditLog = [entry, ...this.auditLog].slice(0, this.auditLimit);
+    return entry;
+  }
+
+  /**
+   * Record a change from before to after. Changes that are not undoable
+   * (e.g. automatic no-show detection) are only logged. Returns the audit
+   * entry, or null if no data changed.
+   */
+  record(before, after, { user = '', action = '', undoable = true } = {}) {
+    const diffs = getChanges(before, after);
+    const changes = Object.entries(diffs).map(([section, diff]) => summarizeChange(section, diff));
+    if (changes.length === 0) return null;
+
+    const entry = this.log(user, action || `Edited ${changes.map(c => HISTORY_SECTIONS[c.section]).join(', ')}`, changes);
+    if (undoable) {
+      this.past = [...this.past, { action: entry.action, changes: diffs }].slice(-this.undoLimit);
+      this.future = [];
+    }
+    this.notify();
+    return entry;
+  }
+
+  // The data to restore for undoing the last step, or null if there is none
+  undo(current, user = '') {
+    const step = this.past.at(-1);
+    if (!step) return null;
+    const restored = applyStep(current, step, 'before');
+    this.past = this.past.slice(0, -1);
+    this.future = [...this.future, step];
+    this.log(user, `Undo: ${step.action}`, describeChanges(current, restored));
+    this.notify();
+    return restored;
+  }
+
+  redo(current, user = '') {
+    const step = this.future.at(-1);
+    if (!step) return null;
+    const restored = applyStep(current, step, 'after');
+    this.future = this.future.slice(0, -1);
+    this.past = [...this.past, step];
+    this.log(user, `Redo: ${step.action}`, describeChanges(current, restored));
+    this.notify();
+    return restored;
+  }
+}
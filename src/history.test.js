@@ -0,0 +1,118 @@
+import { describe, it, expect } from 'vitest';
+import { ChangeHistory, describeChanges, filterAuditLog, formatChange } from './history';
+
+const bob = { id: 'e1', name: 'Bob' };
+const ann = { id: 'e2', name: 'Ann' };
+const initial = { employees: [bob], schedule: {}, attendance: {} };
+
+const createHistory = () => new ChangeHistory({ now: () => '2025-12-01T08:00:00.000Z' });
+
+describe('change history', () => {
+  it('describes what changed per section', () => {
+    const after = { ...initial, employees: [{ ...bob, name: 'Robert' }, ann], schedule: { '2025-12-01': {} } };
+    const changes = describeChanges(initial, after);
+
+    expect(changes).toEqual([
+      { section: 'employees', added: 1, removed: 0, changed: 1, names: ['Ann', 'Robert'] },
+      { section: 'schedule', added: 1, removed: 0, changed: 0, names: ['2025-12-01'] }
+    ]);
+    expect(formatChange(changes[0])).toBe('Employees: 1 added, 1 changed (Ann, Robert)');
+  });
+
+  it('ignores updates that leave the data the same', () => {
+    const history = createHistory();
+    expect(history.record(initial, { ...initial, employees: [{ ...bob }] })).toBeNull();
+    expect(history.getSnapshot().auditLog).toEqual([]);
+  });
+
+  it('undoes and redoes only the sections a step changed', () => {
+    const history = createHistory();
+    const added = { ...initial, employees: [bob, ann] };
+    history.record(initial, added, { user: 'Sam', action: 'Added Ann' });
+
+    // A later change to another section survives the undo
+    const current = { ...added, attendance: { x: { employeeId: 'e1', date: '2025-12-01' } } };
+    const undone = history.undo(current, 'Sam');
+    expect(undone).toEqual({ ...current, employees: [bob] });
+    expect(history.getSnapshot()).toMatchObject({ canUndo: false, canRedo: true, redoAction: 'Added Ann' });
+
+    expect(history.redo(undone, 'Sam').employees).toEqual([bob, ann]);
+    expect(history.getSnapshot().canUndo).toBe(true);
+    expect(history.undo(current)).not.toBeNull();
+    expect(history.undo(current)).toBeNull();
+  });
+
+  it('keeps later changes to other items of the same section', () => {
+    const history = createHistory();
+    const marked = { ...initial, attendance: { x: { employeeId: 'e1', status: 'late' } } };
+    history.record(initial, marked, { user: 'Sam', action: 'Marked Bob late' });
+
+    // Detected after the step, and not undoable itself
+    const detected = { ...marked, attendance: { ...marked.attendance, y: { employeeId: 'e2', status: 'no-show' } } };
+    history.record(marked, detected, { user: 'System', undoable: false });
+
+    const undone = history.undo(detected);
+    expect(undone.attendance).toEqual({ y: { employeeId: 'e2', status: 'no-show' } });
+    expect(history.redo(undone).attendance).toEqual(detected.attendance);
+  });
+
+  it('puts removed list items back in their place', () => {
+    const history = createHistory();
+    const carl = { id: 'e3', name: 'Carl' };
+    const before = { ...initial, employees: [bob, ann, carl] };
+    history.record(before, { ...before, employees: [bob, carl] });
+
+    const dana = { id: 'e4', name: 'Dana' };
+    expect(history.undo({ ...before, employees: [bob, { ...carl, name: 'Carlos' }, dana] }).employees)
+      .toEqual([bob, ann, { ...carl, name: 'Carlos' }, dana]);
+  });
+
+  it('clears redo after a new change', () => {
+    const history = createHistory();
+    const added = { ...initial, employees: [bob, ann] };
+    history.record(initial, added);
+    history.undo(added);
+    history.record(initial, { ...initial, employees: [] });
+    expect(history.getSnapshot().canRedo).toBe(false);
+  });
+
+  it('logs who changed what, newest first', () => {
+    const history = createHistory();
+    const added = { ...initial, employees: [bob, ann] };
+    history.record(initial, added, { user: 'Sam' });
+    history.record(added, { ...added, attendance: { x: {} } }, { user: 'System', action: 'Detected no-shows', undoable: false });
+
+    const log = history.getSnapshot().auditLog;
+    expect(log.map(entry => [entry.user, entry.action])).toEqual([
+      ['System', 'Detected no-shows'],
+      ['Sam', 'Edited Employees']
+    ]);
+    expect(log[1].at).toBe('2025-12-01T08:00:00.000Z');
+    expect(history.getSnapshot().undoAction).toBe('Edited Employees');
+  });
+
+  it('notifies subscribers and resets with a loaded log', () => {
+    const history = createHistory();
+    let calls = 0;
+    const unsubscribe = history.subscribe(() => calls++);
+    history.record(initial, { ...initial, employees: [] });
+    history.reset([{ id: '1', at: '2025-11-30T10:00:00.000Z', user: 'Kim', action: 'Imported', changes: [] }]);
+    unsubscribe();
+    history.record(initial, { ...initial, employees: [] });
+
+    expect(calls).toBe(2);
+    expect(history.getSnapshot().auditLog).toHaveLength(2);
+  });
+
+  it('filters the audit log', () => {
+    const log = [
+      { id: '1', at: '2025-12-02T09:00:00.000Z', user: 'Sam', action: 'Generated schedule', changes: [{ section: 'schedule', added: 7, removed: 0, changed: 0, names: [] }] },
+      { id: '2', at: '2025-11-30T09:00:00.000Z', user: 'Kim', action: 'Edited Employees', changes: [{ section: 'employees', added: 1, removed: 0, changed: 0, names: ['Ann'] }] }
+    ];
+
+    expect(filterAuditLog(log, { user: 'Kim' }).map(e => e.id)).toEqual(['2']);
+    expect(filterAuditLog(log, { section: 'schedule' }).map(e => e.id)).toEqual(['1']);
+    expect(filterAuditLog(log, { from: '2025-12-01', to: '2025-12-02' }).map(e => e.id)).toEqual(['1']);
+    expect(filterAuditLog(log, { text: 'ann' }).map(e => e.id)).toEqual(['2']);
+  });
+});
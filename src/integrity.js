@@ -0,0 +1,154 @@
+// Referential integrity
+// What depends on a role, shift or employee, and the edits that keep the
+// data consistent when one goes away. Past schedule entries keep the shift
+// version they were worked with so history stays readable; only assignments
+// from a given date on are changed. Employees are archived rather than deleted.
+
+import { removeAssignment } from './scheduleEdits';
+
+export const isEmployeeActive = (employee) => employee.active !== false;
+
+// Scheduled assignments ({ date, employeeId, shift }) on or after fromDate that match
+export const findAssignments = (schedule, matches, fromDate = '') => {
+  const assignments = [];
+  Object.keys(schedule).sort().forEach(date => {
+    if (date < fromDate) return;
+    Object.entries(schedule[date]).forEach(([employeeId, empShifts]) => {
+      empShifts.forEach(shift => {
+        if (matches({ date, employeeId, shift })) assignments.push({ date, employeeId, shift });
+      });
+    });
+  });
+  return assignments;
+};
+
+export const removeAssignments = (schedule, shiftHistory, assignments) => {
+  return assignments.reduce(
+    (result, { date, employeeId, shift }) => removeAssignment(result.schedule, result.shiftHistory, { employeeId, date, shiftId: shift.id }),
+    { schedule, shiftHistory }
+  );
+};
+
+export const getRoleDependents = (roleId, { employees, shifts, schedule }, fromDate) => ({
+  employees: employees.filter(e => e.roleId === roleId),
+  shifts: shifts.filter(s => s.roleId === roleId),
+  futureAssignments: findAssignments(schedule, ({ shift }) => shift.roleId === roleId, fromDate)
+});
+
+// Preferences and pinned cells count as well: they would point at a shift
+// that no longer exists
+export const getShiftDependents = (shiftId, { schedule, employees, schedulePins }, fromDate) => {
+  const assignments = findAssignments(schedule, ({ shift }) => shift.id === shiftId);
+  const futureAssignments = assignments.filter(a => a.date >= fromDate);
+  return {
+    futureAssignments,
+    pastAssignments: assignments.filter(a => a.date < fromDate),
+    preferringEmployees: employees.filter(e => (e.preferences || []).some(p => p.shiftId === shiftId)),
+    pinnedAssignments: futureAssignments.filter(a => schedulePins.cells?.[`${a.employeeId}-${a.date}`])
+  };
+};
+
+export const hasShiftDependents = ({ futureAssignments, preferringEmployees, pinnedAssignments }) => {
+  return futureAssignments.length + preferringEmployees.length + pinnedAssignments.length > 0;
+};
+
+export const getEmployeeDependents = (employeeId, { schedule, leaveRequests, attendance }, fromDate) => ({
+  futureAssignments: findAssignments(schedule, a => a.employeeId === employeeId, fromDate),
+  upcomingLeave: Object.values(leaveRequests).filter(r =>
+    r.employeeId === employeeId && r.endDate >= fromDate && r.status !== 'rejected'
+  ),
+  attendanceRecords: Object.values(attendance).filter(r => r.employeeId === employeeId)
+});
+
+/**
+ * Move a role's employees and shifts to another role, including the shift
+ * copies scheduled from fromDate on, so the role can be deleted.
+ */
+export const reassignRole = ({ employees, shifts, schedule }, fromRoleId, toRoleId, fromDate) => {
+  const moveShift = (shift) => (shift.roleId === fromRoleId ? { ...shift, roleId: toRoleId } : shift);
+  const newSchedule = { ...schedule };
+  Object.keys(schedule).filter(date => date >= fromDate).forEach(date => {
+    newSchedule[date] = Object.fromEntries(
+      Object.entries(schedule[date]).map(([employeeId, empShifts]) => [employeeId, empShifts.map(moveShift)])
+    );
+  });
+
+  return {
+    employees: employees.map(e => (e.roleId === fromRoleId ? { ...e, roleId: toRoleId } : e)),
+    shifts: shifts.map(moveShift),
+    schedule: newSchedule
+  };
+};
+
+/**
+ * Delete a shift with its assignments from fromDate on. Rotation counts and
+ * employee preferences of the shift are dropped as it can no longer be
+ * assigned, and pinned cells it leaves empty are unpinned.
+ */
+export const cascadeDeleteShift = ({ shifts, schedule, shiftHistory, employees, schedulePins }, shiftId, fromDate) => {
+  const assignments = findAssignments(schedule, ({ shift }) => shift.id === shiftId, fromDate);
+  const result = removeAssignments(schedule, shiftHistory, assignments);
+  const newHistory = Object.fromEntries(Object.entries(result.shiftHistory).map(([employeeId, counts]) => {
+    const newCounts = { ...counts };
+    delete newCounts[shiftId];
+    return [employeeId, newCounts];
+  }));
+
+  const cells = { ...(schedulePins.cells || {}) };
+  assignments.forEach(({ date, employeeId }) => {
+    if (!result.schedule[date]?.[employeeId]) delete cells[`${employeeId}-${date}`];
+  });
+
+  return {
+    shifts: shifts.filter(s => s.id !== shiftId),
+    schedule: result.schedule,
+    shiftHistory: newHistory,
+    employees: employees.map(e => ((e.preferences || []).some(p => p.shiftId === shiftId)
+      ? { ...e, preferences: e.preferences.filter(p => p.shiftId !== shiftId) }
+      : e)),
+    schedulePins: { ...schedulePins, cells }
+  };
+};
+
+/**
+ * Mark an employee inactive from a date: their assignments from that date
+ * on are removed, while past attendance, leave and history stay.
+ */
+export const archiveEmployee = ({ employees, schedule, shiftHistory }, employeeId, fromDate) => {
+  const result = removeAssignments(schedule, shiftHistory, findAssignments(schedule, a => a.employeeId === employeeId, fromDate));
+  return {
+    employees: employees.map(e => (e.id === employeeId ? { ...e, active: false, archivedAt: fromDate } : e)),
+    ...result
+  };
+};
+
+/**
+ * Delete a role together with its shifts (see cascadeDeleteShift) and
+ * archive its employees. Their roleId is cleared so nothing refers to the
+ * deleted role; a new one is chosen when they are restored.
+ */
+export const cascadeDeleteRole = ({ roles, employees, shifts, schedule, shiftHistory, schedulePins }, roleId, fromDate) => {
+  let data = { employees, shifts, schedule, shiftHistory, schedulePins };
+  shifts.filter(s => s.roleId === roleId).forEach(shift => {
+    data = { ...data, ...cascadeDeleteShift(data, shift.id, fromDate) };
+  });
+  employees.filter(e => e.roleId === roleId && isEmployeeActive(e)).forEach(emp => {
+    data = { ...data, ...archiveEmployee(data, emp.id, fromDate) };
+  });
+  return {
+    ...data,
+    employees: data.employees.map(e => (e.roleId === roleId ? { ...e, roleId: '' } : e)),
+    roles: roles.filter(r => r.id !== roleId)
+  };
+};
+
+// Make an archived employee active again, in roleId if given (e.g. when
+// their old role was deleted)
+export const restoreEmployee = (employees, employeeId, roleId) => {
+  return employees.map(e => {
+    if (e.id !== employeeId) return e;
+    const restored = { ...e, active: true, ...(roleId ? { roleId } : {}) };
+    delete restored.archivedAt;
+    return restored;
+  });
+};
@@ -0,0 +1,90 @@
+import { describe, it, expect } from 'vitest';
+import {
+  archiveEmployee,
+  cascadeDeleteRole,
+  cascadeDeleteShift,
+  getEmployeeDependents,
+  getRoleDependents,
+  getShiftDependents,
+  hasShiftDependents,
+  isEmployeeActive,
+  reassignRole,
+  restoreEmployee
+} from './integrity';
+
+const day = { id: 'day', roleId: 'op', hours: 8 };
+const pack = { id: 'pack', roleId: 'pk', hours: 8 };
+const data = {
+  roles: [{ id: 'op', name: 'Operator' }, { id: 'pk', name: 'Packer' }],
+  employees: [{ id: 'a', roleId: 'op' }, { id: 'b', roleId: 'pk', preferences: [{ shiftId: 'day', type: 'avoid' }] }],
+  shifts: [day, pack],
+  schedule: {
+    '2025-11-28': { a: [day], b: [pack] },
+    '2025-12-01': { a: [day], b: [pack] },
+    '2025-12-02': { a: [day] }
+  },
+  shiftHistory: { a: { day: 3 }, b: { pack: 2 } },
+  schedulePins: { cells: { 'a-2025-12-01': true, 'b-2025-12-01': true } },
+  leaveRequests: { l1: { employeeId: 'a', startDate: '2025-12-05', endDate: '2025-12-05', status: 'pending' } },
+  attendance: { x: { employeeId: 'a', date: '2025-11-28' } }
+};
+const today = '2025-12-01';
+
+describe('referential integrity', () => {
+  it('lists what depends on a role, shift or employee', () => {
+    const role = getRoleDependents('op', data, today);
+    expect(role.employees.map(e => e.id)).toEqual(['a']);
+    expect(role.futureAssignments.map(a => a.date)).toEqual(['2025-12-01', '2025-12-02']);
+
+    const shift = getShiftDependents('pack', data, today);
+    expect([shift.futureAssignments.length, shift.pastAssignments.length]).toEqual([1, 1]);
+    expect(hasShiftDependents(shift)).toBe(true);
+
+    // Preferences and pinned cells count as dependents too
+    const dayShift = getShiftDependents('day', { ...data, schedule: { '2025-11-28': { a: [day] }, '2025-12-01': { a: [day] } } }, today);
+    expect(dayShift.preferringEmployees.map(e => e.id)).toEqual(['b']);
+    expect(dayShift.pinnedAssignments).toEqual([{ date: '2025-12-01', employeeId: 'a', shift: day }]);
+    expect(hasShiftDependents(getShiftDependents('day', { ...data, schedule: {}, employees: [], schedulePins: {} }, today))).toBe(false);
+
+    const emp = getEmployeeDependents('a', data, today);
+    expect([emp.futureAssignments.length, emp.upcomingLeave.length, emp.attendanceRecords.length]).toEqual([2, 1, 1]);
+  });
+
+  it('reassigns a role, including future shift copies', () => {
+    const result = reassignRole(data, 'op', 'pk', today);
+    expect(result.employees[0].roleId).toBe('pk');
+    expect(result.shifts[0].roleId).toBe('pk');
+    expect(result.schedule['2025-12-01'].a[0].roleId).toBe('pk');
+    expect(result.schedule['2025-11-28'].a[0].roleId).toBe('op');
+  });
+
+  it('deletes a shift with its future assignments only', () => {
+    const result = cascadeDeleteShift(data, 'day', today);
+    expect(result.shifts).toEqual([pack]);
+    expect(result.schedule['2025-11-28'].a).toEqual([day]);
+    expect(result.schedule['2025-12-01'].a).toBeUndefined();
+    expect(result.shiftHistory.a).toEqual({});
+    expect(result.employees[1].preferences).toEqual([]);
+    expect(result.schedulePins.cells).toEqual({ 'b-2025-12-01': true });
+  });
+
+  it('archives and restores employees', () => {
+    const archived = archiveEmployee(data, 'b', today);
+    const emp = archived.employees.find(e => e.id === 'b');
+    expect(isEmployeeActive(emp)).toBe(false);
+    expect(emp.archivedAt).toBe(today);
+    expect(archived.schedule['2025-12-01'].b).toBeUndefined();
+    expect(archived.shiftHistory.b.pack).toBe(1);
+
+    expect(isEmployeeActive(restoreEmployee(archived.employees, 'b')[1])).toBe(true);
+  });
+
+  it('deletes a role with its shifts and archives its employees', () => {
+    const result = cascadeDeleteRole(data, 'op', today);
+    expect(result.roles.map(r => r.id)).toEqual(['pk']);
+    expect(result.shifts).toEqual([pack]);
+    expect(result.employees[0]).toMatchObject({ id: 'a', active: false, roleId: '' });
+    expect(result.schedule['2025-12-02'].a).toBeUndefined();
+    expect(restoreEmployee(result.employees, 'a', 'pk')[0]).toMatchObject({ active: true, roleId: 'pk' });
+  });
+});
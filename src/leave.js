@@ -0,0 +1,119 @@
+// Leave requests
+// A request covers a date range (startDate to endDate, inclusive) for one
+// employee and moves from pending to approved or rejected. Only approved
+// leave keeps an employee off the schedule.
+
+import { addDays } from './dates';
+
+export const LEAVE_TYPES = ['vacation', 'sick', 'unpaid', 'training'];
+export const LEAVE_STATUSES = ['pending', 'approved', 'rejected'];
+
+// Statuses that reserve the dates, so no other request may overlap them
+const ACTIVE_STATUSES = ['pending', 'approved'];
+
+export const getLeaveDates = (request) => {
+  const dates = [];
+  for (let date = request.startDate; date <= request.endDate; date = addDays(date, 1)) {
+    dates.push(date);
+  }
+  return dates;
+};
+
+const coversDate = (request, date) => request.startDate <= date && date <= request.endDate;
+
+// The employee's request covering a date with one of the given statuses, or null
+export const findLeave = (leaveRequests, employeeId, date, statuses = ['approved']) => {
+  return Object.values(leaveRequests).find(request =>
+    request.employeeId === employeeId && statuses.includes(request.status) && coversDate(request, date)
+  ) || null;
+};
+
+export const isEmployeeOnLeave = (leaveRequests, employeeId, date) => {
+  return !!findLeave(leaveRequests, employeeId, date);
+};
+
+// Requests overlapping a date range, e.g. the month shown in the leave calendar
+export const getLeaveInRange = (leaveRequests, startDate, endDate) => {
+  return Object.values(leaveRequests).filter(request =>
+    request.startDate <= endDate && request.endDate >= startDate
+  );
+};
+
+// Why a new request cannot be made, or null if it can
+export const validateLeaveRequest = (leaveRequests, { employeeId, startDate, endDate, type }) => {
+  if (!employeeId) return 'Select an employee';
+  if (!startDate || !endDate) return 'Select a start and end date';
+  if (endDate < startDate) return 'The end date is before the start date';
+  if (!LEAVE_TYPES.includes(type)) return `Unknown leave type: ${type}`;
+
+  const overlapping = Object.values(leaveRequests).find(request =>
+    request.employeeId === employeeId &&
+    ACTIVE_STATUSES.includes(request.status) &&
+    request.startDate <= endDate && request.endDate >= startDate
+  );
+  if (overlapping) {
+    return `Overlaps ${overlapping.status} ${overlapping.type} leave from ${overlapping.startDate} to ${overlapping.endDate}`;
+  }
+  return null;
+};
+
+export const createLeaveRequest = ({ employeeId, startDate, endDate = startDate, type = 'vacation', reason = '' }, {
+  id = Date.now().toString(),
+  requestedAt = new Date().toISOString()
+} = {}) => ({
+  id,
+  employeeId,
+  startDate,
+  endDate,
+  type,
+  reason,
+  status: 'pending',
+  requestedAt
+});
+
+// Approve or reject a request, recording who decided and why
+export const reviewLeaveRequest = (request, { status, approver, comment = '' }, decidedAt = new Date().toISOString()) => ({
+  ...request,
+  status,
+  approver,
+  comment,
+  decidedAt
+});
+
+// Older data stored one approved entry per day under `${employeeId}-${date}`.
+// Consecutive days of the same employee become one approved vacation request.
+export const normalizeLeaveRequests = (leaveRequests = {}) => {
+  const normalized = {};
+  const legacyDays = [];
+
+  Object.entries(leaveRequests).forEach(([key, request]) => {
+    if (request.startDate) {
+      normalized[request.id || key] = { ...request, id: request.id || key };
+    } else if (request.employeeId && request.date) {
+      legacyDays.push(request);
+    }
+  });
+
+  legacyDays
+    .sort((a, b) => a.employeeId.localeCompare(b.employeeId) || a.date.localeCompare(b.date))
+    .reduce((current, { employeeId, date, status }) => {
+      const sameRun = current && current.employeeId === employeeId && current.status === (status || 'approved');
+      if (sameRun && addDays(current.endDate, 1) === date) {
+        current.endDate = date;
+        return current;
+      }
+      const request = {
+        id: `${employeeId}-${date}`,
+        employeeId,
+        startDate: date,
+        endDate: date,
+        type: 'vacation',
+        reason: '',
+        status: status || 'approved'
+      };
+      normalized[request.id] = request;
+      return request;
+    }, null);
+
+  return normalized;
+};
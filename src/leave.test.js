@@ -0,0 +1,73 @@
+import { describe, it, expect } from 'vitest';
+import {
+  createLeaveRequest,
+  findLeave,
+  getLeaveDates,
+  getLeaveInRange,
+  isEmployeeOnLeave,
+  normalizeLeaveRequests,
+  reviewLeaveRequest,
+  validateLeaveRequest
+} from './leave';
+
+const request = (overrides = {}) => ({
+  id: 'l1', employeeId: 'a', startDate: '2025-12-01', endDate: '2025-12-03', type: 'vacation', status: 'approved', ...overrides
+});
+
+describe('leave requests', () => {
+  it('creates pending requests and records the review', () => {
+    const created = createLeaveRequest(
+      { employeeId: 'a', startDate: '2025-12-01', endDate: '2025-12-02', type: 'sick', reason: 'flu' },
+      { id: 'l1', requestedAt: '2025-11-30T08:00:00.000Z' }
+    );
+    expect(created).toEqual({
+      id: 'l1', employeeId: 'a', startDate: '2025-12-01', endDate: '2025-12-02', type: 'sick',
+      reason: 'flu', status: 'pending', requestedAt: '2025-11-30T08:00:00.000Z'
+    });
+
+    const reviewed = reviewLeaveRequest(created, { status: 'rejected', approver: 'Mia', comment: 'peak week' }, 'now');
+    expect(reviewed).toMatchObject({ status: 'rejected', approver: 'Mia', comment: 'peak week', decidedAt: 'now' });
+  });
+
+  it('lists every date of the range', () => {
+    expect(getLeaveDates(request({ endDate: '2025-12-02' }))).toEqual(['2025-12-01', '2025-12-02']);
+  });
+
+  it('only counts approved leave as being on leave', () => {
+    const leaveRequests = { l1: request(), l2: request({ id: 'l2', employeeId: 'b', status: 'pending' }) };
+    expect(isEmployeeOnLeave(leaveRequests, 'a', '2025-12-03')).toBe(true);
+    expect(isEmployeeOnLeave(leaveRequests, 'a', '2025-12-04')).toBe(false);
+    expect(isEmployeeOnLeave(leaveRequests, 'b', '2025-12-02')).toBe(false);
+    expect(findLeave(leaveRequests, 'b', '2025-12-02', ['pending'])?.id).toBe('l2');
+  });
+
+  it('finds requests overlapping a date range', () => {
+    const leaveRequests = { l1: request(), l2: request({ id: 'l2', startDate: '2026-01-05', endDate: '2026-01-06' }) };
+    expect(getLeaveInRange(leaveRequests, '2025-12-03', '2025-12-31').map(r => r.id)).toEqual(['l1']);
+  });
+
+  it('rejects invalid and overlapping requests', () => {
+    const leaveRequests = { l1: request(), l2: request({ id: 'l2', startDate: '2025-12-10', endDate: '2025-12-10', status: 'rejected' }) };
+    const valid = { employeeId: 'a', startDate: '2025-12-10', endDate: '2025-12-12', type: 'training' };
+    expect(validateLeaveRequest(leaveRequests, valid)).toBeNull();
+    expect(validateLeaveRequest(leaveRequests, { ...valid, endDate: '2025-12-09' })).toBe('The end date is before the start date');
+    expect(validateLeaveRequest(leaveRequests, { ...valid, type: 'party' })).toBe('Unknown leave type: party');
+    expect(validateLeaveRequest(leaveRequests, { ...valid, startDate: '2025-12-03' }))
+      .toBe('Overlaps approved vacation leave from 2025-12-01 to 2025-12-03');
+  });
+
+  it('turns legacy per-day entries into approved date ranges', () => {
+    const legacy = {
+      'a-2025-12-02': { employeeId: 'a', date: '2025-12-02', status: 'approved' },
+      'a-2025-12-01': { employeeId: 'a', date: '2025-12-01', status: 'approved' },
+      'a-2025-12-05': { employeeId: 'a', date: '2025-12-05', status: 'approved' },
+      l9: request({ id: 'l9', employeeId: 'b' })
+    };
+    const normalized = normalizeLeaveRequests(legacy);
+
+    expect(Object.keys(normalized).sort()).toEqual(['a-2025-12-01', 'a-2025-12-05', 'l9']);
+    expect(normalized['a-2025-12-01']).toMatchObject({ startDate: '2025-12-01', endDate: '2025-12-02', type: 'vacation', status: 'approved' });
+    expect(normalized.l9).toEqual(legacy.l9);
+    expect(normalizeLeaveRequests(normalized)).toEqual(normalized);
+  });
+});
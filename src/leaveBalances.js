@@ -0,0 +1,166 @@
+// Leave balances
+// Balances are derived rather than stored: accrual from the leave policy,
+// minus approved leave, plus manual adjustments such as an opening balance.
+
+import { addMonths, getDayName, getMonthDates } from './dates';
+import { getLeaveDates } from './leave';
+
+export const ACCRUAL_METHODS = ['monthly', 'hours', 'none'];
+
+const WEEKEND_DAYS = ['Saturday', 'Sunday'];
+
+// Entries on the same date are applied in this order
+const KIND_ORDER = ['accrual', 'adjustment', 'leave'];
+
+// Days a request takes from the balance; weekends only count for roles that work them
+export const getLeaveDayCount = (request, role) => {
+  return getLeaveDates(request).filter(date => role?.weekendRequired || !WEEKEND_DAYS.includes(getDayName(date))).length;
+};
+
+export const isBalanceTracked = (policy, type) => (policy.types[type]?.method || 'none') !== 'none';
+
+const roundDays = (days) => Math.round(days * 100) / 100;
+
+// The accrual period containing date: from policy.accrualStart on, or else
+// the calendar year (end is null for an open period)
+export const getBalancePeriod = (policy, date) => {
+  if (policy.accrualStart) return { start: policy.accrualStart, end: null };
+  const year = date.slice(0, 4);
+  return { start: `${year}-01-01`, end: `${year}-12-31` };
+};
+
+const isInPeriod = (date, { start, end }) => date >= start && (!end || date <= end);
+
+// The part of a request that falls within a period, or null
+const clipToPeriod = (request, { start, end }) => {
+  if (request.endDate < start || (end && request.startDate > end)) return null;
+  return {
+    ...request,
+    startDate: request.startDate < start ? start : request.startDate,
+    endDate: end && request.endDate > end ? end : request.endDate
+  };
+};
+
+// Hours worked per month (YYYY-MM) from the start date on. Attendance records
+// without worked hours count the scheduled length of their shift.
+const getWorkedHoursByMonth = (employeeId, start, { attendance, schedule }) => {
+  const hours = {};
+  Object.values(attendance).forEach(record => {
+    if (record.employeeId !== employeeId || record.date < start || record.status === 'no-show') return;
+
+    const shift = schedule[record.date]?.[employeeId]?.find(s => s.id === record.shiftId);
+    const month = record.date.slice(0, 7);
+    hours[month] = (hours[month] || 0) + (record.workedHours ?? shift?.hours ?? 0);
+  });
+  return hours;
+};
+
+const getAccrualEntries = (employee, rule, start, asOf, data) => {
+  const entries = [];
+  const workedHours = rule.method === 'hours' ? getWorkedHoursByMonth(employee.id, start, data) : {};
+
+  for (let month = start.slice(0, 7); month <= asOf.slice(0, 7); month = addMonths(month, 1)) {
+    if (rule.method === 'monthly') {
+      entries.push({ date: `${month}-01`, kind: 'accrual', days: rule.days, description: 'Monthly accrual' });
+    } else if (workedHours[month] > 0) {
+      // Credited at the end of the month, or today for the running month
+      const monthDates = getMonthDates(month);
+      entries.push({
+        date: monthDates[monthDates.length - 1] < asOf ? monthDates[monthDates.length - 1] : asOf,
+        kind: 'accrual',
+        days: rule.days * workedHours[month] / rule.perHours,
+        description: `${roundDays(workedHours[month])}h worked`
+      });
+    }
+  }
+  return entries;
+};
+
+/**
+ * Chronological balance history of one employee for one leave type.
+ *
+ * Accrual runs from the start of the period containing asOf (see
+ * getBalancePeriod) up to asOf. Approved leave is deducted on its start
+ * date, also when that is after asOf, so the balance shows what is still
+ * free to book. Only leave days and adjustments within the period count;
+ * a carried-over balance is entered as an adjustment.
+ * Each entry is { date, kind, days, description, balance } where balance is
+ * the running total after it.
+ */
+export const getLeaveBalanceHistory = (employee, type, {
+  policy,
+  role,
+  leaveRequests = {},
+  adjustments = [],
+  attendance = {},
+  schedule = {},
+  asOf
+}) => {
+  const rule = policy.types[type] || { method: 'none' };
+  const period = getBalancePeriod(policy, asOf);
+
+  const entries = [
+    ...(rule.method === 'none' ? [] : getAccrualEntries(employee, rule, period.start, asOf, { attendance, schedule })),
+    ...adjustments
+      .filter(a => a.employeeId === employee.id && a.type === type && isInPeriod(a.date, period))
+      .map(a => ({ date: a.date, kind: 'adjustment', days: a.days, description: a.note || 'Manual adjustment' })),
+    ...Object.values(leaveRequests)
+      .filter(r => r.employeeId === employee.id && r.type === type && r.status === 'approved')
+      .map(r => ({ request: r, days: clipToPeriod(r, period) }))
+      .filter(({ days }) => days)
+      .map(({ request: r, days }) => ({
+        date: days.startDate,
+        kind: 'leave',
+        days: -getLeaveDayCount(days, role),
+        description: r.startDate === r.endDate ? `Leave on ${r.startDate}` : `Leave ${r.startDate} to ${r.endDate}`,
+        requestId: r.id
+      }))
+  ];
+
+  entries.sort((a, b) => a.date.localeCompare(b.date) || KIND_ORDER.indexOf(a.kind) - KIND_ORDER.indexOf(b.kind));
+
+  let balance = 0;
+  return entries.map(entry => {
+    balance = roundDays(balance + entry.days);
+    return { ...entry, days: roundDays(entry.days), balance };
+  });
+};
+
+export const getLeaveBalance = (employee, type, data) => {
+  const history = getLeaveBalanceHistory(employee, type, data);
+  return history.length > 0 ? history[history.length - 1].balance : 0;
+};
+
+// Balance and history of every tracked leave type, e.g. for the JSON export
+export const getLeaveBalances = (employee, types, data) => {
+  const balances = {};
+  types.filter(type => isBalanceTracked(data.policy, type)).forEach(type => {
+    const history = getLeaveBalanceHistory(employee, type, data);
+    balances[type] = { balance: history.length > 0 ? history[history.length - 1].balance : 0, history };
+  });
+  return balances;
+};
+
+// Why a request does not fit the balance, or null if it does. A request in
+// a later period is checked against that period's balance as of its first
+// day. Other pending requests of the same type are held against it as well.
+export const checkLeaveBalance = (request, employee, data) => {
+  if (!isBalanceTracked(data.policy, request.type)) return null;
+
+  const requestPeriod = getBalancePeriod(data.policy, request.startDate);
+  const asOf = requestPeriod.start > data.asOf ? requestPeriod.start : data.asOf;
+  const period = getBalancePeriod(data.policy, asOf);
+  const countDays = (r) => {
+    const days = clipToPeriod(r, period);
+    return days ? getLeaveDayCount(days, data.role) : 0;
+  };
+
+  const pendingDays = Object.values(data.leaveRequests || {})
+    .filter(r => r.id !== request.id && r.employeeId === employee.id && r.type === request.type && r.status === 'pending')
+    .reduce((sum, r) => sum + countDays(r), 0);
+  const available = roundDays(getLeaveBalance(employee, request.type, { ...data, asOf }) - pendingDays);
+  const needed = countDays(request);
+
+  if (needed <= available) return null;
+  return `Needs ${needed} day${needed === 1 ? '' : 's'} of ${request.type} leave but only ${available} ${available === 1 ? 'is' : 'are'} available`;
+};
@@ -0,0 +1,131 @@
+import { describe, it, expect } from 'vitest';
+import {
+  checkLeaveBalance,
+  getLeaveBalance,
+  getLeaveBalanceHistory,
+  getLeaveBalances,
+  getLeaveDayCount
+} from './leaveBalances';
+import { DEFAULT_SETTINGS, withDefaultSettings } from './settings';
+
+const employee = { id: 'a', name: 'Ann' };
+const role = { id: 'r1', weekendRequired: false };
+const policy = { ...DEFAULT_SETTINGS.leavePolicy, accrualStart: '2025-10-01' };
+
+const leave = (overrides = {}) => ({
+  id: 'l1', employeeId: 'a', startDate: '2025-12-01', endDate: '2025-12-02', type: 'vacation', status: 'approved', ...overrides
+});
+
+describe('leave balances', () => {
+  it('counts weekend days only for roles that work weekends', () => {
+    const request = leave({ startDate: '2025-12-05', endDate: '2025-12-08' });
+    expect(getLeaveDayCount(request, role)).toBe(2);
+    expect(getLeaveDayCount(request, { ...role, weekendRequired: true })).toBe(4);
+  });
+
+  it('accrues monthly and deducts approved leave with a running balance', () => {
+    const history = getLeaveBalanceHistory(employee, 'vacation', {
+      policy,
+      role,
+      leaveRequests: { l1: leave(), l2: leave({ id: 'l2', status: 'pending', startDate: '2025-12-10', endDate: '2025-12-10' }) },
+      adjustments: [{ employeeId: 'a', type: 'vacation', date: '2025-10-01', days: 5, note: 'Opening balance' }],
+      asOf: '2025-12-15'
+    });
+
+    expect(history.map(e => [e.date, e.kind, e.days, e.balance])).toEqual([
+      ['2025-10-01', 'accrual', 2, 2],
+      ['2025-10-01', 'adjustment', 5, 7],
+      ['2025-11-01', 'accrual', 2, 9],
+      ['2025-12-01', 'accrual', 2, 11],
+      ['2025-12-01', 'leave', -2, 9]
+    ]);
+  });
+
+  it('starts a new period at the turn of the year', () => {
+    const defaultPolicy = DEFAULT_SETTINGS.leavePolicy;
+    const data = {
+      policy: defaultPolicy,
+      role,
+      leaveRequests: {
+        june: leave({ id: 'june', startDate: '2026-06-01', endDate: '2026-06-12' }),
+        newYear: leave({ id: 'newYear', startDate: '2026-12-31', endDate: '2027-01-01' })
+      },
+      adjustments: [
+        { employeeId: 'a', type: 'vacation', date: '2026-01-01', days: 3, note: 'Carried over' },
+        { employeeId: 'a', type: 'vacation', date: '2027-01-01', days: 4, note: 'Carried over' }
+      ]
+    };
+
+    // Only each year's own accrual, carry-over and leave days count
+    expect(getLeaveBalance(employee, 'vacation', { ...data, asOf: '2026-12-31' })).toBe(3 + 24 - 10 - 1);
+
+    const history = getLeaveBalanceHistory(employee, 'vacation', { ...data, asOf: '2027-01-05' });
+    expect(history.map(e => [e.date, e.kind, e.days, e.balance])).toEqual([
+      ['2027-01-01', 'accrual', 2, 2],
+      ['2027-01-01', 'adjustment', 4, 6],
+      ['2027-01-01', 'leave', -1, 5]
+    ]);
+    expect(checkLeaveBalance(leave({ id: 'new', status: 'pending', startDate: '2027-02-01', endDate: '2027-02-05' }), employee, {
+      ...data, asOf: '2027-01-05'
+    })).toBeNull();
+  });
+
+  it('leaves leave booked into next year out of this year\'s balance', () => {
+    const data = {
+      policy: DEFAULT_SETTINGS.leavePolicy,
+      role,
+      leaveRequests: { march: leave({ id: 'march', startDate: '2027-03-01', endDate: '2027-03-05' }) },
+      asOf: '2026-10-15'
+    };
+
+    expect(getLeaveBalance(employee, 'vacation', data)).toBe(20);
+    expect(getLeaveBalance(employee, 'vacation', { ...data, asOf: '2027-03-15' })).toBe(6 - 5);
+
+    // Checked against next year's balance as of January 1st
+    const request = leave({ id: 'new', status: 'pending', startDate: '2027-02-01', endDate: '2027-02-02' });
+    expect(checkLeaveBalance(request, employee, data)).toBe('Needs 2 days of vacation leave but only -3 are available');
+    expect(checkLeaveBalance({ ...request, startDate: '2026-11-02', endDate: '2026-11-03' }, employee, data)).toBeNull();
+  });
+
+  it('accrues per hours worked from attendance', () => {
+    const hoursPolicy = { ...policy, types: { ...policy.types, sick: { method: 'hours', days: 1, perHours: 20 } } };
+    const schedule = { '2025-11-03': { a: [{ id: 's1', hours: 8 }] } };
+    const attendance = {
+      'a-2025-11-03-s1': { employeeId: 'a', date: '2025-11-03', shiftId: 's1', status: 'on-time' },
+      'a-2025-11-04-s1': { employeeId: 'a', date: '2025-11-04', shiftId: 's1', status: 'late', workedHours: 12 },
+      'b-2025-11-04-s1': { employeeId: 'b', date: '2025-11-04', shiftId: 's1', status: 'late', workedHours: 12 }
+    };
+
+    const history = getLeaveBalanceHistory(employee, 'sick', { policy: hoursPolicy, role, schedule, attendance, asOf: '2025-12-15' });
+    expect(history).toEqual([
+      { date: '2025-11-30', kind: 'accrual', days: 1, description: '20h worked', balance: 1 }
+    ]);
+  });
+
+  it('keeps no balance for untracked types', () => {
+    const data = { policy, role, leaveRequests: { l1: leave({ type: 'unpaid' }) }, asOf: '2025-12-15' };
+    expect(getLeaveBalance(employee, 'unpaid', data)).toBe(-2);
+    expect(Object.keys(getLeaveBalances(employee, ['vacation', 'unpaid'], data))).toEqual(['vacation']);
+    expect(checkLeaveBalance(leave({ id: 'new', type: 'unpaid', status: 'pending' }), employee, data)).toBeNull();
+  });
+
+  it('holds pending requests against the balance when checking a new one', () => {
+    const data = {
+      policy,
+      role,
+      leaveRequests: { l1: leave({ status: 'pending', startDate: '2025-12-01', endDate: '2025-12-03' }) },
+      asOf: '2025-12-15'
+    };
+    const request = leave({ id: 'l2', status: 'pending', startDate: '2025-12-08', endDate: '2025-12-11' });
+    expect(checkLeaveBalance(request, employee, data)).toBe('Needs 4 days of vacation leave but only 3 are available');
+    expect(checkLeaveBalance({ ...request, endDate: '2025-12-10' }, employee, data)).toBeNull();
+  });
+
+  it('fills in leave policy defaults for older settings', () => {
+    const settings = withDefaultSettings({ minRestHours: 8, leavePolicy: { overBalance: 'flag', types: { sick: { method: 'none' } } } });
+    expect(settings.minRestHours).toBe(8);
+    expect(settings.leavePolicy.overBalance).toBe('flag');
+    expect(settings.leavePolicy.types.sick.method).toBe('none');
+    expect(settings.leavePolicy.types.vacation).toEqual(DEFAULT_SETTINGS.leavePolicy.types.vacation);
+  });
+});
@@ -0,0 +1,122 @@
+// Merge import
+// Brings roles, shifts and employees from an import into the current data
+// instead of replacing everything. Incoming entities are matched to local
+// ones by id, then by name. Matches that differ are conflicts, resolved per
+// entity as 'local' (keep ours), 'incoming' (take theirs, keeping our id so
+// existing references stay valid) or 'both' (add theirs as a new entity).
+// References from shifts and employees to roles, and from employee shift
+// preferences to shifts, are remapped to the ids they end up with. The
+// schedule, attendance and leave stay as they are.
+
+export const MERGE_SECTIONS = ['roles', 'shifts', 'employees'];
+export const MERGE_RESOLUTIONS = ['local', 'incoming', 'both'];
+
+const sameName = (a, b) => (a || '').trim().toLowerCase() === (b || '').trim().toLowerCase();
+
+// Ids and shift version bookkeeping differ between exports of the same data
+const IGNORED_FIELDS = ['id', 'version', 'effectiveFrom'];
+
+const getChangedFields = (local, incoming) => {
+  const fields = new Set([...Object.keys(local), ...Object.keys(incoming)]);
+  IGNORED_FIELDS.forEach(field => fields.delete(field));
+  return [...fields].filter(field => JSON.stringify(local[field]) !== JSON.stringify(incoming[field]));
+};
+
+const getUniqueName = (name, items) => {
+  let candidate = `${name.trim()} (imported)`;
+  for (let n = 2; items.some(item => sameName(item.name, candidate)); n++) {
+    candidate = `${name.trim()} (imported ${n})`;
+  }
+  return candidate;
+};
+
+const mergeSection = (section, localItems, incomingItems, { resolutions, idMap, remap, createId }) => {
+  const merged = [...localItems];
+  const report = { section, added: [], unchanged: 0, conflicts: [] };
+  idMap[section] = {};
+
+  incomingItems.forEach(original => {
+    const item = remap(original);
+    const match = localItems.find(l => l.id === item.id) || localItems.find(l => sameName(l.name, item.name));
+
+    if (!match) {
+      const id = merged.some(m => m.id === item.id) ? createId() : item.id;
+      merged.push({ ...item, id });
+      idMap[section][original.id] = id;
+      report.added.push(item.name);
+      return;
+    }
+
+    const fields = getChangedFields(match, item);
+    if (fields.length === 0) {
+      idMap[section][original.id] = match.id;
+      report.unchanged += 1;
+      return;
+    }
+
+    const key = `${section}:${original.id}`;
+    const resolution = resolutions[key] || 'local';
+    report.conflicts.push({
+      key,
+      section,
+      name: item.name,
+      localName: match.name,
+      matchedBy: match.id === item.id ? 'id' : 'name',
+      fields,
+      resolution
+    });
+
+    if (resolution === 'incoming') {
+      merged[merged.indexOf(match)] = { ...item, id: match.id };
+      idMap[section][original.id] = match.id;
+    } else if (resolution === 'both') {
+      const id = createId();
+      merged.push({ ...item, id, name: getUniqueName(item.name, merged) });
+      idMap[section][original.id] = id;
+    } else {
+      idMap[section][original.id] = match.id;
+    }
+  });
+
+  return { merged, report };
+};
+
+/**
+ * Merge the roles, shifts and employees of incoming into local.
+ * resolutions maps conflict keys (`${section}:${incomingId}`) to one of
+ * MERGE_RESOLUTIONS; unresolved conflicts keep the local entity. Returns
+ * { data: { roles, shifts, employees }, reports, idMap } where reports has
+ * per section the added names, the unchanged count and the conflicts.
+ */
+export const mergeData = (local, incoming, resolutions = {}, {
+  createId = (() => {
+    let sequence = 0;
+    return () => `${Date.now()}${sequence++}`;
+  })()
+} = {}) => {
+  const idMap = {};
+  const data = {};
+  const reports = [];
+  const remapRole = (item) => ({ ...item, roleId: idMap.roles[item.roleId] ?? item.roleId });
+  const remapEmployee = (item) => {
+    const employee = remapRole(item);
+    if (!employee.preferences) return employee;
+    return {
+      ...employee,
+      preferences: employee.preferences.map(p => ({ ...p, shiftId: idMap.shifts[p.shiftId] ?? p.shiftId }))
+    };
+  };
+
+  MERGE_SECTIONS.forEach(section => {
+    const { merged, report } = mergeSection(section, local[section] || [], incoming[section] || [], {
+      resolutions,
+      idMap,
+      remap: { roles: (item) => item, shifts: remapRole, employees: remapEmployee }[section],
+      createId
+    });
+    data[section] = merged;
+    reports.push(report);
+  });
+
+  return { data, reports, idMap };
+};
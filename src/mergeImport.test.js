@@ -0,0 +1,72 @@
+import { describe, it, expect } from 'vitest';
+import { mergeData } from './mergeImport';
+
+const local = {
+  roles: [{ id: 'r1', name: 'Assembly', breakMinutes: 60 }],
+  shifts: [{ id: 's1', name: 'Day', roleId: 'r1', startTime: '06:00' }],
+  employees: [{ id: 'e1', name: 'Bob', roleId: 'r1', weeklyHours: 40 }]
+};
+
+// Another plant's export: same role under a different id, a new shift and employee
+const incoming = {
+  roles: [{ id: 'p1', name: 'assembly ', breakMinutes: 30 }, { id: 'p2', name: 'Packing', breakMinutes: 45 }],
+  shifts: [{ id: 'q1', name: 'Night', roleId: 'p1', startTime: '22:00' }, { id: 'q2', name: 'Pack', roleId: 'p2', startTime: '08:00' }],
+  employees: [{ id: 'e1', name: 'Bob', roleId: 'p1', weeklyHours: 40 }, { id: 'f1', name: 'Alice', roleId: 'p2', weeklyHours: 32 }]
+};
+
+const counter = () => {
+  let n = 0;
+  return () => `new${++n}`;
+};
+
+describe('merge import', () => {
+  it('adds new entities and remaps their role references', () => {
+    const { data, reports } = mergeData(local, incoming, {}, { createId: counter() });
+
+    expect(data.roles.map(r => r.id)).toEqual(['r1', 'p2']);
+    expect(data.shifts.find(s => s.name === 'Night').roleId).toBe('r1');
+    expect(data.employees.find(e => e.name === 'Alice').roleId).toBe('p2');
+    expect(reports.find(r => r.section === 'employees')).toMatchObject({ added: ['Alice'], unchanged: 1, conflicts: [] });
+  });
+
+  it('reports conflicts and keeps local entities by default', () => {
+    const { data, reports } = mergeData(local, incoming, {}, { createId: counter() });
+    const [conflict] = reports.find(r => r.section === 'roles').conflicts;
+
+    expect(conflict).toMatchObject({ key: 'roles:p1', matchedBy: 'name', fields: ['name', 'breakMinutes'] });
+    expect(data.roles[0]).toEqual(local.roles[0]);
+  });
+
+  it('does not count differing shift versions as conflicts', () => {
+    const versioned = { ...local, shifts: [{ ...local.shifts[0], version: 3, effectiveFrom: '2025-12-01' }] };
+    const other = { ...local, shifts: [{ ...local.shifts[0], version: 1 }] };
+    const { reports } = mergeData(versioned, other, {}, { createId: counter() });
+
+    expect(reports.find(r => r.section === 'shifts')).toMatchObject({ unchanged: 1, conflicts: [] });
+  });
+
+  it('takes incoming entities under the local id', () => {
+    const { data } = mergeData(local, incoming, { 'roles:p1': 'incoming' }, { createId: counter() });
+    expect(data.roles[0]).toEqual({ id: 'r1', name: 'assembly ', breakMinutes: 30 });
+  });
+
+  it('keeps both, pointing incoming references at the copy', () => {
+    const { data, reports } = mergeData(local, incoming, { 'roles:p1': 'both' }, { createId: counter() });
+
+    expect(data.roles.find(r => r.id === 'new1').name).toBe('assembly (imported)');
+    expect(data.shifts.find(s => s.name === 'Night').roleId).toBe('new1');
+    // Bob now points at the copied role, which makes him a conflict as well
+    expect(reports.find(r => r.section === 'employees').conflicts[0]).toMatchObject({ key: 'employees:e1', fields: ['roleId'] });
+    expect(data.employees.find(e => e.id === 'e1').roleId).toBe('r1');
+  });
+
+  it('points shift preferences at the shifts they were merged into', () => {
+    const withPreferences = {
+      ...incoming,
+      shifts: [...incoming.shifts, { id: 'q3', name: 'Day', roleId: 'p1', startTime: '06:00' }],
+      employees: [{ ...incoming.employees[1], preferences: [{ shiftId: 'q3', type: 'prefer', weight: 2 }] }]
+    };
+    const { data } = mergeData(local, withPreferences, {}, { createId: counter() });
+    expect(data.employees.find(e => e.name === 'Alice').preferences[0].shiftId).toBe('s1');
+  });
+});
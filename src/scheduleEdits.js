@@ -0,0 +1,88 @@
+// Manual schedule edits
+// Each edit returns a new schedule and shift history, keeping the rotation
+// counts in shiftHistory in step with what is actually on the roster.
+
+const changeHistory = (shiftHistory, employeeId, shiftId, delta) => {
+  const counts = { ...(shiftHistory[employeeId] || {}) };
+  counts[shiftId] = Math.max(0, (counts[shiftId] || 0) + delta);
+  return { ...shiftHistory, [employeeId]: counts };
+};
+
+export const addAssignment = (schedule, shiftHistory, { employeeId, date, shift }) => {
+  const day = schedule[date] || {};
+  const empShifts = day[employeeId] || [];
+  if (empShifts.some(s => s.id === shift.id)) return { schedule, shiftHistory };
+
+  return {
+    schedule: { ...schedule, [date]: { ...day, [employeeId]: [...empShifts, shift] } },
+    shiftHistory: changeHistory(shiftHistory, employeeId, shift.id, 1)
+  };
+};
+
+export const removeAssignment = (schedule, shiftHistory, { employeeId, date, shiftId }) => {
+  const day = schedule[date] || {};
+  const empShifts = day[employeeId] || [];
+  if (!empShifts.some(s => s.id === shiftId)) return { schedule, shiftHistory };
+
+  const newDay = { ...day, [employeeId]: empShifts.filter(s => s.id !== shiftId) };
+  if (newDay[employeeId].length === 0) delete newDay[employeeId];
+
+  return {
+    schedule: { ...schedule, [date]: newDay },
+    shiftHistory: changeHistory(shiftHistory, employeeId, shiftId, -1)
+  };
+};
+
+// Move one assignment to another employee and/or date
+export const moveAssignment = (schedule, shiftHistory, from, to) => {
+  const removed = removeAssignment(schedule, shiftHistory, { ...from, shiftId: from.shift.id });
+  return addAssignment(removed.schedule, removed.shiftHistory, { ...to, shift: from.shift });
+};
+
+// Exchange two assignments: a takes b's place and b takes a's
+export const swapAssignments = (schedule, shiftHistory, a, b) => {
+  let result = removeAssignment(schedule, shiftHistory, { ...a, shiftId: a.shift.id });
+  result = removeAssignment(result.schedule, result.shiftHistory, { ...b, shiftId: b.shift.id });
+  result = addAssignment(result.schedule, result.shiftHistory, { employeeId: b.employeeId, date: b.date, shift: a.shift });
+  return addAssignment(result.schedule, result.shiftHistory, { employeeId: a.employeeId, date: a.date, shift: b.shift });
+};
+
+// Pins keep hand-placed assignments through regeneration: either a single
+// employee/day cell or every assignment of an employee
+export const isAssignmentPinned = (pins, employeeId, date) => {
+  return !!pins.cells?.[`${employeeId}-${date}`] || !!pins.employees?.includes(employeeId);
+};
+
+export const toggleCellPin = (pins, employeeId, date) => {
+  const key = `${employeeId}-${date}`;
+  const cells = { ...(pins.cells || {}) };
+  if (cells[key]) {
+    delete cells[key];
+  } else {
+    cells[key] = true;
+  }
+  return { ...pins, cells };
+};
+
+export const toggleEmployeePin = (pins, employeeId) => {
+  const employees = pins.employees || [];
+  return {
+    ...pins,
+    employees: employees.includes(employeeId)
+      ? employees.filter(id => id !== employeeId)
+      : [...employees, employeeId]
+  };
+};
+
+// The pinned part of a schedule on the given dates
+export const getPinnedSchedule = (schedule, pins, dates) => {
+  const pinned = {};
+  dates.forEach(date => {
+    Object.entries(schedule[date] || {}).forEach(([employeeId, empShifts]) => {
+      if (!isAssignmentPinned(pins, employeeId, date)) return;
+      if (!pinned[date]) pinned[date] = {};
+      pinned[date][employeeId] = empShifts;
+    });
+  });
+  return pinned;
+};
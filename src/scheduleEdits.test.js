@@ -0,0 +1,79 @@
+import { describe, it, expect } from 'vitest';
+import {
+  addAssignment,
+  getPinnedSchedule,
+  isAssignmentPinned,
+  moveAssignment,
+  removeAssignment,
+  swapAssignments,
+  toggleCellPin,
+  toggleEmployeePin
+} from './scheduleEdits';
+
+const day = { id: 'day', name: 'Day', startTime: '06:00', endTime: '14:00', hours: 8 };
+const late = { id: 'late', name: 'Late', startTime: '14:00', endTime: '22:00', hours: 8 };
+
+describe('schedule edits', () => {
+  const schedule = { '2025-12-01': { a: [day], b: [late] } };
+  const history = { a: { day: 3 }, b: { late: 2 } };
+
+  it('adds an assignment and counts it in the history', () => {
+    const result = addAssignment(schedule, history, { employeeId: 'b', date: '2025-12-02', shift: day });
+    expect(result.schedule['2025-12-02']).toEqual({ b: [day] });
+    expect(result.shiftHistory.b).toEqual({ late: 2, day: 1 });
+    expect(schedule['2025-12-02']).toBeUndefined();
+  });
+
+  it('removes an assignment and takes it out of the history', () => {
+    const result = removeAssignment(schedule, history, { employeeId: 'a', date: '2025-12-01', shiftId: 'day' });
+    expect(result.schedule['2025-12-01']).toEqual({ b: [late] });
+    expect(result.shiftHistory.a).toEqual({ day: 2 });
+  });
+
+  it('moves an assignment to another employee and date', () => {
+    const result = moveAssignment(
+      schedule, history,
+      { employeeId: 'a', date: '2025-12-01', shift: day },
+      { employeeId: 'b', date: '2025-12-03' }
+    );
+    expect(result.schedule['2025-12-01']).toEqual({ b: [late] });
+    expect(result.schedule['2025-12-03']).toEqual({ b: [day] });
+    expect(result.shiftHistory).toEqual({ a: { day: 2 }, b: { late: 2, day: 1 } });
+  });
+
+  it('swaps two assignments', () => {
+    const result = swapAssignments(
+      schedule, history,
+      { employeeId: 'a', date: '2025-12-01', shift: day },
+      { employeeId: 'b', date: '2025-12-01', shift: late }
+    );
+    expect(result.schedule['2025-12-01']).toEqual({ a: [late], b: [day] });
+    expect(result.shiftHistory).toEqual({ a: { day: 2, late: 1 }, b: { late: 1, day: 1 } });
+  });
+});
+
+describe('pins', () => {
+  const schedule = {
+    '2025-12-01': { a: [day], b: [late] },
+    '2025-12-02': { a: [late], b: [day] }
+  };
+
+  it('pins and unpins single cells', () => {
+    const pins = toggleCellPin({}, 'a', '2025-12-01');
+    expect(isAssignmentPinned(pins, 'a', '2025-12-01')).toBe(true);
+    expect(isAssignmentPinned(pins, 'a', '2025-12-02')).toBe(false);
+    expect(isAssignmentPinned(toggleCellPin(pins, 'a', '2025-12-01'), 'a', '2025-12-01')).toBe(false);
+  });
+
+  it('pins every assignment of a pinned employee', () => {
+    const pins = toggleEmployeePin({}, 'b');
+    expect(isAssignmentPinned(pins, 'b', '2025-12-09')).toBe(true);
+    expect(toggleEmployeePin(pins, 'b').employees).toEqual([]);
+  });
+
+  it('selects the pinned part of a schedule on the given dates', () => {
+    const pins = toggleEmployeePin(toggleCellPin({}, 'a', '2025-12-02'), 'b');
+    expect(getPinnedSchedule(schedule, pins, ['2025-12-02'])).toEqual({ '2025-12-02': { a: [late], b: [day] } });
+    expect(getPinnedSchedule(schedule, pins, ['2025-12-01'])).toEqual({ '2025-12-01': { b: [late] } });
+  });
+});
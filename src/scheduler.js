@@ -0,0 +1,726 @@
+// Scheduling engine
+// Builds a roster from plain data (no React state), so it can run headless,
+// be reused outside the UI and be covered by regression tests.
+
+import { getAvailabilityConflict, getPreferenceWeight, summarizePreferences } from './availability';
+import { getDayName, getWeekDates } from './dates';
+import { getRotationHistory } from './fairness';
+import { isEmployeeOnLeave } from './leave';
+import { getRestHoursBetween, getShiftHoursByDate } from './shiftTimes';
+
+const WEEKEND_DAYS = ['Saturday', 'Sunday'];
+
+// Default for getShiftOn: shift definitions that do not change over time
+const sameOnEveryDate = (shift) => shift;
+
+// Seeded PRNG (mulberry32): the same seed always yields the same sequence,
+// so a generated week can be reproduced exactly from its stored seed
+export const createSeededRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+export const generateSeed = () => Math.floor(Math.random() * 4294967296);
+
+export const getShiftsPerWeek = (employee) => {
+  return employee.shiftsPerWeek || Math.ceil(employee.weeklyHours / employee.dailyMaxHours);
+};
+
+const normalizeSkill = (skill) => skill.trim().toLowerCase();
+
+// Skills needed for a shift: the role's requirements plus the shift's own
+export const getRequiredSkills = (role, shift) => {
+  const skills = [...(role?.requiredSkills || []), ...(shift?.requiredSkills || [])];
+  return [...new Set(skills.map(normalizeSkill))].filter(skill => skill);
+};
+
+// Required skills the employee does not have (compared case-insensitively)
+export const getMissingSkills = (employee, role, shift) => {
+  const employeeSkills = (employee.skills || []).map(normalizeSkill);
+  return getRequiredSkills(role, shift).filter(skill => !employeeSkills.includes(skill));
+};
+
+// Headcount limits per shift per day. A shift's own minEmployees/maxEmployees
+// override the role's; an unset minimum keeps the default of one per day.
+export const getStaffingLimits = (role, shift) => {
+  return {
+    min: shift.minEmployees ?? role?.minEmployees ?? null,
+    max: shift.maxEmployees ?? role?.maxEmployees ?? null
+  };
+};
+
+const countAssigned = (slots, shiftId, date) => {
+  return slots.filter(s => s.filled && s.shift.id === shiftId && s.date === date).length;
+};
+
+// Sort employees by role name, then by employee name
+export const sortEmployeesByRole = (employees, roles) => {
+  return [...employees].sort((a, b) => {
+    const roleA = roles.find(r => r.id === a.roleId);
+    const roleB = roles.find(r => r.id === b.roleId);
+    const roleNameA = roleA?.name || '';
+    const roleNameB = roleB?.name || '';
+    if (roleNameA !== roleNameB) return roleNameA.localeCompare(roleNameB);
+    return a.name.localeCompare(b.name);
+  });
+};
+
+// STEP 1: Calculate total shifts available per role
+export const calculateRoleCapacity = (roles, employees) => {
+  const roleShiftCapacity = {};
+  roles.forEach(role => {
+    const roleEmployees = employees.filter(e => e.roleId === role.id);
+    roleShiftCapacity[role.id] = roleEmployees.reduce((sum, emp) => sum + getShiftsPerWeek(emp), 0);
+  });
+  return roleShiftCapacity;
+};
+
+// STEP 2: Divide total shifts among shift types based on priority weightage
+export const allocateShiftsByPriority = (roles, shifts, roleShiftCapacity) => {
+  const shiftAllocation = {};
+  roles.forEach(role => {
+    const roleShifts = shifts.filter(s => s.roleId === role.id);
+    if (roleShifts.length === 0) return;
+
+    const totalPriority = roleShifts.reduce((sum, s) => sum + (s.priority || 50), 0);
+    const totalShiftsAvailable = roleShiftCapacity[role.id] || 0;
+
+    shiftAllocation[role.id] = {};
+    roleShifts.forEach(shift => {
+      const weight = (shift.priority || 50) / totalPriority;
+      shiftAllocation[role.id][shift.id] = Math.round(totalShiftsAvailable * weight);
+    });
+  });
+  return shiftAllocation;
+};
+
+// STEP 3: Create shift slots - every operating day gets at least one slot
+export const createShiftSlots = ({ roles, shifts, employees, dates, shiftAllocation, random = Math.random, getShiftOn = sameOnEveryDate }) => {
+  const allShiftSlots = [];
+
+  roles.forEach(role => {
+    const roleShifts = shifts.filter(s => s.roleId === role.id);
+    const roleEmployees = employees.filter(e => e.roleId === role.id);
+
+    if (roleEmployees.length === 0) return;
+
+    roleShifts.forEach(shift => {
+      const totalAllocated = shiftAllocation[role.id]?.[shift.id] || 0;
+
+      const operatingDayIndices = dates
+        .map((date, idx) => ({ idx, dayName: getDayName(date) }))
+        .filter(d => getShiftOn(shift, dates[d.idx]).daysOfWeek.includes(d.dayName))
+        .map(d => d.idx);
+
+      if (operatingDayIndices.length === 0) return;
+
+      // Distribute the allocated shifts evenly across the operating days
+      const basePerDay = Math.floor(totalAllocated / operatingDayIndices.length);
+      const remainder = totalAllocated % operatingDayIndices.length;
+
+      // Ensure minimum of 1 employee per day if we have employees, unless the
+      // role or shift sets its own minimum; never go above the maximum
+      const { min, max } = getStaffingLimits(role, shift);
+      const minPerDay = min ?? Math.min(1, roleEmployees.length);
+
+      // Randomly select which days get the +1 slot from the remainder
+      const daysToGetExtra = new Set();
+      const shuffledIndices = [...operatingDayIndices].sort(() => random() - 0.5);
+      for (let i = 0; i < remainder; i++) {
+        daysToGetExtra.add(shuffledIndices[i]);
+      }
+
+      operatingDayIndices.forEach(dayIndex => {
+        const date = dates[dayIndex];
+        let slotsThisDay = Math.max(minPerDay, basePerDay + (daysToGetExtra.has(dayIndex) ? 1 : 0));
+        if (max !== null) slotsThisDay = Math.min(slotsThisDay, max);
+
+        for (let i = 0; i < slotsThisDay; i++) {
+          allShiftSlots.push({
+            date,
+            dayIndex,
+            dayName: getDayName(date),
+            shift: getShiftOn(shift, date),
+            role,
+            slotIndex: i,
+            employeeId: null,
+            filled: false,
+            priority: shift.priority || 50
+          });
+        }
+      });
+    });
+  });
+
+  return allShiftSlots;
+};
+
+// Why an employee cannot take a shift on a date, or null if they can.
+// Pass ignoreShiftLimit to skip the weekly shift limit (relaxed fallback pool).
+export const getIneligibilityReason = (state, leaveRequests, emp, { date, dayName, shift, role }, { ignoreShiftLimit = false } = {}) => {
+  // A night shift also needs the employee on the day it runs into
+  const candidateHours = getShiftHoursByDate(shift, date);
+  const workedDates = Object.keys(candidateHours).filter(day => candidateHours[day] > 0);
+  if ([date, ...workedDates].some(day => isEmployeeOnLeave(leaveRequests, emp.id, day))) return 'on leave';
+
+  const unavailable = getAvailabilityConflict(emp, shift, date);
+  if (unavailable) return unavailable;
+
+  const missingSkills = getMissingSkills(emp, role, shift);
+  if (missingSkills.length > 0) return `missing skills: ${missingSkills.join(', ')}`;
+
+  if (!ignoreShiftLimit && state.shiftCounts[emp.id] >= getShiftsPerWeek(emp)) {
+    return 'weekly shift limit reached';
+  }
+
+  const employeeShifts = [
+    ...state.slots.filter(s => s.filled && s.employeeId === emp.id),
+    ...(state.existing || []).filter(a => a.employeeId === emp.id)
+  ];
+
+  // Hours count against each calendar day the shift touches
+  const exceedsDailyMax = workedDates.some(day => {
+    const hoursOnDay = employeeShifts.reduce((sum, s) => sum + (getShiftHoursByDate(s.shift, s.date)[day] || 0), 0);
+    return hoursOnDay + candidateHours[day] > emp.dailyMaxHours + 1e-9;
+  });
+  if (exceedsDailyMax) return 'daily max hours exceeded';
+
+  if (employeeShifts.some(s => s.date === date && s.shift.id === shift.id)) return 'already on this shift';
+
+  if (WEEKEND_DAYS.includes(dayName) && !role.weekendRequired) return 'role does not work weekends';
+
+  // Rest is measured between real start/end times, so it also covers split
+  // shifts on the same day, shifts on neighbouring days and shifts that run
+  // past midnight
+  const minRestHours = state.minRestHours || 0;
+  if (minRestHours > 0) {
+    const candidate = { date, shift };
+    const tooClose = employeeShifts.some(other => getRestHoursBetween(other, candidate) < minRestHours);
+    if (tooClose) return `less than ${minRestHours}h rest between shifts`;
+  }
+
+  return null;
+};
+
+// Flatten a schedule into { date, employeeId, shift } assignments, skipping the given dates
+export const toAssignments = (schedule, excludedDates = []) => {
+  const assignments = [];
+  Object.entries(schedule).forEach(([date, day]) => {
+    if (excludedDates.includes(date)) return;
+    Object.entries(day).forEach(([employeeId, empShifts]) => {
+      empShifts.forEach(shift => assignments.push({ date, employeeId, shift }));
+    });
+  });
+  return assignments;
+};
+
+/**
+ * Check a manual assignment against the same rules the generator uses.
+ *
+ * exclude lists assignments ({ date, employeeId, shiftId }) to leave out of the
+ * check, such as the one being moved. Returns null when the assignment is
+ * allowed, otherwise the reason it breaks a rule.
+ */
+export const validateAssignment = (
+  { schedule = {}, employees = [], roles = [], leaveRequests = {}, minRestHours = 0 },
+  { employeeId, date, shift },
+  exclude = []
+) => {
+  const emp = employees.find(e => e.id === employeeId);
+  if (!emp) return 'unknown employee';
+  if (shift.roleId !== emp.roleId) return 'shift belongs to another role';
+
+  const role = roles.find(r => r.id === emp.roleId);
+  if (!role) return 'employee has no role';
+
+  const isExcluded = (a) => exclude.some(x =>
+    x.date === a.date && x.employeeId === a.employeeId && x.shiftId === a.shift.id
+  );
+  const assignments = toAssignments(schedule).filter(a => !isExcluded(a));
+  const week = getWeekDates(date);
+
+  const state = {
+    slots: assignments.map(a => ({ ...a, filled: true })),
+    shiftCounts: {
+      [emp.id]: assignments.filter(a => a.employeeId === emp.id && week.includes(a.date)).length
+    },
+    minRestHours
+  };
+  return getIneligibilityReason(state, leaveRequests, emp, { date, dayName: getDayName(date), shift, role });
+};
+
+// "on leave (2); missing skills: forklift (1)"
+const summarizeReasons = (reasons) => {
+  const counts = {};
+  reasons.forEach(reason => {
+    counts[reason] = (counts[reason] || 0) + 1;
+  });
+  return Object.entries(counts).map(([reason, count]) => `${reason} (${count})`).join('; ');
+};
+
+const roundHours = (hours) => Math.round(hours * 10) / 10;
+
+// Rotation count of a shift for an employee, less the weight of their
+// preference for it: lower scores are assigned first
+const getRotationScore = (state, emp, shiftId) => {
+  return (state.history[emp.id][shiftId] || 0) - getPreferenceWeight(emp, shiftId);
+};
+
+const recordAssignment = (state, slot, employeeId) => {
+  slot.employeeId = employeeId;
+  slot.filled = true;
+  state.shiftCounts[employeeId]++;
+
+  const history = state.history[employeeId];
+  history[slot.shift.id] = (history[slot.shift.id] || 0) + 1;
+};
+
+// Place pinned assignments before anything else is assigned. They take an
+// open slot of their shift where there is one (or a new slot otherwise) and
+// count toward shift counts, hours and history like any other assignment.
+export const placePinnedAssignments = (state, { pinnedSchedule = {}, roles, dates }) => {
+  toAssignments(pinnedSchedule)
+    .filter(a => dates.includes(a.date) && state.shiftCounts[a.employeeId] !== undefined)
+    .forEach(({ date, employeeId, shift }) => {
+      let slot = state.slots.find(s => !s.filled && s.date === date && s.shift.id === shift.id);
+      if (!slot) {
+        slot = {
+          date,
+          dayIndex: dates.indexOf(date),
+          dayName: getDayName(date),
+          shift,
+          role: roles.find(r => r.id === shift.roleId),
+          slotIndex: 999,
+          employeeId: null,
+          filled: false,
+          priority: shift.priority || 50
+        };
+        state.slots.push(slot);
+      }
+      slot.pinned = true;
+      recordAssignment(state, slot, employeeId);
+    });
+};
+
+// STEP 4: Assign employees to slots with rotation logic
+export const assignSlots = (state, { employees, leaveRequests, random = Math.random }) => {
+  // Sort slots by date for chronological assignment
+  state.slots.sort((a, b) => {
+    const dateCompare = new Date(a.date) - new Date(b.date);
+    if (dateCompare !== 0) return dateCompare;
+    return random() - 0.5;
+  });
+
+  state.slots.forEach(slot => {
+    if (slot.filled) return;
+    const roleEmployees = employees.filter(e => e.roleId === slot.role.id);
+
+    const eligibleEmployees = roleEmployees.filter(emp =>
+      !getIneligibilityReason(state, leaveRequests, emp, slot)
+    );
+
+    if (eligibleEmployees.length === 0) {
+      // FALLBACK: relax the weekly shift limit, leave and daily hours still apply
+      const relaxedEligible = roleEmployees.filter(emp =>
+        !getIneligibilityReason(state, leaveRequests, emp, slot, { ignoreShiftLimit: true })
+      );
+
+      if (relaxedEligible.length === 0) {
+        const reasons = roleEmployees.map(emp => ({
+          employeeId: emp.id,
+          reason: getIneligibilityReason(state, leaveRequests, emp, slot, { ignoreShiftLimit: true })
+        }));
+        const reason = summarizeReasons(reasons.map(r => r.reason)) || 'no employees in role';
+        state.diagnostics.push({
+          type: 'unfilled',
+          date: slot.date,
+          shiftId: slot.shift.id,
+          roleId: slot.role.id,
+          reasons,
+          reason,
+          message: `No eligible ${slot.role.name} employee for ${slot.shift.name} on ${slot.date}: ${reason}`
+        });
+        return;
+      }
+
+      const sortedRelaxed = relaxedEligible.sort((a, b) => {
+        const aScore = getRotationScore(state, a, slot.shift.id);
+        const bScore = getRotationScore(state, b, slot.shift.id);
+        if (aScore !== bScore) return aScore - bScore;
+        return random() - 0.5;
+      });
+
+      const selectedEmployee = sortedRelaxed[0];
+      recordAssignment(state, slot, selectedEmployee.id);
+      state.diagnostics.push({
+        type: 'relaxed',
+        date: slot.date,
+        shiftId: slot.shift.id,
+        roleId: slot.role.id,
+        employeeId: selectedEmployee.id,
+        reason: 'no employee under their weekly shift limit was eligible',
+        message: `${selectedEmployee.name} assigned to ${slot.shift.name} on ${slot.date} beyond their weekly shift limit`
+      });
+      return;
+    }
+
+    // ROTATION LOGIC: Multi-factor sorting with randomness
+    const sortedCandidates = eligibleEmployees.sort((a, b) => {
+      // Factor 1: Employees who need more shifts (priority)
+      const aNeeded = (a.shiftsPerWeek || 5) - state.shiftCounts[a.id];
+      const bNeeded = (b.shiftsPerWeek || 5) - state.shiftCounts[b.id];
+      if (aNeeded !== bNeeded) return bNeeded - aNeeded;
+
+      // Factor 2: Who hasn't done THIS shift type recently (rotation),
+      // weighed against who prefers or avoids it
+      const aScore = getRotationScore(state, a, slot.shift.id);
+      const bScore = getRotationScore(state, b, slot.shift.id);
+      if (aScore !== bScore) return aScore - bScore;
+
+      // Factor 3: Overall shift count (fairness)
+      const aTotalShifts = Object.values(state.history[a.id]).reduce((sum, count) => sum + count, 0);
+      const bTotalShifts = Object.values(state.history[b.id]).reduce((sum, count) => sum + count, 0);
+      if (aTotalShifts !== bTotalShifts) return aTotalShifts - bTotalShifts;
+
+      // Factor 4: Random for variety and equal distribution
+      return random() - 0.5;
+    });
+
+    recordAssignment(state, slot, sortedCandidates[0].id);
+  });
+};
+
+// STEP 5: Fill remaining shifts for employees who haven't reached their target
+export const fillRemainingShifts = (state, { employees, roles, shifts, dates, leaveRequests, getShiftOn = sameOnEveryDate }) => {
+  let additionalPassNeeded = true;
+  let passCount = 0;
+  const maxAdditionalPasses = 5;
+
+  while (additionalPassNeeded && passCount < maxAdditionalPasses) {
+    passCount++;
+    additionalPassNeeded = false;
+
+    employees.forEach(emp => {
+      const empShiftsPerWeek = getShiftsPerWeek(emp);
+      if (empShiftsPerWeek - state.shiftCounts[emp.id] <= 0) return;
+
+      additionalPassNeeded = true;
+      const role = roles.find(r => r.id === emp.roleId);
+      if (!role) return;
+
+      const roleShifts = shifts.filter(s => s.roleId === emp.roleId);
+      const sortedShifts = [...roleShifts].sort((a, b) => {
+        const aScore = getRotationScore(state, emp, a.id);
+        const bScore = getRotationScore(state, emp, b.id);
+        if (aScore !== bScore) return aScore - bScore;
+        return (b.priority || 50) - (a.priority || 50);
+      });
+
+      for (const currentShift of sortedShifts) {
+        if (state.shiftCounts[emp.id] >= empShiftsPerWeek) break;
+
+        for (let dayIndex = 0; dayIndex < dates.length; dayIndex++) {
+          if (state.shiftCounts[emp.id] >= empShiftsPerWeek) break;
+
+          const date = dates[dayIndex];
+          const dayName = getDayName(date);
+          const shift = getShiftOn(currentShift, date);
+          if (!shift.daysOfWeek.includes(dayName)) continue;
+
+          const { max } = getStaffingLimits(role, shift);
+          if (max !== null && countAssigned(state.slots, shift.id, date) >= max) continue;
+
+          const candidate = { date, dayName, shift, role };
+          if (getIneligibilityReason(state, leaveRequests, emp, candidate, { ignoreShiftLimit: true })) continue;
+
+          const newSlot = {
+            ...candidate,
+            dayIndex,
+            slotIndex: 999,
+            employeeId: null,
+            filled: false,
+            priority: shift.priority || 50
+          };
+          state.slots.push(newSlot);
+          recordAssignment(state, newSlot, emp.id);
+          break;
+        }
+      }
+    });
+  }
+};
+
+// Flag every shift day where the minimum headcount could not be met
+export const checkMinimumStaffing = (state, { roles, shifts, dates, getShiftOn = sameOnEveryDate }) => {
+  shifts.forEach(currentShift => {
+    const role = roles.find(r => r.id === currentShift.roleId);
+
+    dates.forEach(date => {
+      const shift = getShiftOn(currentShift, date);
+      const { min } = getStaffingLimits(role, shift);
+      if (!min || !shift.daysOfWeek.includes(getDayName(date))) return;
+
+      const assigned = countAssigned(state.slots, shift.id, date);
+      if (assigned >= min) return;
+
+      const unfilled = state.diagnostics.find(d => d.type === 'unfilled' && d.shiftId === shift.id && d.date === date);
+      state.diagnostics.push({
+        type: 'understaffed',
+        date,
+        shiftId: shift.id,
+        roleId: shift.roleId,
+        required: min,
+        assigned,
+        reason: unfilled ? unfilled.reason : 'not enough employees in role',
+        message: `${shift.name} on ${date} has ${assigned} of the minimum ${min} employees`
+      });
+    });
+  });
+};
+
+// Compare each employee's scheduled hours with their target for these dates
+// and explain what kept under-scheduled employees from more shifts
+export const checkEmployeeHours = (state, { employees, roles, shifts, dates, leaveRequests, getShiftOn = sameOnEveryDate }) => {
+  employees.forEach(emp => {
+    const targetHours = (emp.weeklyHours || 0) * dates.length / 7;
+    const assignedSlots = state.slots.filter(s => s.filled && s.employeeId === emp.id);
+    const scheduledHours = assignedSlots.reduce((sum, s) => sum + s.shift.hours, 0);
+    if (Math.abs(scheduledHours - targetHours) < 0.01) return;
+
+    const summary = {
+      date: dates[0],
+      employeeId: emp.id,
+      roleId: emp.roleId,
+      scheduledHours,
+      targetHours,
+      message: `${emp.name} is scheduled for ${roundHours(scheduledHours)}h of a ${roundHours(targetHours)}h target`
+    };
+
+    if (scheduledHours > targetHours) {
+      const relaxed = state.diagnostics.some(d => d.type === 'relaxed' && d.employeeId === emp.id);
+      state.diagnostics.push({
+        type: 'over-hours',
+        ...summary,
+        reason: relaxed
+          ? 'assigned beyond weekly shift limit to cover unfilled slots'
+          : 'shift lengths add up to more than weekly hours'
+      });
+      return;
+    }
+
+    let reason;
+    const role = roles.find(r => r.id === emp.roleId);
+    if (!role) {
+      reason = 'no role assigned';
+    } else if (state.shiftCounts[emp.id] >= getShiftsPerWeek(emp)) {
+      reason = `weekly shift limit of ${getShiftsPerWeek(emp)} shifts reached`;
+    } else {
+      const reasons = [];
+      shifts.filter(s => s.roleId === emp.roleId).forEach(currentShift => {
+        dates.forEach(date => {
+          const dayName = getDayName(date);
+          const shift = getShiftOn(currentShift, date);
+          if (!shift.daysOfWeek.includes(dayName)) return;
+          if (assignedSlots.some(s => s.date === date && s.shift.id === shift.id)) return;
+
+          const blocked = getIneligibilityReason(state, leaveRequests, emp, { date, dayName, shift, role }, { ignoreShiftLimit: true });
+          reasons.push(blocked || 'no open slots');
+        });
+      });
+      reason = summarizeReasons(reasons) || 'no shifts for role';
+    }
+
+    state.diagnostics.push({ type: 'under-hours', ...summary, reason });
+  });
+};
+
+// Report per employee with preferences how many of their shifts matched them
+export const checkPreferences = (state, { employees, dates }) => {
+  employees.filter(emp => (emp.preferences || []).length > 0).forEach(emp => {
+    const assigned = state.slots.filter(s => s.filled && s.employeeId === emp.id).map(s => s.shift);
+    const { total, preferred, avoided, honored } = summarizePreferences(emp, assigned);
+    state.diagnostics.push({
+      type: 'preferences',
+      date: dates[0],
+      employeeId: emp.id,
+      roleId: emp.roleId,
+      total,
+      preferred,
+      avoided,
+      honored,
+      reason: `${honored} of ${total} shifts matched preferences`,
+      message: `${emp.name}: ${honored} of ${total} shifts matched preferences (${preferred} preferred, ${avoided} avoided)`
+    });
+  });
+};
+
+// STEP 6: Convert slots to schedule format ({ [date]: { [employeeId]: [shift] } })
+export const slotsToSchedule = (slots) => {
+  const schedule = {};
+  slots.forEach(slot => {
+    if (!slot.filled) return;
+
+    if (!schedule[slot.date]) {
+      schedule[slot.date] = {};
+    }
+    if (!schedule[slot.date][slot.employeeId]) {
+      schedule[slot.date][slot.employeeId] = [];
+    }
+    schedule[slot.date][slot.employeeId].push(slot.shift);
+  });
+  return schedule;
+};
+
+// Take already generated dates back out of the rotation history, so
+// regenerating them does not count those assignments twice
+export const removeScheduleFromHistory = (shiftHistory, schedule, dates) => {
+  const history = {};
+  Object.entries(shiftHistory).forEach(([empId, counts]) => {
+    history[empId] = { ...counts };
+  });
+
+  dates.forEach(date => {
+    Object.entries(schedule[date] || {}).forEach(([empId, empShifts]) => {
+      empShifts.forEach(shift => {
+        if (history[empId]?.[shift.id] > 0) history[empId][shift.id]--;
+      });
+    });
+  });
+  return history;
+};
+
+// Count a schedule's assignments into the rotation history
+export const addScheduleToHistory = (shiftHistory, schedule) => {
+  const history = {};
+  Object.entries(shiftHistory).forEach(([empId, counts]) => {
+    history[empId] = { ...counts };
+  });
+
+  Object.values(schedule).forEach(day => {
+    Object.entries(day).forEach(([empId, empShifts]) => {
+      if (!history[empId]) history[empId] = {};
+      empShifts.forEach(shift => {
+        history[empId][shift.id] = (history[empId][shift.id] || 0) + 1;
+      });
+    });
+  });
+  return history;
+};
+
+/**
+ * Generate a schedule for the given dates.
+ *
+ * Pass a seed to make the run reproducible: the same seed and inputs always
+ * give the same schedule. A custom random source can be passed instead.
+ * existingSchedule holds assignments outside these dates (e.g. the week
+ * before) that the minimum rest period must respect. pinnedSchedule holds
+ * assignments on these dates that must be kept as they are; only the
+ * remaining slots are filled around them. getShiftOn(shift, date) gives the
+ * definition of a shift in effect on a date (see shiftVersions.js), so rules
+ * are checked against the times actually worked that day.
+ *
+ * Returns { schedule, shiftHistory, diagnostics, seed }. The inputs are never
+ * mutated; shiftHistory is a new object with this run's assignments added.
+ */
+export const buildSchedule = ({
+  employees = [],
+  roles = [],
+  shifts = [],
+  leaveRequests = {},
+  shiftHistory = {},
+  dates = [],
+  existingSchedule = {},
+  pinnedSchedule = {},
+  minRestHours = 0,
+  getShiftOn = sameOnEveryDate,
+  seed,
+  random = seed === undefined ? Math.random : createSeededRandom(seed)
+}) => {
+  const sortedEmployees = sortEmployeesByRole(employees, roles);
+
+  const state = {
+    slots: [],
+    shiftCounts: {},
+    history: {},
+    diagnostics: [],
+    existing: toAssignments(existingSchedule, dates),
+    minRestHours
+  };
+
+  Object.entries(shiftHistory).forEach(([empId, counts]) => {
+    state.history[empId] = { ...counts };
+  });
+  sortedEmployees.forEach(emp => {
+    state.shiftCounts[emp.id] = 0;
+    if (!state.history[emp.id]) {
+      state.history[emp.id] = {};
+    }
+  });
+
+  const roleShiftCapacity = calculateRoleCapacity(roles, sortedEmployees);
+  const shiftAllocation = allocateShiftsByPriority(roles, shifts, roleShiftCapacity);
+  state.slots = createShiftSlots({ roles, shifts, employees: sortedEmployees, dates, shiftAllocation, random, getShiftOn });
+  placePinnedAssignments(state, { pinnedSchedule, roles, dates });
+
+  assignSlots(state, { employees: sortedEmployees, leaveRequests, random });
+  fillRemainingShifts(state, { employees: sortedEmployees, roles, shifts, dates, leaveRequests, getShiftOn });
+  checkMinimumStaffing(state, { roles, shifts, dates, getShiftOn });
+  checkEmployeeHours(state, { employees: sortedEmployees, roles, shifts, dates, leaveRequests, getShiftOn });
+  checkPreferences(state, { employees: sortedEmployees, dates });
+
+  return {
+    schedule: slotsToSchedule(state.slots),
+    shiftHistory: state.history,
+    diagnostics: state.diagnostics,
+    seed
+  };
+};
+
+/**
+ * Generate consecutive weeks in one run, carrying the rotation history from
+ * each week into the next. Weeks without an entry in seeds get a new seed.
+ * With historyWindowWeeks, rotation uses only the assignments of that many
+ * weeks before each week (from existingSchedule and the weeks generated so
+ * far) instead of shiftHistory; shiftHistory is still kept up to date.
+ *
+ * Returns { schedule, shiftHistory, diagnostics, seeds } where seeds maps
+ * each week's first date to the seed it was generated with.
+ */
+export const buildScheduleForWeeks = ({
+  weeks = [],
+  seeds = {},
+  shiftHistory = {},
+  historyWindowWeeks = 0,
+  existingSchedule = {},
+  ...input
+}) => {
+  const schedule = {};
+  const diagnostics = [];
+  const usedSeeds = {};
+  let history = shiftHistory;
+
+  weeks.forEach(dates => {
+    const seed = seeds[dates[0]] ?? generateSeed();
+    const scheduled = { ...existingSchedule, ...schedule };
+    const result = buildSchedule({
+      ...input,
+      shiftHistory: historyWindowWeeks > 0 ? getRotationHistory(scheduled, dates[0], historyWindowWeeks) : history,
+      existingSchedule: scheduled,
+      dates,
+      seed
+    });
+
+    Object.assign(schedule, result.schedule);
+    diagnostics.push(...result.diagnostics);
+    usedSeeds[dates[0]] = seed;
+    history = historyWindowWeeks > 0 ? addScheduleToHistory(history, result.schedule) : result.shiftHistory;
+  });
+
+  return { schedule, shiftHistory: history, diagnostics, seeds: usedSeeds };
+};
@@ -0,0 +1,774 @@
+import { describe, it, expect } from 'vitest';
+import backup from '../shift-app-backup-2025-11-30 (1).json';
+import {
+  addScheduleToHistory,
+  allocateShiftsByPriority,
+  assignSlots,
+  buildSchedule,
+  buildScheduleForWeeks,
+  calculateRoleCapacity,
+  createSeededRandom,
+  createShiftSlots,
+  fillRemainingShifts,
+  getIneligibilityReason,
+  getMissingSkills,
+  getStaffingLimits,
+  removeScheduleFromHistory,
+  slotsToSchedule,
+  validateAssignment
+} from './scheduler';
+import { getDayName, getWeekRange } from './dates';
+import { normalizeLeaveRequests } from './leave';
+import { getShiftVersionOn, recordShiftVersion } from './shiftVersions';
+
+// random() - 0.5 === 0 keeps every tie-break in input order
+const stableRandom = () => 0.5;
+
+const WEEK = ['2025-12-01', '2025-12-02', '2025-12-03', '2025-12-04', '2025-12-05', '2025-12-06', '2025-12-07'];
+const WEEKDAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday'];
+
+const role = (overrides = {}) => ({
+  id: 'r1', name: 'Assembly', weekendRequired: false, requiredSkills: [], breakMinutes: 60, ...overrides
+});
+
+const shift = (overrides = {}) => ({
+  id: 's1', name: 'Day', startTime: '06:00', endTime: '15:00', roleId: 'r1',
+  daysOfWeek: WEEKDAYS, priority: 50, hours: 8, ...overrides
+});
+
+const employee = (overrides = {}) => ({
+  id: 'e1', name: 'Ann', roleId: 'r1', weeklyHours: 40, dailyMaxHours: 8, skills: [], shiftsPerWeek: 5, ...overrides
+});
+
+const approvedLeave = (employeeId, startDate, endDate = startDate) => ({
+  [`${employeeId}-${startDate}`]: { id: `${employeeId}-${startDate}`, employeeId, startDate, endDate, type: 'vacation', status: 'approved' }
+});
+
+const newState = (employees, history = {}) => ({
+  slots: [],
+  shiftCounts: Object.fromEntries(employees.map(e => [e.id, 0])),
+  history: Object.fromEntries(employees.map(e => [e.id, { ...history[e.id] }])),
+  diagnostics: []
+});
+
+describe('getDayName', () => {
+  it('maps ISO dates to Monday-first day names', () => {
+    expect(WEEK.map(getDayName)).toEqual([...WEEKDAYS, 'Saturday', 'Sunday']);
+  });
+});
+
+describe('STEP 1: calculateRoleCapacity', () => {
+  it('sums shiftsPerWeek of the employees in each role', () => {
+    const employees = [
+      employee({ id: 'a', shiftsPerWeek: 5 }),
+      employee({ id: 'b', shiftsPerWeek: 4 }),
+      employee({ id: 'c', roleId: 'r2', shiftsPerWeek: 3 })
+    ];
+    expect(calculateRoleCapacity([role(), role({ id: 'r2' })], employees)).toEqual({ r1: 9, r2: 3 });
+  });
+
+  it('derives shifts per week from hours when shiftsPerWeek is missing', () => {
+    const employees = [employee({ shiftsPerWeek: undefined, weeklyHours: 36, dailyMaxHours: 8 })];
+    expect(calculateRoleCapacity([role()], employees)).toEqual({ r1: 5 });
+  });
+});
+
+describe('STEP 2: allocateShiftsByPriority', () => {
+  it('splits role capacity by shift priority', () => {
+    const shifts = [shift({ id: 'a', priority: 75 }), shift({ id: 'b', priority: 25 })];
+    expect(allocateShiftsByPriority([role()], shifts, { r1: 20 })).toEqual({ r1: { a: 15, b: 5 } });
+  });
+
+  it('treats a missing priority as 50 and skips roles without shifts', () => {
+    const shifts = [shift({ id: 'a', priority: undefined }), shift({ id: 'b', priority: 50 })];
+    const allocation = allocateShiftsByPriority([role(), role({ id: 'r2' })], shifts, { r1: 10, r2: 5 });
+    expect(allocation).toEqual({ r1: { a: 5, b: 5 } });
+  });
+});
+
+describe('STEP 3: createShiftSlots', () => {
+  it('spreads allocated shifts over operating days with at least one per day', () => {
+    const slots = createShiftSlots({
+      roles: [role()],
+      shifts: [shift()],
+      employees: [employee()],
+      dates: WEEK,
+      shiftAllocation: { r1: { s1: 3 } },
+      random: stableRandom
+    });
+    expect(slots).toHaveLength(5);
+    expect(slots.map(s => s.dayName)).toEqual(WEEKDAYS);
+    expect(slots.every(s => !s.filled && s.employeeId === null)).toBe(true);
+  });
+
+  it('gives remainder slots to some operating days only', () => {
+    const slots = createShiftSlots({
+      roles: [role()],
+      shifts: [shift()],
+      employees: [employee()],
+      dates: WEEK,
+      shiftAllocation: { r1: { s1: 12 } },
+      random: stableRandom
+    });
+    const perDay = WEEK.map(date => slots.filter(s => s.date === date).length);
+    expect(slots).toHaveLength(12);
+    expect(perDay.slice(5)).toEqual([0, 0]);
+    expect(perDay.filter(n => n === 3)).toHaveLength(2);
+  });
+
+  it('creates no slots for roles without employees', () => {
+    const slots = createShiftSlots({
+      roles: [role()],
+      shifts: [shift()],
+      employees: [],
+      dates: WEEK,
+      shiftAllocation: { r1: { s1: 5 } }
+    });
+    expect(slots).toEqual([]);
+  });
+});
+
+describe('getIneligibilityReason', () => {
+  const slot = { date: '2025-12-06', dayName: 'Saturday', shift: shift(), role: role() };
+
+  it('reports leave, weekend and limit violations', () => {
+    const emp = employee();
+    const state = newState([emp]);
+    expect(getIneligibilityReason(state, approvedLeave('e1', '2025-12-06'), emp, slot)).toBe('on leave');
+    expect(getIneligibilityReason(state, {}, emp, slot)).toBe('role does not work weekends');
+
+    state.shiftCounts.e1 = 5;
+    const weekday = { ...slot, date: '2025-12-01', dayName: 'Monday' };
+    expect(getIneligibilityReason(state, {}, emp, weekday)).toBe('weekly shift limit reached');
+    expect(getIneligibilityReason(state, {}, emp, weekday, { ignoreShiftLimit: true })).toBeNull();
+  });
+
+  it('reports daily hour and duplicate-shift violations', () => {
+    const emp = employee({ dailyMaxHours: 12 });
+    const state = newState([emp]);
+    const weekday = { ...slot, date: '2025-12-01', dayName: 'Monday' };
+    state.slots.push({ ...weekday, employeeId: 'e1', filled: true });
+    expect(getIneligibilityReason(state, {}, emp, weekday)).toBe('daily max hours exceeded');
+
+    emp.dailyMaxHours = 16;
+    expect(getIneligibilityReason(state, {}, emp, weekday)).toBe('already on this shift');
+  });
+});
+
+describe('STEP 4: assignSlots', () => {
+  const slotFor = (date, overrides = {}) => ({
+    date, dayName: getDayName(date), shift: shift(), role: role(), employeeId: null, filled: false, ...overrides
+  });
+
+  it('prefers employees who still need shifts, then the least-rotated one', () => {
+    const employees = [employee({ id: 'a', name: 'A' }), employee({ id: 'b', name: 'B' })];
+    const state = newState(employees, { a: { s1: 3 }, b: { s1: 1 } });
+    state.slots = [slotFor('2025-12-01'), slotFor('2025-12-01')];
+
+    assignSlots(state, { employees, leaveRequests: {}, random: stableRandom });
+
+    expect(state.slots.map(s => s.employeeId)).toEqual(['b', 'a']);
+    expect(state.shiftCounts).toEqual({ a: 1, b: 1 });
+    expect(state.history).toEqual({ a: { s1: 4 }, b: { s1: 2 } });
+  });
+
+  it('falls back to employees over their weekly limit and records it', () => {
+    const employees = [employee({ id: 'a', shiftsPerWeek: 1 })];
+    const state = newState(employees);
+    state.slots = [slotFor('2025-12-01'), slotFor('2025-12-02')];
+
+    assignSlots(state, { employees, leaveRequests: {}, random: stableRandom });
+
+    expect(state.slots.every(s => s.employeeId === 'a')).toBe(true);
+    expect(state.diagnostics).toEqual([expect.objectContaining({ type: 'relaxed', date: '2025-12-02', employeeId: 'a' })]);
+  });
+
+  it('leaves slots unfilled when nobody can work and reports them', () => {
+    const employees = [employee({ id: 'a' })];
+    const state = newState(employees);
+    state.slots = [slotFor('2025-12-01')];
+
+    assignSlots(state, { employees, leaveRequests: approvedLeave('a', '2025-12-01'), random: stableRandom });
+
+    expect(state.slots[0].filled).toBe(false);
+    expect(state.diagnostics).toEqual([expect.objectContaining({ type: 'unfilled', date: '2025-12-01', shiftId: 's1' })]);
+  });
+
+  it('processes slots in date order', () => {
+    const employees = [employee({ id: 'a' })];
+    const state = newState(employees);
+    state.slots = [slotFor('2025-12-03'), slotFor('2025-12-01')];
+
+    assignSlots(state, { employees, leaveRequests: {}, random: stableRandom });
+
+    expect(state.slots.map(s => s.date)).toEqual(['2025-12-01', '2025-12-03']);
+  });
+});
+
+describe('STEP 5: fillRemainingShifts', () => {
+  it('tops employees up to their weekly target on free operating days', () => {
+    const employees = [employee({ id: 'a', shiftsPerWeek: 3 })];
+    const state = newState(employees);
+
+    fillRemainingShifts(state, { employees, roles: [role()], shifts: [shift()], dates: WEEK, leaveRequests: {} });
+
+    expect(state.shiftCounts.a).toBe(3);
+    expect(state.slots.map(s => s.date)).toEqual(['2025-12-01', '2025-12-02', '2025-12-03']);
+    expect(state.history.a).toEqual({ s1: 3 });
+  });
+
+  it('skips leave days and weekends for roles without weekend work', () => {
+    const employees = [employee({ id: 'a', shiftsPerWeek: 7 })];
+    const state = newState(employees);
+    const shifts = [shift({ daysOfWeek: [...WEEKDAYS, 'Saturday', 'Sunday'] })];
+
+    fillRemainingShifts(state, {
+      employees, roles: [role()], shifts, dates: WEEK, leaveRequests: approvedLeave('a', '2025-12-02')
+    });
+
+    expect(state.slots.map(s => s.date)).toEqual(['2025-12-01', '2025-12-03', '2025-12-04', '2025-12-05']);
+  });
+});
+
+describe('STEP 6: slotsToSchedule', () => {
+  it('groups filled slots by date and employee', () => {
+    const day = shift();
+    const night = shift({ id: 's2', name: 'Night' });
+    const schedule = slotsToSchedule([
+      { date: '2025-12-01', shift: day, employeeId: 'a', filled: true },
+      { date: '2025-12-01', shift: night, employeeId: 'a', filled: true },
+      { date: '2025-12-02', shift: day, employeeId: null, filled: false }
+    ]);
+    expect(schedule).toEqual({ '2025-12-01': { a: [day, night] } });
+  });
+});
+
+describe('buildSchedule', () => {
+  const input = {
+    employees: backup.employees,
+    roles: backup.roles,
+    shifts: backup.shifts,
+    leaveRequests: normalizeLeaveRequests(backup.leaveRequests),
+    shiftHistory: backup.shiftHistory,
+    dates: ['2025-12-01', '2025-12-02', '2025-12-03', '2025-12-04', '2025-12-05', '2025-12-06', '2025-12-07'],
+    random: stableRandom
+  };
+
+  it('does not mutate its inputs', () => {
+    const before = JSON.stringify(backup);
+    buildSchedule(input);
+    expect(JSON.stringify(backup)).toBe(before);
+  });
+
+  it('never schedules anyone on leave or in a role that does not work weekends', () => {
+    const { schedule } = buildSchedule(input);
+    const engineer = backup.roles.find(r => r.name === 'Engineer');
+    const engineers = backup.employees.filter(e => e.roleId === engineer.id).map(e => e.id);
+
+    Object.values(backup.leaveRequests).forEach(({ employeeId, date }) => {
+      expect(schedule[date]?.[employeeId]).toBeUndefined();
+    });
+    ['2025-12-06', '2025-12-07'].forEach(date => {
+      engineers.forEach(id => expect(schedule[date]?.[id]).toBeUndefined());
+    });
+  });
+
+  it('respects daily max hours for every employee', () => {
+    const { schedule } = buildSchedule(input);
+    Object.values(schedule).forEach(day => {
+      Object.entries(day).forEach(([empId, empShifts]) => {
+        const emp = backup.employees.find(e => e.id === empId);
+        expect(empShifts.reduce((sum, s) => sum + s.hours, 0)).toBeLessThanOrEqual(emp.dailyMaxHours);
+      });
+    });
+  });
+
+  it('adds every assignment to the returned shift history', () => {
+    const { schedule, shiftHistory } = buildSchedule(input);
+    const added = (history) => Object.values(history).reduce(
+      (sum, counts) => sum + Object.values(counts).reduce((a, b) => a + b, 0), 0
+    );
+    const assigned = Object.values(schedule).reduce(
+      (sum, day) => sum + Object.values(day).reduce((a, s) => a + s.length, 0), 0
+    );
+    expect(added(shiftHistory) - added(backup.shiftHistory)).toBe(assigned);
+  });
+
+  it('is reproducible for a fixed random source', () => {
+    expect(buildSchedule(input)).toEqual(buildSchedule(input));
+  });
+});
+
+describe('seeded generation', () => {
+  const input = {
+    employees: backup.employees,
+    roles: backup.roles,
+    shifts: backup.shifts,
+    leaveRequests: normalizeLeaveRequests(backup.leaveRequests),
+    shiftHistory: backup.shiftHistory,
+    dates: WEEK
+  };
+
+  it('createSeededRandom repeats its sequence for the same seed', () => {
+    const a = createSeededRandom(42);
+    const b = createSeededRandom(42);
+    const sequence = Array.from({ length: 5 }, () => a());
+    expect(Array.from({ length: 5 }, () => b())).toEqual(sequence);
+    expect(sequence.every(n => n >= 0 && n < 1)).toBe(true);
+  });
+
+  it('gives the same schedule byte for byte for the same seed and inputs', () => {
+    const first = buildSchedule({ ...input, seed: 1234 });
+    const second = buildSchedule({ ...input, seed: 1234 });
+    expect(JSON.stringify(second)).toBe(JSON.stringify(first));
+    expect(first.seed).toBe(1234);
+  });
+
+  it('gives a different schedule for a different seed', () => {
+    const first = buildSchedule({ ...input, seed: 1 });
+    const second = buildSchedule({ ...input, seed: 2 });
+    expect(second.schedule).not.toEqual(first.schedule);
+  });
+
+  it('reproduces a week when its assignments are taken back out of the history', () => {
+    const first = buildSchedule({ ...input, seed: 99 });
+    const history = removeScheduleFromHistory(first.shiftHistory, first.schedule, WEEK);
+    expect(history).toEqual(backup.shiftHistory);
+
+    const again = buildSchedule({ ...input, shiftHistory: history, seed: 99 });
+    expect(again.schedule).toEqual(first.schedule);
+  });
+});
+
+describe('buildScheduleForWeeks', () => {
+  const input = {
+    employees: backup.employees,
+    roles: backup.roles,
+    shifts: backup.shifts,
+    leaveRequests: normalizeLeaveRequests(backup.leaveRequests),
+    shiftHistory: backup.shiftHistory
+  };
+  const weeks = getWeekRange('2025-12-01', 3);
+
+  it('generates every week and records the seed used for each', () => {
+    const result = buildScheduleForWeeks({ ...input, weeks, seeds: { '2025-12-08': 7 } });
+    expect(Object.keys(result.seeds)).toEqual(['2025-12-01', '2025-12-08', '2025-12-15']);
+    expect(result.seeds['2025-12-08']).toBe(7);
+    weeks.flat().forEach(date => {
+      expect(result.schedule[date]).toBeDefined();
+    });
+  });
+
+  it('carries rotation history from one week into the next', () => {
+    const seeds = { '2025-12-01': 1, '2025-12-08': 2, '2025-12-15': 3 };
+    const result = buildScheduleForWeeks({ ...input, weeks, seeds });
+
+    let history = input.shiftHistory;
+    weeks.forEach(dates => {
+      history = buildSchedule({ ...input, shiftHistory: history, dates, seed: seeds[dates[0]] }).shiftHistory;
+    });
+    expect(result.shiftHistory).toEqual(history);
+  });
+
+  it('checks each date against the shift version in effect then', () => {
+    // Moved from 09:00 to 06:00 from the second week on
+    const before = shift({ startTime: '09:00', endTime: '17:00' });
+    let versions = recordShiftVersion({}, before).shiftVersions;
+    const current = recordShiftVersion(versions, { ...before, startTime: '06:00', endTime: '14:00' }, '2025-12-08');
+    versions = current.shiftVersions;
+    const emp = employee({ availability: [{ day: '', rule: 'not-before', time: '08:00' }] });
+
+    const result = buildScheduleForWeeks({
+      employees: [emp],
+      roles: [role()],
+      shifts: [current.shift],
+      getShiftOn: (s, date) => getShiftVersionOn(versions, s.id, date),
+      weeks: getWeekRange('2025-12-01', 2),
+      seeds: { '2025-12-01': 1, '2025-12-08': 1 }
+    });
+
+    expect(result.schedule['2025-12-01'].e1).toEqual([{ ...before, version: 1 }]);
+    expect(result.schedule['2025-12-08']).toBeUndefined();
+  });
+
+  it('ignores the all-time history when rotating over a window, but keeps it up to date', () => {
+    const seeds = { '2025-12-01': 1, '2025-12-08': 2, '2025-12-15': 3 };
+    const result = buildScheduleForWeeks({ ...input, weeks, seeds, historyWindowWeeks: 8 });
+    const withoutTally = buildScheduleForWeeks({ ...input, shiftHistory: {}, weeks, seeds, historyWindowWeeks: 8 });
+
+    expect(result.schedule).toEqual(withoutTally.schedule);
+    expect(result.shiftHistory).toEqual(addScheduleToHistory(input.shiftHistory, result.schedule));
+  });
+
+  it('rotates on the assignments within the window', () => {
+    const day = shift({ id: 'day' });
+    const night = shift({ id: 'night', name: 'Night', startTime: '22:00', endTime: '06:00' });
+    const lastWeek = Object.fromEntries(getWeekRange('2025-11-24', 1)[0].slice(0, 5).map(date => [date, { e1: [night], e2: [day] }]));
+    const generate = (historyWindowWeeks) => buildScheduleForWeeks({
+      employees: [employee({ id: 'e1', name: 'Ann' }), employee({ id: 'e2', name: 'Bob' })],
+      roles: [role()],
+      shifts: [day, night],
+      shiftHistory: { e1: { day: 100 }, e2: { night: 100 } },
+      existingSchedule: lastWeek,
+      weeks: [WEEK],
+      random: stableRandom,
+      historyWindowWeeks
+    });
+
+    // Ann worked nights last week, so she gets days now; the old tally says the opposite
+    expect(generate(1).schedule['2025-12-01'].e1).toEqual([day]);
+    expect(generate(0).schedule['2025-12-01'].e1).toEqual([night]);
+  });
+});
+
+describe('required skills', () => {
+  it('combines role and shift requirements case-insensitively', () => {
+    const emp = employee({ skills: ['Welding'] });
+    const required = role({ requiredSkills: ['welding'] });
+    expect(getMissingSkills(emp, required, shift())).toEqual([]);
+    expect(getMissingSkills(emp, required, shift({ requiredSkills: ['Forklift'] }))).toEqual(['forklift']);
+  });
+
+  it('makes unqualified employees ineligible', () => {
+    const emp = employee();
+    const slot = { date: '2025-12-01', dayName: 'Monday', shift: shift({ requiredSkills: ['forklift'] }), role: role() };
+    expect(getIneligibilityReason(newState([emp]), {}, emp, slot)).toBe('missing skills: forklift');
+  });
+
+  it('only assigns qualified employees and reports slots left open by missing skills', () => {
+    const dispatchOne = backup.shifts.find(s => s.name === 'Dispatch One');
+    const shifts = backup.shifts.map(s => (s.id === dispatchOne.id ? { ...s, requiredSkills: ['forklift'] } : s));
+    const ken = backup.employees.find(e => e.name === 'Ken');
+    const employees = backup.employees.map(e => (e.id === ken.id ? { ...e, skills: ['Forklift'] } : e));
+
+    const { schedule, diagnostics } = buildSchedule({
+      employees, roles: backup.roles, shifts, leaveRequests: {}, shiftHistory: {}, dates: WEEK, seed: 5
+    });
+
+    Object.values(schedule).forEach(day => {
+      Object.entries(day).forEach(([empId, empShifts]) => {
+        if (empShifts.some(s => s.id === dispatchOne.id)) expect(empId).toBe(ken.id);
+      });
+    });
+    const unfilled = diagnostics.filter(d => d.type === 'unfilled' && d.shiftId === dispatchOne.id);
+    expect(unfilled.length).toBeGreaterThan(0);
+    expect(unfilled[0].message).toContain('missing skills: forklift');
+  });
+});
+
+describe('staffing levels', () => {
+  it('lets shift limits override role limits', () => {
+    const limited = role({ minEmployees: 1, maxEmployees: 3 });
+    expect(getStaffingLimits(limited, shift())).toEqual({ min: 1, max: 3 });
+    expect(getStaffingLimits(limited, shift({ maxEmployees: 2 }))).toEqual({ min: 1, max: 2 });
+    expect(getStaffingLimits(role(), shift())).toEqual({ min: null, max: null });
+  });
+
+  it('creates at least the minimum and at most the maximum slots per day', () => {
+    const employees = [employee({ id: 'a' }), employee({ id: 'b' }), employee({ id: 'c' })];
+    const create = (overrides) => createShiftSlots({
+      roles: [role()],
+      shifts: [shift(overrides)],
+      employees,
+      dates: WEEK,
+      shiftAllocation: { r1: { s1: 10 } },
+      random: stableRandom
+    });
+    expect(create({ minEmployees: 3 })).toHaveLength(15);
+    expect(create({ maxEmployees: 1 })).toHaveLength(5);
+  });
+
+  it('never tops up a shift beyond its maximum', () => {
+    const employees = [employee({ id: 'a' }), employee({ id: 'b' })];
+    const { schedule } = buildSchedule({
+      employees,
+      roles: [role()],
+      shifts: [shift({ maxEmployees: 1 })],
+      dates: WEEK,
+      seed: 3
+    });
+    Object.values(schedule).forEach(day => {
+      expect(Object.keys(day)).toHaveLength(1);
+    });
+  });
+
+  it('flags days where the minimum cannot be met because of leave', () => {
+    const employees = [employee({ id: 'a' }), employee({ id: 'b' })];
+    const { diagnostics } = buildSchedule({
+      employees,
+      roles: [role({ minEmployees: 2 })],
+      shifts: [shift()],
+      leaveRequests: approvedLeave('b', '2025-12-03'),
+      dates: WEEK,
+      seed: 3
+    });
+    const understaffed = diagnostics.filter(d => d.type === 'understaffed');
+    expect(understaffed).toEqual([
+      expect.objectContaining({ date: '2025-12-03', shiftId: 's1', required: 2, assigned: 1 })
+    ]);
+  });
+});
+
+describe('minimum rest period', () => {
+  const late = shift({ id: 'late', name: 'Second', startTime: '15:00', endTime: '00:00' });
+  const early = shift({ id: 'early', name: 'First', startTime: '06:00', endTime: '15:00' });
+  const monday = { date: '2025-12-01', dayName: 'Monday', role: role() };
+  const tuesday = { date: '2025-12-02', dayName: 'Tuesday', role: role() };
+
+  it('blocks a shift that starts too soon after the previous one ends', () => {
+    const emp = employee();
+    const state = { ...newState([emp]), minRestHours: 11 };
+    state.slots.push({ ...monday, shift: late, employeeId: 'e1', filled: true });
+
+    expect(getIneligibilityReason(state, {}, emp, { ...tuesday, shift: early })).toBe('less than 11h rest between shifts');
+    expect(getIneligibilityReason(state, {}, emp, { ...tuesday, shift: late })).toBeNull();
+    expect(getIneligibilityReason({ ...state, minRestHours: 0 }, {}, emp, { ...tuesday, shift: early })).toBeNull();
+  });
+
+  it('applies between split shifts on the same day', () => {
+    const emp = employee({ dailyMaxHours: 12 });
+    const morning = shift({ id: 'morning', startTime: '06:00', endTime: '10:00', hours: 4 });
+    const afternoon = shift({ id: 'afternoon', startTime: '12:00', endTime: '16:00', hours: 4 });
+    const state = { ...newState([emp]), minRestHours: 11 };
+    state.slots.push({ ...monday, shift: morning, employeeId: 'e1', filled: true });
+
+    expect(getIneligibilityReason(state, {}, emp, { ...monday, shift: afternoon })).toBe('less than 11h rest between shifts');
+    expect(getIneligibilityReason({ ...state, minRestHours: 2 }, {}, emp, { ...monday, shift: afternoon })).toBeNull();
+  });
+
+  it('applies in the relaxed fallback pass', () => {
+    const emp = employee({ shiftsPerWeek: 1 });
+    const state = { ...newState([emp]), minRestHours: 11 };
+    state.slots = [
+      { ...monday, shift: late, employeeId: null, filled: false },
+      { ...tuesday, shift: early, employeeId: null, filled: false }
+    ];
+
+    assignSlots(state, { employees: [emp], leaveRequests: {}, random: stableRandom });
+
+    expect(state.slots.map(s => s.employeeId)).toEqual(['e1', null]);
+    expect(state.diagnostics[0].message).toContain('less than 11h rest');
+  });
+
+  it('applies in the STEP 5 top-up pass', () => {
+    const emp = employee({ shiftsPerWeek: 2 });
+    const state = { ...newState([emp]), minRestHours: 11 };
+    state.slots.push({ ...monday, shift: late, employeeId: 'e1', filled: true });
+    state.shiftCounts.e1 = 1;
+
+    fillRemainingShifts(state, {
+      employees: [emp], roles: [role()], shifts: [early], dates: WEEK.slice(0, 3), leaveRequests: {}
+    });
+
+    expect(state.slots[1].date).toBe('2025-12-03');
+  });
+
+  it('respects assignments in the existing schedule across week boundaries', () => {
+    const emp = employee({ shiftsPerWeek: 1 });
+    const { schedule } = buildSchedule({
+      employees: [emp],
+      roles: [role()],
+      shifts: [early],
+      dates: WEEK,
+      existingSchedule: { '2025-11-30': { e1: [late] } },
+      minRestHours: 11,
+      seed: 1
+    });
+    expect(schedule['2025-12-01']).toBeUndefined();
+    expect(schedule['2025-12-02']).toEqual({ e1: [early] });
+  });
+});
+
+describe('overnight shifts', () => {
+  const night = shift({ id: 'night', name: 'Night', startTime: '22:00', endTime: '06:00' });
+  const morning = shift({ id: 'morning', name: 'Morning', startTime: '08:00', endTime: '12:00', hours: 4 });
+
+  it('counts hours after midnight against the next day', () => {
+    const emp = employee();
+    const state = newState([emp]);
+    state.slots.push({ date: '2025-12-01', dayName: 'Monday', shift: night, role: role(), employeeId: 'e1', filled: true });
+
+    const tuesday = { date: '2025-12-02', dayName: 'Tuesday', role: role() };
+    expect(getIneligibilityReason(state, {}, emp, { ...tuesday, shift: morning })).toBe('daily max hours exceeded');
+
+    emp.dailyMaxHours = 10;
+    expect(getIneligibilityReason(state, {}, emp, { ...tuesday, shift: morning })).toBeNull();
+  });
+
+  it('needs the employee off leave on the day the shift runs into', () => {
+    const emp = employee();
+    const slot = { date: '2025-12-01', dayName: 'Monday', shift: night, role: role() };
+    expect(getIneligibilityReason(newState([emp]), approvedLeave('e1', '2025-12-02'), emp, slot)).toBe('on leave');
+  });
+});
+
+describe('availability and preferences', () => {
+  const late = shift({ id: 'late', name: 'Late', startTime: '14:00', endTime: '22:00' });
+
+  it('treats availability as a hard constraint', () => {
+    const emp = employee({ availability: [{ day: 'Monday', rule: 'not-before', time: '08:00' }, { day: '', rule: 'never' }] });
+    const monday = { date: '2025-12-01', dayName: 'Monday', shift: shift(), role: role() };
+    expect(getIneligibilityReason(newState([emp]), {}, emp, monday)).toBe('not available: not before 08:00 on Mondays');
+
+    const { schedule } = buildSchedule({
+      employees: [employee({ availability: [{ day: 'Wednesday', rule: 'never' }] })],
+      roles: [role()],
+      shifts: [shift()],
+      dates: WEEK,
+      seed: 1
+    });
+    expect(schedule['2025-12-03']).toBeUndefined();
+    expect(Object.keys(schedule)).toHaveLength(4);
+  });
+
+  it('weighs preferences against rotation', () => {
+    const slots = () => [{
+      date: '2025-12-01', dayName: 'Monday', shift: late, role: role(), employeeId: null, filled: false
+    }];
+    const history = { a: { late: 1 }, b: { late: 2 } };
+    const run = (preferences) => {
+      const employees = [employee({ id: 'a', name: 'A' }), employee({ id: 'b', name: 'B', preferences })];
+      const state = newState(employees, history);
+      state.slots = slots();
+      assignSlots(state, { employees, leaveRequests: {}, random: stableRandom });
+      return state.slots[0].employeeId;
+    };
+
+    expect(run([])).toBe('a');
+    expect(run([{ shiftId: 'late', type: 'prefer', weight: 1 }])).toBe('a');
+    expect(run([{ shiftId: 'late', type: 'prefer', weight: 2 }])).toBe('b');
+  });
+
+  it('reports how many shifts matched each employee\'s preferences', () => {
+    // Both want the day shift: Bob's heavier preference gets him more of
+    // them, while rotation still gives Ann some
+    const { diagnostics } = buildSchedule({
+      employees: [
+        employee({ preferences: [{ shiftId: 'late', type: 'avoid', weight: 1 }] }),
+        employee({ id: 'e2', name: 'Bob', preferences: [{ shiftId: 's1', type: 'prefer', weight: 2 }] })
+      ],
+      roles: [role()],
+      shifts: [shift(), late],
+      dates: WEEK,
+      random: stableRandom
+    });
+
+    expect(diagnostics.filter(d => d.type === 'preferences')).toEqual([
+      expect.objectContaining({ employeeId: 'e1', total: 5, honored: 2, avoided: 3, reason: '2 of 5 shifts matched preferences' }),
+      expect.objectContaining({ employeeId: 'e2', total: 5, honored: 3, preferred: 3 })
+    ]);
+  });
+});
+
+describe('diagnostics', () => {
+  it('reports employees under their target hours with the blocking reason', () => {
+    const emp = employee({ weeklyHours: 40, shiftsPerWeek: 5 });
+    const { diagnostics } = buildSchedule({
+      employees: [emp],
+      roles: [role()],
+      shifts: [shift()],
+      leaveRequests: approvedLeave('e1', '2025-12-01', '2025-12-02'),
+      dates: WEEK,
+      seed: 1
+    });
+    const under = diagnostics.find(d => d.type === 'under-hours');
+    expect(under).toMatchObject({ employeeId: 'e1', scheduledHours: 24, targetHours: 40 });
+    expect(under.reason).toContain('on leave (2)');
+  });
+
+  it('reports employees over their target hours after relaxed assignments', () => {
+    const employees = [employee({ id: 'a', weeklyHours: 16, shiftsPerWeek: 2 })];
+    const { diagnostics } = buildSchedule({
+      employees, roles: [role()], shifts: [shift()], dates: WEEK, seed: 1
+    });
+    expect(diagnostics.filter(d => d.type === 'relaxed')).toHaveLength(3);
+    expect(diagnostics.find(d => d.type === 'over-hours')).toMatchObject({
+      employeeId: 'a',
+      scheduledHours: 40,
+      reason: 'assigned beyond weekly shift limit to cover unfilled slots'
+    });
+  });
+
+  it('explains understaffed days with the reasons the slots stayed open', () => {
+    const { diagnostics } = buildSchedule({
+      employees: [employee()],
+      roles: [role({ minEmployees: 1 })],
+      shifts: [shift()],
+      leaveRequests: approvedLeave('e1', '2025-12-03'),
+      dates: WEEK,
+      seed: 1
+    });
+    expect(diagnostics.find(d => d.type === 'understaffed')).toMatchObject({
+      date: '2025-12-03',
+      reason: 'on leave (1)'
+    });
+  });
+});
+
+describe('validateAssignment', () => {
+  const late = shift({ id: 'late', name: 'Late', startTime: '15:00', endTime: '00:00' });
+  const data = {
+    employees: [employee({ id: 'a', shiftsPerWeek: 2 }), employee({ id: 'b', roleId: 'r2' })],
+    roles: [role(), role({ id: 'r2', name: 'Dispatch' })],
+    schedule: { '2025-12-01': { a: [late] }, '2025-12-03': { a: [shift()] } },
+    minRestHours: 11
+  };
+
+  it('applies the generator rules to a manual assignment', () => {
+    expect(validateAssignment(data, { employeeId: 'a', date: '2025-12-02', shift: shift() }))
+      .toBe('weekly shift limit reached');
+    expect(validateAssignment(data, { employeeId: 'b', date: '2025-12-02', shift: shift() }))
+      .toBe('shift belongs to another role');
+    expect(validateAssignment({ ...data, leaveRequests: approvedLeave('a', '2025-12-05') },
+      { employeeId: 'a', date: '2025-12-05', shift: shift() })).toBe('on leave');
+  });
+
+  it('ignores excluded assignments, such as the one being moved', () => {
+    const exclude = [{ employeeId: 'a', date: '2025-12-03', shiftId: 's1' }];
+    expect(validateAssignment(data, { employeeId: 'a', date: '2025-12-02', shift: shift() }, exclude))
+      .toBe('less than 11h rest between shifts');
+    expect(validateAssignment(data, { employeeId: 'a', date: '2025-12-04', shift: shift() }, exclude)).toBeNull();
+  });
+});
+
+describe('pinned assignments', () => {
+  const employees = [employee({ id: 'a', name: 'Ann' }), employee({ id: 'b', name: 'Bob' })];
+  const input = {
+    employees,
+    roles: [role({ maxEmployees: 1 })],
+    shifts: [shift()],
+    dates: WEEK,
+    random: stableRandom
+  };
+
+  it('keeps pinned assignments and fills only the remaining slots', () => {
+    const pinnedSchedule = { '2025-12-01': { b: [shift()] }, '2025-12-02': { b: [shift()] } };
+    const result = buildSchedule({ ...input, pinnedSchedule });
+
+    expect(result.schedule['2025-12-01']).toEqual({ b: [shift()] });
+    expect(result.schedule['2025-12-02']).toEqual({ b: [shift()] });
+    WEEK.slice(2, 5).forEach(date => {
+      expect(Object.values(result.schedule[date]).flat()).toHaveLength(1);
+    });
+  });
+
+  it('counts pinned assignments toward shift counts and history', () => {
+    const pinnedSchedule = Object.fromEntries(WEEK.slice(0, 5).map(date => [date, { b: [shift()] }]));
+    const result = buildSchedule({ ...input, employees: [employees[0], employee({ id: 'b', name: 'Bob', shiftsPerWeek: 2 })], pinnedSchedule });
+
+    expect(result.shiftHistory.b).toEqual({ s1: 5 });
+    expect(result.shiftHistory.a).toEqual({});
+    expect(result.diagnostics.some(d => d.type === 'unfilled')).toBe(false);
+  });
+
+  it('keeps a pinned assignment even when the shift is already at its maximum', () => {
+    const pinnedSchedule = { '2025-12-01': { a: [shift()], b: [shift()] } };
+    const result = buildSchedule({ ...input, pinnedSchedule });
+    expect(result.schedule['2025-12-01']).toEqual({ a: [shift()], b: [shift()] });
+  });
+
+  it('ignores pins outside the generated dates', () => {
+    const result = buildSchedule({ ...input, pinnedSchedule: { '2025-12-08': { b: [shift()] } } });
+    expect(result.schedule['2025-12-08']).toBeUndefined();
+  });
+});
@@ -0,0 +1,61 @@
+// App-wide settings, stored with the rest of the data under `settings`
+
+export const DEFAULT_SETTINGS = {
+  // Minimum hours off between the end of one shift and the start of the next
+  minRestHours: 11,
+
+  // Rotation fairness looks at the assignments of this many weeks before
+  // the week being generated (0 = the all-time shiftHistory counts)
+  rotationWindowWeeks: 8,
+
+  // How clock times are rated; roles and shifts can override any of these
+  // (shift over role over global). Arrivals up to graceMinutes after the start
+  // are on time, after lateAfterMinutes late and after halfDayAfterMinutes a
+  // half day. Time before earlyArrivalLimitMinutes ahead of the start is not
+  // counted as worked. Clock times are rounded to roundingMinutes (0 = off).
+  // Nobody clocked in noShowAfterMinutes after the start makes a no-show.
+  attendancePolicy: {
+    graceMinutes: 0,
+    lateAfterMinutes: 15,
+    halfDayAfterMinutes: 240,
+    earlyArrivalLimitMinutes: 60,
+    earlyLeaveMinutes: 15,
+    overtimeMinutes: 15,
+    roundingMinutes: 0,
+    roundingMode: 'nearest',
+    noShowAfterMinutes: 60
+  },
+
+  // How many days back missing clock-ins are turned into no-shows, so old
+  // imported schedules don't fill up with absences
+  noShowLookbackDays: 7,
+
+  // Leave accrual per leave type: 'monthly' credits `days` every month,
+  // 'hours' credits `days` for every `perHours` hours worked and 'none'
+  // keeps no balance. accrualStart (YYYY-MM-DD) defaults to January 1st.
+  // Requests over the balance are either blocked or flagged for review.
+  leavePolicy: {
+    accrualStart: '',
+    overBalance: 'block',
+    types: {
+      vacation: { method: 'monthly', days: 2, perHours: 160 },
+      sick: { method: 'monthly', days: 1, perHours: 160 },
+      unpaid: { method: 'none', days: 0, perHours: 160 },
+      training: { method: 'none', days: 0, perHours: 160 }
+    }
+  }
+};
+
+// Fill in defaults for settings saved by older versions
+export const withDefaultSettings = (settings) => {
+  const merged = { ...DEFAULT_SETTINGS, ...(settings || {}) };
+  return {
+    ...merged,
+    attendancePolicy: { ...DEFAULT_SETTINGS.attendancePolicy, ...merged.attendancePolicy },
+    leavePolicy: {
+      ...DEFAULT_SETTINGS.leavePolicy,
+      ...merged.leavePolicy,
+      types: { ...DEFAULT_SETTINGS.leavePolicy.types, ...merged.leavePolicy?.types }
+    }
+  };
+};
@@ -0,0 +1,82 @@
+// Shift time helpers
+// Shift times are "HH:MM" strings. A shift whose end time is earlier than its
+// start time runs past midnight into the next day; it belongs to the date it
+// starts on, but its hours count against both days.
+
+import { addDays } from './dates';
+
+const MINUTE = 60 * 1000;
+
+export const timeToMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Paid hours for a shift: time between start and end, less the break
+export const calculateShiftHours = (start, end, breakMinutes = 0) => {
+  let minutes = timeToMinutes(end) - timeToMinutes(start);
+  if (minutes < 0) minutes += 24 * 60;
+  minutes -= breakMinutes;
+  return minutes / 60;
+};
+
+// Whether the shift runs past midnight (ending exactly at 00:00 does not count)
+export const isOvernightShift = (shift) => {
+  const end = timeToMinutes(shift.endTime);
+  return end > 0 && end < timeToMinutes(shift.startTime);
+};
+
+// Whether the shift runs up to or past midnight, e.g. 15:00-00:00 or 22:00-06:00
+export const isNightShift = (shift) => timeToMinutes(shift.endTime) < timeToMinutes(shift.startTime);
+
+// "06:00-15:00", with "(+1)" when the shift ends on the next day
+export const formatShiftTimes = (shift) => {
+  return `${shift.startTime}-${shift.endTime}${isOvernightShift(shift) ? ' (+1)' : ''}`;
+};
+
+// Start and end of a shift worked on the given ISO date, as UTC timestamps (ms)
+export const getShiftWindow = (shift, date) => {
+  const dayStart = Date.parse(`${date}T00:00:00Z`);
+  const start = dayStart + timeToMinutes(shift.startTime) * MINUTE;
+  let end = dayStart + timeToMinutes(shift.endTime) * MINUTE;
+  if (end < start) end += 24 * 60 * MINUTE;
+  return { start, end };
+};
+
+// Hours between the end of one shift and the start of the other (negative if they overlap)
+export const getRestHoursBetween = (first, second) => {
+  const a = getShiftWindow(first.shift, first.date);
+  const b = getShiftWindow(second.shift, second.date);
+  const gap = a.start <= b.start ? b.start - a.end : a.start - b.end;
+  return gap / (60 * MINUTE);
+};
+
+// Paid hours of a shift started on date, split by calendar day in proportion
+// to the time worked on each side of midnight
+export const getShiftHoursByDate = (shift, date) => {
+  const { start, end } = getShiftWindow(shift, date);
+  const nextDay = addDays(date, 1);
+  const midnight = Date.parse(`${nextDay}T00:00:00Z`);
+  if (end <= midnight) return { [date]: shift.hours };
+
+  const ratio = (midnight - start) / (end - start);
+  return {
+    [date]: shift.hours * ratio,
+    [nextDay]: shift.hours * (1 - ratio)
+  };
+};
+
+// Minutes from the shift start to a clock time (negative = early), using the
+// nearest occurrence of that time: clocking in at 23:55 for a 00:00 start is
+// 5 minutes early, not 23h55m late
+export const getMinutesFromShiftStart = (shift, time) => {
+  const diff = timeToMinutes(time) - timeToMinutes(shift.startTime);
+  return ((diff + 720) % 1440 + 1440) % 1440 - 720;
+};
+
+// Minutes from the shift end to a clock time (negative = before the end),
+// using the nearest occurrence of that time like getMinutesFromShiftStart
+export const getMinutesFromShiftEnd = (shift, time) => {
+  const diff = timeToMinutes(time) - timeToMinutes(shift.endTime);
+  return ((diff + 720) % 1440 + 1440) % 1440 - 720;
+};
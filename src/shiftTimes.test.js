@@ -0,0 +1,70 @@
+import { describe, it, expect } from 'vitest';
+import {
+  calculateShiftHours,
+  formatShiftTimes,
+  getMinutesFromShiftEnd,
+  getMinutesFromShiftStart,
+  getRestHoursBetween,
+  getShiftHoursByDate,
+  getShiftWindow,
+  isNightShift,
+  isOvernightShift
+} from './shiftTimes';
+
+const day = { startTime: '06:00', endTime: '15:00' };
+const late = { startTime: '15:00', endTime: '00:00' };
+
+describe('shift times', () => {
+  it('ends shifts that cross midnight on the next day', () => {
+    const { start, end } = getShiftWindow(late, '2025-12-01');
+    expect(new Date(start).toISOString()).toBe('2025-12-01T15:00:00.000Z');
+    expect(new Date(end).toISOString()).toBe('2025-12-02T00:00:00.000Z');
+  });
+
+  it('measures rest from the end of one shift to the start of the next', () => {
+    const first = { date: '2025-12-01', shift: late };
+    const second = { date: '2025-12-02', shift: day };
+    expect(getRestHoursBetween(first, second)).toBe(6);
+    expect(getRestHoursBetween(second, first)).toBe(6);
+    expect(getRestHoursBetween({ date: '2025-12-01', shift: day }, first)).toBe(0);
+  });
+});
+
+describe('overnight shifts', () => {
+  const night = { startTime: '22:00', endTime: '06:00', hours: 8 };
+
+  it('calculates paid hours across midnight', () => {
+    expect(calculateShiftHours('22:00', '06:00')).toBe(8);
+    expect(calculateShiftHours('15:00', '00:00', 60)).toBe(8);
+  });
+
+  it('splits hours between the start day and the next day', () => {
+    expect(getShiftHoursByDate(night, '2025-12-01')).toEqual({ '2025-12-01': 2, '2025-12-02': 6 });
+    expect(getShiftHoursByDate({ ...late, hours: 8 }, '2025-12-01')).toEqual({ '2025-12-01': 8 });
+  });
+
+  it('compares clock times with the nearest shift start', () => {
+    const midnight = { startTime: '00:00', endTime: '08:00' };
+    expect(getMinutesFromShiftStart(midnight, '23:55')).toBe(-5);
+    expect(getMinutesFromShiftStart(midnight, '00:20')).toBe(20);
+    expect(getMinutesFromShiftStart(day, '06:16')).toBe(16);
+  });
+
+  it('compares clock times with the nearest shift end', () => {
+    expect(getMinutesFromShiftEnd(late, '23:30')).toBe(-30);
+    expect(getMinutesFromShiftEnd(late, '00:45')).toBe(45);
+    expect(getMinutesFromShiftEnd(day, '14:00')).toBe(-60);
+  });
+
+  it('marks shifts that end the next day', () => {
+    expect(formatShiftTimes(night)).toBe('22:00-06:00 (+1)');
+    expect(formatShiftTimes(day)).toBe('06:00-15:00');
+  });
+
+  it('counts a shift ending at midnight as a night shift but not as overnight', () => {
+    expect(isNightShift(late)).toBe(true);
+    expect(isOvernightShift(late)).toBe(false);
+    expect(isNightShift(night)).toBe(true);
+    expect(isNightShift(day)).toBe(false);
+  });
+});
@@ -0,0 +1,175 @@
+// Shift versions
+// Every change to a shift definition is kept as a version, effective from
+// a date: { ...shift, version, effectiveFrom }. shiftVersions maps shift ids
+// to their versions, oldest first, and outlives deleted shifts.
+//
+// Saved schedules reference shifts as { shiftId, version }. In memory the
+// references are resolved to shift copies (carrying their version), which is
+// what the scheduler, attendance and reports work with. Editing a shift moves
+// the copies from its effective date on to the new version, so past weeks
+// keep their original times and future weeks pick up the edit.
+
+const VERSION_FIELDS = ['version', 'effectiveFrom'];
+
+const getDefinition = (shift) => {
+  const definition = { ...shift };
+  VERSION_FIELDS.forEach(field => delete definition[field]);
+  return definition;
+};
+
+const isSameDefinition = (a, b) => {
+  const fields = new Set([...Object.keys(a), ...Object.keys(b)]);
+  VERSION_FIELDS.forEach(field => fields.delete(field));
+  return [...fields].every(field => JSON.stringify(a[field]) === JSON.stringify(b[field]));
+};
+
+// The shift as scheduled: its definition plus the version number
+const toScheduledShift = (version) => ({ ...getDefinition(version), version: version.version });
+
+export const getShiftVersion = (shiftVersions, shiftId, version) => {
+  return (shiftVersions[shiftId] || []).find(v => v.version === version) || null;
+};
+
+// The version in effect on a date
+export const getShiftVersionOn = (shiftVersions, shiftId, date) => {
+  const versions = shiftVersions[shiftId] || [];
+  const effective = versions.filter(v => v.effectiveFrom <= date);
+  const version = effective[effective.length - 1] || versions[0];
+  return version ? toScheduledShift(version) : null;
+};
+
+/**
+ * Record a shift definition as a new version effective from a date ('' =
+ * from the start). previous seeds the history of shifts that have none yet.
+ * Versions from the same date on are superseded and dropped. Returns
+ * { shiftVersions, shift } with the shift carrying its version number.
+ */
+export const recordShiftVersion = (shiftVersions, shift, effectiveFrom = '', previous = null) => {
+  let versions = shiftVersions[shift.id] || [];
+  if (versions.length === 0 && previous) {
+    versions = [{ ...getDefinition(previous), version: 1, effectiveFrom: '' }];
+  }
+
+  const latest = versions[versions.length - 1];
+  if (latest && isSameDefinition(latest, shift)) {
+    return { shiftVersions: { ...shiftVersions, [shift.id]: versions }, shift: { ...shift, version: latest.version } };
+  }
+
+  const kept = versions.filter(v => v.effectiveFrom < effectiveFrom);
+  const number = versions.reduce((max, v) => Math.max(max, v.version), 0) + 1;
+  const version = { ...getDefinition(shift), version: number, effectiveFrom: kept.length === 0 ? '' : effectiveFrom };
+
+  return {
+    shiftVersions: { ...shiftVersions, [shift.id]: [...kept, version] },
+    shift: toScheduledShift(version)
+  };
+};
+
+// Scheduled copies of the shift on or after fromDate take its new version
+export const applyShiftVersion = (schedule, shift, fromDate = '') => {
+  const newSchedule = { ...schedule };
+  Object.keys(schedule).filter(date => date >= fromDate).forEach(date => {
+    newSchedule[date] = Object.fromEntries(Object.entries(schedule[date]).map(([employeeId, empShifts]) => [
+      employeeId,
+      empShifts.map(s => (s.id === shift.id ? { ...shift } : s))
+    ]));
+  });
+  return newSchedule;
+};
+
+// Record every shift of a bulk change (merge import, role reassignment) as
+// a version from fromDate and move the schedule to it. previousShifts are
+// the definitions before the change.
+export const recordShiftChanges = ({ shiftVersions, shifts, schedule }, previousShifts, fromDate) => {
+  let newVersions = shiftVersions;
+  let newSchedule = schedule;
+  const newShifts = shifts.map(shift => {
+    const result = recordShiftVersion(newVersions, shift, fromDate, previousShifts.find(s => s.id === shift.id));
+    newVersions = result.shiftVersions;
+    newSchedule = applyShiftVersion(newSchedule, result.shift, fromDate);
+    return result.shift;
+  });
+  return { shiftVersions: newVersions, shifts: newShifts, schedule: newSchedule };
+};
+
+const mapSchedule = (schedule, mapShift) => {
+  return Object.fromEntries(Object.entries(schedule).map(([date, day]) => [
+    date,
+    Object.fromEntries(Object.entries(day).map(([employeeId, empShifts]) => [
+      employeeId,
+      empShifts.map(entry => mapShift(entry, date)).filter(Boolean)
+    ]))
+  ]));
+};
+
+// The schedule as saved: { shiftId, version } instead of shift copies
+export const toScheduleRefs = (schedule) => {
+  return mapSchedule(schedule, shift => ({ shiftId: shift.id, version: shift.version || 1 }));
+};
+
+// References back to shift copies, falling back to the current definition
+// for versions that were never recorded. Unknown shifts are dropped.
+export const resolveScheduleRefs = (schedule, shiftVersions, shifts) => {
+  return mapSchedule(schedule, ({ shiftId, version }) => {
+    const recorded = getShiftVersion(shiftVersions, shiftId, version);
+    if (recorded) return toScheduledShift(recorded);
+    const current = shifts.find(s => s.id === shiftId);
+    return current ? { ...current, version } : null;
+  });
+};
+
+/**
+ * Turn a schedule of embedded shift copies (saved before versioning) into
+ * references. The distinct definitions each shift was scheduled with become
+ * its versions, effective from the first date they were used. A current
+ * definition that differs from all of them becomes a new version from today,
+ * and the schedule from today on is moved to it.
+ */
+export const migrateScheduleToRefs = (schedule, shifts, shiftVersions = {}, today = '') => {
+  const versions = { ...shiftVersions };
+  Object.keys(schedule).sort().forEach(date => {
+    Object.values(schedule[date]).flat().forEach(entry => {
+      if (entry.shiftId) return;
+      const list = versions[entry.id] || [];
+      if (!list.some(v => isSameDefinition(v, entry))) {
+        versions[entry.id] = [...list, { ...getDefinition(entry), version: list.length + 1, effectiveFrom: list.length === 0 ? '' : date }];
+      }
+    });
+  });
+
+  const refs = mapSchedule(schedule, entry => {
+    if (entry.shiftId) return entry;
+    return { shiftId: entry.id, version: versions[entry.id].find(v => isSameDefinition(v, entry)).version };
+  });
+
+  let newShifts = shifts;
+  let newVersions = versions;
+  let newRefs = refs;
+  shifts.forEach(shift => {
+    const latest = (newVersions[shift.id] || []).at(-1);
+    const result = recordShiftVersion(newVersions, shift, today);
+    newVersions = result.shiftVersions;
+    newShifts = newShifts.map(s => (s.id === shift.id ? result.shift : s));
+    if (latest && latest.version !== result.shift.version) {
+      newRefs = mapSchedule(newRefs, (ref, date) => (
+        ref.shiftId === shift.id && date >= today ? { shiftId: shift.id, version: result.shift.version } : ref
+      ));
+    }
+  });
+
+  return { schedule: newRefs, shifts: newShifts, shiftVersions: newVersions };
+};
+
+/**
+ * Saved data to what the app works with: the schedule resolved to shift
+ * copies, shifts carrying their current version and every shift's versions.
+ * Older data with embedded copies is migrated first.
+ */
+export const loadVersionedSchedule = ({ schedule = {}, shifts = [], shiftVersions = {} }, today = '') => {
+  const migrated = migrateScheduleToRefs(schedule, shifts, shiftVersions, today);
+  return {
+    schedule: resolveScheduleRefs(migrated.schedule, migrated.shiftVersions, migrated.shifts),
+    shifts: migrated.shifts,
+    shiftVersions: migrated.shiftVersions
+  };
+};
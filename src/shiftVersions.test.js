@@ -0,0 +1,92 @@
+import { describe, it, expect } from 'vitest';
+import {
+  applyShiftVersion,
+  getShiftVersionOn,
+  loadVersionedSchedule,
+  migrateScheduleToRefs,
+  recordShiftVersion,
+  resolveScheduleRefs,
+  toScheduleRefs
+} from './shiftVersions';
+
+const day = { id: 's', name: 'Day', roleId: 'r', startTime: '06:00', endTime: '14:00', hours: 8 };
+const later = { ...day, startTime: '07:00', endTime: '15:00' };
+
+const scheduleOf = (entries) => Object.fromEntries(entries.map(([date, shift]) => [date, { e: [shift] }]));
+
+describe('shift versions', () => {
+  it('records edits as versions effective from a date', () => {
+    const first = recordShiftVersion({}, day);
+    expect(first.shift).toEqual({ ...day, version: 1 });
+
+    const second = recordShiftVersion(first.shiftVersions, later, '2025-12-08');
+    expect(second.shift.version).toBe(2);
+    expect(getShiftVersionOn(second.shiftVersions, 's', '2025-12-01').startTime).toBe('06:00');
+    expect(getShiftVersionOn(second.shiftVersions, 's', '2025-12-08').startTime).toBe('07:00');
+  });
+
+  it('keeps the version when nothing changed', () => {
+    const first = recordShiftVersion({}, day);
+    const again = recordShiftVersion(first.shiftVersions, { ...day, version: 1 }, '2025-12-08');
+    expect(again.shift.version).toBe(1);
+    expect(again.shiftVersions.s).toHaveLength(1);
+  });
+
+  it('replaces versions from the same date on', () => {
+    let versions = recordShiftVersion({}, day).shiftVersions;
+    versions = recordShiftVersion(versions, later, '2025-12-08').shiftVersions;
+    versions = recordShiftVersion(versions, { ...day, endTime: '16:00' }, '2025-12-08').shiftVersions;
+
+    expect(versions.s.map(v => [v.version, v.effectiveFrom])).toEqual([[1, ''], [3, '2025-12-08']]);
+  });
+
+  it('seeds the history of unversioned shifts from the previous definition', () => {
+    const { shiftVersions } = recordShiftVersion({}, later, '2025-12-08', day);
+    expect(shiftVersions.s.map(v => v.startTime)).toEqual(['06:00', '07:00']);
+  });
+
+  it('moves scheduled copies from the effective date on', () => {
+    const schedule = scheduleOf([['2025-12-01', { ...day, version: 1 }], ['2025-12-08', { ...day, version: 1 }]]);
+    const result = applyShiftVersion(schedule, { ...later, version: 2 }, '2025-12-08');
+
+    expect(result['2025-12-01'].e[0].startTime).toBe('06:00');
+    expect(result['2025-12-08'].e[0]).toEqual({ ...later, version: 2 });
+  });
+
+  it('saves references and resolves them back to shift copies', () => {
+    let versions = recordShiftVersion({}, day).shiftVersions;
+    versions = recordShiftVersion(versions, later, '2025-12-08').shiftVersions;
+    const schedule = scheduleOf([['2025-12-01', { ...day, version: 1 }], ['2025-12-08', { ...later, version: 2 }]]);
+
+    const refs = toScheduleRefs(schedule);
+    expect(refs['2025-12-01'].e).toEqual([{ shiftId: 's', version: 1 }]);
+    expect(resolveScheduleRefs(refs, versions, [{ ...later, version: 2 }])).toEqual(schedule);
+  });
+
+  it('drops references to shifts that no longer exist', () => {
+    const refs = { '2025-12-01': { e: [{ shiftId: 'gone', version: 1 }] } };
+    expect(resolveScheduleRefs(refs, {}, [])).toEqual({ '2025-12-01': { e: [] } });
+  });
+
+  it('migrates embedded copies to versions in the order they were used', () => {
+    const schedule = scheduleOf([['2025-12-08', later], ['2025-12-01', day], ['2025-12-15', later]]);
+    const result = migrateScheduleToRefs(schedule, [later], {}, '2025-12-20');
+
+    expect(result.shiftVersions.s.map(v => [v.version, v.effectiveFrom, v.startTime])).toEqual([
+      [1, '', '06:00'],
+      [2, '2025-12-08', '07:00']
+    ]);
+    expect(result.schedule['2025-12-01'].e).toEqual([{ shiftId: 's', version: 1 }]);
+    expect(result.schedule['2025-12-15'].e).toEqual([{ shiftId: 's', version: 2 }]);
+    expect(result.shifts[0].version).toBe(2);
+  });
+
+  it('moves migrated weeks from today on to a changed current definition', () => {
+    const schedule = scheduleOf([['2025-12-01', day], ['2025-12-22', day]]);
+    const result = loadVersionedSchedule({ schedule, shifts: [later] }, '2025-12-20');
+
+    expect(result.shifts[0].version).toBe(2);
+    expect(result.schedule['2025-12-01'].e[0].startTime).toBe('06:00');
+    expect(result.schedule['2025-12-22'].e[0]).toEqual({ ...later, version: 2 });
+  });
+});
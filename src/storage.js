@@ -0,0 +1,288 @@
+// Data storage
+// JSONStorage keeps the app's data behind a storage adapter. Every adapter
+// implements the same async interface:
+//   load()                        -> the saved data object, or null if none
+//   save(data)                    -> replace everything
+//   updateSection(section, value) -> replace one top-level section
+//   clear()                       -> remove everything
+// The adapter is chosen at startup with VITE_STORAGE_BACKEND (local,
+// indexeddb or rest) and, for rest, VITE_STORAGE_URL.
+// The app saves only the sections that changed since the data was loaded
+// or last saved. The rest adapter sends the dataset's ETag with every
+// write and throws StorageConflictError when another client saved since.
+
+import { downloadFile } from './exporters';
+
+export const STORAGE_KEY = 'shiftAppData';
+
+export const STORAGE_BACKENDS = {
+  local: 'Browser storage',
+  indexeddb: 'IndexedDB',
+  rest: 'Shared server'
+};
+
+export class StorageConflictError extends Error {
+  constructor(message = 'Another user saved the shared data since it was loaded.') {
+    super(message);
+    this.name = 'StorageConflictError';
+  }
+}
+
+const emptyData = () => ({
+  employees: [],
+  roles: [],
+  shifts: [],
+  schedule: {},
+  attendance: {},
+  shiftHistory: {}
+});
+
+// The whole dataset as one JSON string in localStorage
+export class LocalStorageAdapter {
+  constructor(storageArea = globalThis.localStorage, key = STORAGE_KEY) {
+    this.storageArea = storageArea;
+    this.key = key;
+  }
+
+  async load() {
+    const jsonString = this.storageArea.getItem(this.key);
+    return jsonString ? JSON.parse(jsonString) : null;
+  }
+
+  async save(data) {
+    this.storageArea.setItem(this.key, JSON.stringify(data, null, 2));
+  }
+
+  async updateSection(section, value) {
+    const data = (await this.load()) || {};
+    await this.save({ ...data, [section]: value });
+  }
+
+  async clear() {
+    this.storageArea.removeItem(this.key);
+  }
+}
+
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+// One record per top-level section, so saving a section does not rewrite
+// the whole dataset and larger schedules stay out of localStorage's quota
+export class IndexedDBAdapter {
+  constructor(databaseName = 'shiftApp', storeName = 'sections') {
+    this.databaseName = databaseName;
+    this.storeName = storeName;
+    this.database = null;
+  }
+
+  async open() {
+    if (!this.database) {
+      const request = indexedDB.open(this.databaseName, 1);
+      request.onupgradeneeded = () => request.result.createObjectStore(this.storeName);
+      this.database = await requestToPromise(request);
+    }
+    return this.database;
+  }
+
+  async run(mode, action) {
+    const database = await this.open();
+    const transaction = database.transaction(this.storeName, mode);
+    const result = action(transaction.objectStore(this.storeName));
+    await new Promise((resolve, reject) => {
+      transaction.oncomplete = resolve;
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+    return result;
+  }
+
+  async load() {
+    const [keys, values] = await this.run('readonly', store => Promise.all([
+      requestToPromise(store.getAllKeys()),
+      requestToPromise(store.getAll())
+    ]));
+    if (keys.length === 0) return null;
+    return Object.fromEntries(keys.map((key, idx) => [key, values[idx]]));
+  }
+
+  async save(data) {
+    await this.run('readwrite', store => {
+      store.clear();
+      Object.entries(data).forEach(([section, value]) => store.put(value, section));
+    });
+  }
+
+  async updateSection(section, value) {
+    await this.run('readwrite', store => store.put(value, section));
+  }
+
+  async clear() {
+    await this.run('readwrite', store => store.clear());
+  }
+}
+
+// The dataset on a server (see server/index.js), shared by every client using it
+export class RestAdapter {
+  constructor(url = '/api/data', fetchFn = globalThis.fetch.bind(globalThis)) {
+    this.url = url.replace(/\/$/, '');
+    this.fetch = fetchFn;
+    // ETag of the dataset as this client last loaded or saved it
+    this.etag = null;
+  }
+
+  async request(path, options = {}) {
+    const headers = {};
+    if (options.body) headers['Content-Type'] = 'application/json';
+    if (options.method && this.etag) headers['If-Match'] = this.etag;
+    const response = await this.fetch(`${this.url}${path}`, { ...options, headers });
+    if (response.status === 412) throw new StorageConflictError();
+    if (!response.ok) throw new Error(`Storage server responded ${response.status}`);
+    this.etag = response.headers.get('ETag') || this.etag;
+    return response.status === 204 ? null : response.json();
+  }
+
+  async load() {
+    const data = await this.request('');
+    return data && Object.keys(data).length > 0 ? data : null;
+  }
+
+  async save(data) {
+    await this.request('', { method: 'PUT', body: JSON.stringify(data) });
+  }
+
+  async updateSection(section, value) {
+    await this.request(`/${encodeURIComponent(section)}`, { method: 'PUT', body: JSON.stringify(value) });
+  }
+
+  async clear() {
+    await this.request('', { method: 'DELETE' });
+  }
+}
+
+// The adapter for a backend name, falling back to localStorage
+export const createStorageAdapter = ({ backend = 'local', url } = {}) => {
+  if (backend === 'indexeddb') return new IndexedDBAdapter();
+  if (backend === 'rest') return new RestAdapter(url);
+  return new LocalStorageAdapter();
+};
+
+// JSON data storage on top of an adapter. Results are { success, data } or
+// { success: false, error } so callers never have to catch.
+export class JSONStorage {
+  constructor(adapter, backend = 'local') {
+    this.adapter = adapter;
+    this.backend = backend;
+    // The data as last loaded or saved (null when nothing is stored), which
+    // saveChanges compares against. Until a load succeeds, or after a
+    // conflict, saveChanges refuses so the stored data is never replaced by
+    // data the app did not load.
+    this.saved = null;
+    this.loaded = false;
+    this.saving = Promise.resolve();
+  }
+
+  async saveData(data) {
+    try {
+      await this.adapter.save(data);
+      this.saved = data;
+      return { success: true, data };
+    } catch (error) {
+      console.error('Error saving data:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Save the sections of data that changed since it was last loaded or
+   * saved. Saves run one after another. A failed result has conflict: true
+   * when another client saved in the meantime; the data must then be
+   * loaded again before saving works.
+   */
+  saveChanges(data) {
+    const save = async () => {
+      if (!this.loaded) return { success: false, error: 'The stored data has not been loaded' };
+      try {
+        if (!this.saved) {
+          await this.adapter.save(data);
+        } else {
+          const previous = this.saved;
+          const sections = Object.keys(data).filter(section => JSON.stringify(data[section]) !== JSON.stringify(previous[section]));
+          for (const section of sections) {
+            await this.adapter.updateSection(section, data[section]);
+          }
+        }
+        this.saved = data;
+        return { success: true, data };
+      } catch (error) {
+        console.error('Error saving data:', error);
+        const conflict = error instanceof StorageConflictError;
+        if (conflict) this.loaded = false;
+        return { success: false, error: error.message, conflict };
+      }
+    };
+    this.saving = this.saving.then(save);
+    return this.saving;
+  }
+
+  // Load saved data, or the default structure if there is none yet. A
+  // failed load is reported rather than returned as empty data, which
+  // saving would then write over the stored data.
+  async loadData() {
+    try {
+      this.saved = await this.adapter.load();
+      this.loaded = true;
+      return { success: true, data: this.saved || emptyData() };
+    } catch (error) {
+      console.error('Error loading data:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Update specific section of data
+  async updateSection(section, data) {
+    try {
+      await this.adapter.updateSection(section, data);
+      return { success: true };
+    } catch (error) {
+      console.error('Error saving data:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Clear all data
+  async clearData() {
+    try {
+      await this.adapter.clear();
+      this.saved = null;
+      return { success: true };
+    } catch (error) {
+      console.error('Error clearing data:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Export data as downloadable JSON
+  exportData(data) {
+    const date = new Date().toISOString().split('T')[0];
+    downloadFile(JSON.stringify(data, null, 2), `shift-app-backup-${date}.json`, 'application/json');
+  }
+
+  // Read the text of an import file; it is checked (see dataSchema.js)
+  // and previewed before saveData overwrites anything
+  async readImportFile(file) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = (e) => resolve(e.target.result);
+      reader.onerror = reject;
+      reader.readAsText(file);
+    });
+  }
+}
+
+// The storage selected by the build/startup environment
+export const createStorage = (env = {}) => {
+  const backend = STORAGE_BACKENDS[env.VITE_STORAGE_BACKEND] ? env.VITE_STORAGE_BACKEND : 'local';
+  return new JSONStorage(createStorageAdapter({ backend, url: env.VITE_STORAGE_URL }), backend);
+};
@@ -0,0 +1,98 @@
+import { describe, it, expect } from 'vitest';
+import { JSONStorage, LocalStorageAdapter, RestAdapter, StorageConflictError, createStorage } from './storage';
+
+// Minimal stand-in for window.localStorage
+const createStorageArea = () => {
+  const items = {};
+  return {
+    getItem: key => items[key] ?? null,
+    setItem: (key, value) => { items[key] = String(value); },
+    removeItem: key => { delete items[key]; }
+  };
+};
+
+describe('storage', () => {
+  it('saves, updates and clears data through an adapter', async () => {
+    const storage = new JSONStorage(new LocalStorageAdapter(createStorageArea()));
+
+    expect((await storage.loadData()).data.employees).toEqual([]);
+
+    await storage.saveData({ employees: [{ id: '1' }], roles: [] });
+    await storage.updateSection('roles', [{ id: 'r' }]);
+    expect((await storage.loadData()).data).toEqual({ employees: [{ id: '1' }], roles: [{ id: 'r' }] });
+
+    await storage.clearData();
+    expect((await storage.loadData()).data.employees).toEqual([]);
+  });
+
+  it('reports adapter failures instead of throwing', async () => {
+    const failing = {
+      load: async () => { throw new Error('Server unreachable'); },
+      save: async () => { throw new Error('Quota exceeded'); }
+    };
+    const storage = new JSONStorage(failing);
+    const originalError = console.error;
+    console.error = () => {};
+    try {
+      expect(await storage.saveData({})).toEqual({ success: false, error: 'Quota exceeded' });
+      // Not empty data, which the app would then save over the stored data
+      expect(await storage.loadData()).toEqual({ success: false, error: 'Server unreachable' });
+    } finally {
+      console.error = originalError;
+    }
+  });
+
+  it('saves only the sections that changed, once the data is loaded', async () => {
+    const storage = new JSONStorage(new LocalStorageAdapter(createStorageArea()));
+    expect((await storage.saveChanges({ employees: [] })).success).toBe(false);
+
+    await storage.loadData();
+    await storage.saveChanges({ employees: [{ id: '1' }], roles: [] });
+
+    // Another tab's change to a section this one did not touch survives
+    await storage.adapter.updateSection('roles', [{ id: 'r' }]);
+    await storage.saveChanges({ employees: [{ id: '2' }], roles: [] });
+
+    expect((await storage.loadData()).data).toEqual({ employees: [{ id: '2' }], roles: [{ id: 'r' }] });
+  });
+
+  it('talks to the data server over REST', async () => {
+    const calls = [];
+    const fetchFn = async (url, options) => {
+      calls.push([options.method || 'GET', url, options.body, options.headers['If-Match']]);
+      return { ok: true, status: options.method ? 204 : 200, headers: new Headers({ ETag: `"${calls.length}"` }), json: async () => ({}) };
+    };
+    const adapter = new RestAdapter('http://pc-1:3001/api/data/', fetchFn);
+
+    expect(await adapter.load()).toBeNull();
+    await adapter.updateSection('shifts', []);
+    await adapter.clear();
+    expect(calls).toEqual([
+      ['GET', 'http://pc-1:3001/api/data', undefined, undefined],
+      ['PUT', 'http://pc-1:3001/api/data/shifts', '[]', '"1"'],
+      ['DELETE', 'http://pc-1:3001/api/data', undefined, '"2"']
+    ]);
+  });
+
+  it('reports a conflict when another client saved first', async () => {
+    const fetchFn = async () => ({ ok: false, status: 412, headers: new Headers(), json: async () => ({}) });
+    const storage = new JSONStorage(new RestAdapter('/api/data', fetchFn), 'rest');
+    const originalError = console.error;
+    console.error = () => {};
+    try {
+      await expect(storage.adapter.save({})).rejects.toBeInstanceOf(StorageConflictError);
+
+      storage.loaded = true;
+      storage.saved = { roles: [{ id: 'r' }] };
+      expect(await storage.saveChanges({ roles: [] })).toMatchObject({ success: false, conflict: true });
+      expect(storage.loaded).toBe(false);
+    } finally {
+      console.error = originalError;
+    }
+  });
+
+  it('selects the backend from the environment', () => {
+    expect(createStorage({ VITE_STORAGE_BACKEND: 'rest', VITE_STORAGE_URL: '/data' }).adapter).toBeInstanceOf(RestAdapter);
+    expect(createStorage({ VITE_STORAGE_BACKEND: 'unknown' }).backend).toBe('local');
+  });
+});
@@ -4,4 +4,10 @@ import react from '@vitejs/plugin-react'
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  // For VITE_STORAGE_BACKEND=rest: the shared data server (npm run server)
+  server: {
+    proxy: {
+      '/api': 'http://localhost:3001',
+    },
+  },
 })